@@ -0,0 +1,1316 @@
+#!/usr/bin/env node
+/**
+ * Upheaval Positions CLI
+ * ======================
+ *
+ * One command for every position report against the Upheaval Finance DEX
+ * subgraph. Replaces editing KHYPE_TOKEN_ID / POOL_ID / FILTER_USERS by hand
+ * in a fresh copy of a script for every pool.
+ *
+ * COMMANDS:
+ * ---------
+ * token <token...>    Discover every pool containing any of the tokens
+ *                     (addresses, or symbols such as kHYPE), fetch their
+ *                     position snapshots in the window and group them by pool
+ *                     and user, followed by per-position transactions
+ *                     (what fetch-khype-positions.js printed)
+ *
+ * pool <id>           Pool information, active positions and position
+ *                     snapshots in the window
+ *                     (what fetch-thbill-positions.js printed)
+ *
+ * owner <address...>  Position snapshots for one or more owners across every
+ *                     pool, grouped by pool, followed by per-position
+ *                     transactions
+ *
+ * portfolio <address...>
+ *                     Everything one or more owners have across every pool:
+ *                     open positions grouped by pool with current amounts
+ *                     and range status, positions closed in the window, and
+ *                     per token totals of holdings, deposits, withdrawals
+ *                     and fees (lib/portfolio.js)
+ *
+ * alerts <rules.json> Evaluate the alert rules in a JSON file (lib/alerts.js)
+ *                     over its pools' positions and recent snapshots, and
+ *                     POST each match to the file's webhook, skipping
+ *                     alerts already sent (withdrawals ever, the rest within
+ *                     the dedupe window). Exits non-zero when a delivery fails
+ *
+ * sync [pool id...]   Copy pools, positions and snapshots into the local store
+ *                     (lib/store.js), fetching only snapshots newer than the
+ *                     last stored block per pool. Without IDs, every pool
+ *                     already in the store is brought up to date. A pool's
+ *                     first sync starts at --since / --days when given, else
+ *                     at the beginning of its history.
+ *
+ * serve               Serve pools, positions and snapshots as JSON over HTTP
+ *                     (lib/server.js) until Ctrl-C, with fetches cached for
+ *                     --cache-ttl seconds. With --offline, answers from the
+ *                     local store
+ *
+ * OPTIONS:
+ * --------
+ * --users <a,b,...>   Only report these owners (repeatable, comma separated)
+ * --out-of-range      pool/token/owner: only report active positions outside
+ *                     their pool's current tick, and only their snapshots
+ * --depth             pool: add a depth chart of the listed positions'
+ *                     liquidity per tick bucket around the current price,
+ *                     with the tokens each bucket holds
+ *                     (lib/liquidity-distribution.js)
+ * --depth-buckets <n> Buckets across the depth chart's price window; with
+ *                     a small --depth-range this gets down to one tick per
+ *                     bucket (default DEFAULT_DEPTH_BUCKETS in lib/config.js)
+ * --depth-range <pct> Depth chart price window either side of the current
+ *                     price, in percent (default DEFAULT_DEPTH_RANGE_PERCENT)
+ * --fee-tier <n,...>  token: only pools with these fee tiers, in hundredths
+ *                     of a basis point (100 = 0.01%; repeatable, comma separated)
+ * --min-tvl <usd>     token: only pools with at least this much USD locked
+ * --apr               Fee APR per position over the time it held liquidity
+ *                     (the pool command always shows the pool's fee APR)
+ * --pnl               Add a PnL report versus holding the deposits, per
+ *                     position and per owner, from each position's full
+ *                     history (lib/pnl.js)
+ * --days <n>          Window length in days (default 7)
+ * --since <date>      Window start as an ISO date or unix timestamp
+ *                     (overrides --days)
+ * --watch             token/pool: instead of a report, keep polling and print
+ *                     each new mint, increase, decrease, collect and close
+ *                     as it is indexed (lib/watch.js) until Ctrl-C. Starts
+ *                     at the latest block, or replays from --since / --days
+ *                     when given. With --format ndjson, events are appended
+ *                     to stdout or --output as `events` rows
+ * --interval <s>      Seconds between watch polls (default
+ *                     DEFAULT_WATCH_INTERVAL_SECONDS in lib/config.js)
+ * --leaderboard       token/pool: instead of a report, rank the owners of the
+ *                     pool, or of every pool found for the tokens together,
+ *                     by liquidity share, current position value, fees
+ *                     collected in the window and net inflow / outflow
+ *                     (lib/leaderboard.js)
+ * --top <n>           Owners listed per leaderboard (default
+ *                     DEFAULT_LEADERBOARD_TOP in lib/config.js)
+ * --concentration     token/pool: instead of a report, measure how dependent
+ *                     each pool is on a few LPs: top 1/5/10 owner share of
+ *                     the active liquidity, Herfindahl index and Gini
+ *                     coefficient, now and at the end of every day of the
+ *                     window (lib/concentration.js)
+ * --max-owner-share <pct>
+ *                     Warn when one owner holds more than this share of a
+ *                     pool's liquidity (default DEFAULT_MAX_OWNER_SHARE_PERCENT)
+ * --jit               token/pool: instead of a report, flag liquidity that was
+ *                     opened and closed again within the window in the same
+ *                     or the next block (JIT) or within --max-lifetime, with
+ *                     the fees it captured, per pool and per owner, and the
+ *                     owners who do it repeatedly (lib/jit.js)
+ * --max-lifetime <s>  Seconds under which a closed position counts as
+ *                     short-lived (default DEFAULT_MAX_LIFETIME_SECONDS)
+ * --at-block <n>      Report the state as of block n (time-travel queries);
+ *                     --days then counts back from that block
+ * --at-time <date>    Report the state as of an ISO date or unix timestamp,
+ *                     resolved to the last block with exchange activity
+ * --store <dir>       Local store directory (default DEFAULT_STORE_DIR in
+ *                     lib/config.js)
+ * --offline           Run token/pool/owner/portfolio/alerts against the local
+ *                     store instead of the subgraph (no USD values, fee APR or
+ *                     PnL, since prices are not stored; alerts skips tvlDrop
+ *                     and minUsd checks)
+ * --endpoint <url>    Subgraph endpoint (default SUBGRAPH_URL in lib/config.js)
+ * --format <fmt>      text (default), json, ndjson or csv (see lib/output.js),
+ *                     or html: token/pool/owner/portfolio as one static page with
+ *                     charts and sortable tables (lib/html-report.js)
+ * --output <file>     Write json/ndjson/csv/html output to a file instead of stdout
+ * --dataset <name>    Only emit these data sets (repeatable, comma separated):
+ *                     pools, positions, snapshots, positionAggregates,
+ *                     events (each position's typed lifecycle events in the
+ *                     window, or what --watch streams), positionPnl,
+ *                     ownerPnl, portfolioTokens (portfolio only),
+ *                     liquidityDistribution (--depth only), concentration
+ *                     and concentrationHistory (--concentration only),
+ *                     leaderboard (--leaderboard only), jitPositions,
+ *                     jitPools and jitOwners (--jit only), alerts (the
+ *                     alerts command)
+ * --timeout <ms>      Per-request subgraph timeout (default 30000)
+ * --retries <n>       Retries on 429/5xx/network errors (default 4)
+ * --dry-run           alerts: print matches without sending or recording them
+ * --host <address>    serve: address to listen on (default DEFAULT_SERVER_HOST
+ *                     in lib/config.js)
+ * --port <n>          serve: port to listen on (default DEFAULT_SERVER_PORT)
+ * --cache-ttl <s>     serve: seconds to reuse subgraph responses (default
+ *                     DEFAULT_CACHE_TTL_SECONDS, 0 disables caching)
+ * --verbose           Log every subgraph request with its latency
+ * -h, --help          Show usage
+ *
+ * EXAMPLES:
+ * ---------
+ * node cli.js token 0xfd739d4e423301ce9385c1fb8850539d657c296d --users 0x0625...,0x4339...
+ * node cli.js token kHYPE thBILL --fee-tier 100,3000 --min-tvl 10000
+ * node cli.js pool 0xc06e0fea115e54c54125dfe2f0509d5be55e4005 --days 30
+ * node cli.js pool 0xc06e0fea115e54c54125dfe2f0509d5be55e4005 --depth --depth-range 1
+ * node cli.js owner 0x43395c11f8f81db0cee08dedd2d45c377a955387 --format json > owner.json
+ * node cli.js portfolio 0x43395c11f8f81db0cee08dedd2d45c377a955387 --days 30
+ * node cli.js pool 0xc06e0fea115e54c54125dfe2f0509d5be55e4005 --format csv --output thbill.csv
+ * node cli.js pool 0xc06e0fea115e54c54125dfe2f0509d5be55e4005 --format html --output thbill.html
+ * node cli.js sync 0xc06e0fea115e54c54125dfe2f0509d5be55e4005 --days 90
+ * node cli.js token 0xfd739d4e423301ce9385c1fb8850539d657c296d --watch --interval 30
+ * node cli.js token kHYPE --leaderboard --top 20 --days 30 --format csv --dataset leaderboard
+ * node cli.js token kHYPE thBILL --concentration --max-owner-share 40
+ * node cli.js pool 0xc06e0fea115e54c54125dfe2f0509d5be55e4005 --jit --max-lifetime 600 --days 30
+ * node cli.js alerts desk-alerts.json --dry-run
+ * node cli.js pool 0xc06e0fea115e54c54125dfe2f0509d5be55e4005 --offline --days 90
+ * node cli.js serve --port 8080 --cache-ttl 60
+ *
+ * Positions, deposits, withdrawals and fees are also valued in USD, at event
+ * time and at current prices, from the subgraph's token prices (lib/pricing.js).
+ *
+ * With a machine-readable --format, progress messages go to stderr and stdout
+ * carries only the data.
+ */
+
+const { parseArgs } = require('node:util');
+
+const {
+  SUBGRAPH_URL,
+  DEFAULT_WINDOW_DAYS,
+  DEFAULT_STORE_DIR,
+  DEFAULT_WATCH_INTERVAL_SECONDS,
+  DEFAULT_SERVER_HOST,
+  DEFAULT_SERVER_PORT,
+  DEFAULT_CACHE_TTL_SECONDS,
+  DEFAULT_LEADERBOARD_TOP,
+  DEFAULT_DEPTH_BUCKETS,
+  DEFAULT_DEPTH_RANGE_PERCENT,
+  DEFAULT_MAX_OWNER_SHARE_PERCENT,
+  DEFAULT_MAX_LIFETIME_SECONDS,
+  getTimestampDaysAgo
+} = require('./lib/config');
+const { createSubgraphClient } = require('./lib/subgraph-client');
+const fetchers = require('./lib/fetchers');
+const { openStore, syncPool, createStoreFetchers } = require('./lib/store');
+const { watchPools } = require('./lib/watch');
+const { createApiServer } = require('./lib/server');
+const { buildPortfolio, withTokenValues } = require('./lib/portfolio');
+const { buildOwnerStandings, buildLeaderboards, BOARDS } = require('./lib/leaderboard');
+const { buildLiquidityDistribution, withBucketValues } = require('./lib/liquidity-distribution');
+const {
+  ownerLiquidity,
+  computeConcentration,
+  exceedsOwnerShare,
+  buildConcentrationHistory
+} = require('./lib/concentration');
+const { buildJitReport } = require('./lib/jit');
+const {
+  WITHDRAWAL,
+  TVL_DROP,
+  OUT_OF_RANGE,
+  loadAlertConfig,
+  withdrawalLookbackSeconds,
+  evaluateAlertRules,
+  deliverAlerts
+} = require('./lib/alerts');
+const { buildPositionAggregates } = require('./lib/snapshot-deltas');
+const { buildLifecycleEvents } = require('./lib/lifecycle');
+const { withCurrentAmounts } = require('./lib/liquidity-math');
+const { withRangeStatus, isOutOfRange } = require('./lib/range-status');
+const { withUncollectedFees } = require('./lib/fee-math');
+const {
+  withPositionValues,
+  withAggregateValues,
+  withSnapshotPrices,
+  withPoolPrices
+} = require('./lib/pricing');
+const { computePositionsPnl, summarizeOwnerPnl } = require('./lib/pnl');
+const { computePoolFeeApr, computePositionsFeeApr } = require('./lib/apr');
+const {
+  FORMATS: OUTPUT_FORMATS,
+  DATASETS,
+  buildDatasets,
+  writeOutput,
+  createNdjsonWriter
+} = require('./lib/output');
+const { writeHtmlReport } = require('./lib/html-report');
+const {
+  filterSnapshotsByUsers,
+  displayPoolInfo,
+  displayCurrentPositions,
+  displayPositionSnapshots,
+  displayUserSnapshots,
+  displayPositionPnl,
+  displayPortfolio,
+  displayLiquidityDistribution,
+  displayConcentration,
+  displayLeaderboards,
+  displayJitReport,
+  displayWatchEvent,
+  displayAlertResults
+} = require('./lib/display');
+
+const FORMATS = ['text', ...OUTPUT_FORMATS, 'html'];
+
+const USAGE = `Usage: node cli.js <command> <target> [options]
+
+Commands:
+  token <token...>     Snapshots for every pool containing any of the tokens (addresses or symbols)
+  pool <id>            Pool info, active positions and snapshots for one pool
+  owner <address...>   Snapshots for one or more owners across every pool
+  portfolio <address...>
+                       Open and recently closed positions and token totals for one or more owners
+  sync [pool id...]    Update the local store with new snapshots (all stored pools without IDs)
+  alerts <rules.json>  Evaluate alert rules and send matches to their webhook
+  serve                Serve pools, positions and snapshots as JSON over HTTP
+
+Options:
+  --users <a,b,...>    Only report these owners (repeatable, comma separated)
+  --out-of-range       pool/token/owner: only report active positions outside the current tick
+  --depth              pool: add a liquidity depth chart around the current price
+  --depth-buckets <n>  Depth chart buckets (default ${DEFAULT_DEPTH_BUCKETS})
+  --depth-range <pct>  Depth chart window either side of the price (default ${DEFAULT_DEPTH_RANGE_PERCENT}%)
+  --fee-tier <n,...>   token: only pools with these fee tiers (100 = 0.01%)
+  --min-tvl <usd>      token: only pools with at least this much USD locked
+  --apr                Fee APR per position over the time it held liquidity
+  --pnl                PnL versus holding the deposits, per position and owner
+  --days <n>           Window length in days (default ${DEFAULT_WINDOW_DAYS})
+  --since <date>       Window start as an ISO date or unix timestamp (overrides --days)
+  --watch              token/pool: stream new position events until Ctrl-C
+  --interval <s>       Seconds between watch polls (default ${DEFAULT_WATCH_INTERVAL_SECONDS})
+  --leaderboard        token/pool: rank owners by liquidity share, value, fees and net flow
+  --top <n>            Owners listed per leaderboard (default ${DEFAULT_LEADERBOARD_TOP})
+  --concentration      token/pool: top owner shares, Herfindahl index and Gini of each pool's liquidity
+  --max-owner-share <pct>
+                       Warn when one owner holds more of a pool (default ${DEFAULT_MAX_OWNER_SHARE_PERCENT}%)
+  --jit                token/pool: flag JIT and short-lived liquidity per pool and owner
+  --max-lifetime <s>   Lifetime under which a closed position is short-lived (default ${DEFAULT_MAX_LIFETIME_SECONDS})
+  --at-block <n>       Report the state as of a block number
+  --at-time <date>     Report the state as of an ISO date or unix timestamp
+  --store <dir>        Local store directory (default ${DEFAULT_STORE_DIR})
+  --offline            Report from the local store instead of the subgraph
+  --endpoint <url>     Subgraph endpoint (default ${SUBGRAPH_URL})
+  --format <fmt>       ${FORMATS.join(' | ')} (default text)
+  --output <file>      Write json/ndjson/csv/html output to a file instead of stdout
+  --dataset <name>     Only emit these data sets (repeatable, comma separated):
+                       ${Object.keys(DATASETS).join(', ')}
+  --timeout <ms>       Per-request subgraph timeout (default 30000)
+  --retries <n>        Retries on 429/5xx/network errors (default 4)
+  --dry-run            alerts: show matches without sending or recording them
+  --host <address>     serve: address to listen on (default ${DEFAULT_SERVER_HOST})
+  --port <n>           serve: port to listen on (default ${DEFAULT_SERVER_PORT})
+  --cache-ttl <s>      serve: seconds to reuse subgraph responses (default ${DEFAULT_CACHE_TTL_SECONDS})
+  --verbose            Log every subgraph request with its latency
+  -h, --help           Show this message
+`;
+
+class UsageError extends Error {}
+
+// What each command's positional arguments are, for usage errors
+const TARGET_NAMES = {
+  token: 'token address or symbol',
+  pool: 'pool ID',
+  owner: 'address',
+  portfolio: 'address',
+  alerts: 'rules file'
+};
+
+// Parse a date option as either unix seconds or anything Date understands
+function parseTimestamp(flag, value) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new UsageError(`Invalid ${flag} value: ${value}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+function parseNonNegativeInt(flag, value) {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid ${flag} value: ${value}`);
+  }
+  return parseInt(value);
+}
+
+// Flatten repeatable, comma separated option values
+function splitList(values = []) {
+  return values
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      users: { type: 'string', multiple: true },
+      'out-of-range': { type: 'boolean', default: false },
+      depth: { type: 'boolean', default: false },
+      'depth-buckets': { type: 'string' },
+      'depth-range': { type: 'string' },
+      'fee-tier': { type: 'string', multiple: true },
+      'min-tvl': { type: 'string' },
+      apr: { type: 'boolean', default: false },
+      pnl: { type: 'boolean', default: false },
+      days: { type: 'string' },
+      since: { type: 'string' },
+      'at-block': { type: 'string' },
+      'at-time': { type: 'string' },
+      watch: { type: 'boolean', default: false },
+      interval: { type: 'string' },
+      leaderboard: { type: 'boolean', default: false },
+      top: { type: 'string' },
+      concentration: { type: 'boolean', default: false },
+      'max-owner-share': { type: 'string' },
+      jit: { type: 'boolean', default: false },
+      'max-lifetime': { type: 'string' },
+      store: { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      endpoint: { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      output: { type: 'string' },
+      dataset: { type: 'string', multiple: true },
+      timeout: { type: 'string' },
+      retries: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      host: { type: 'string' },
+      port: { type: 'string' },
+      'cache-ttl': { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [command, ...targets] = positionals;
+
+  if (values.help || !command) {
+    return { help: true };
+  }
+
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+  if (targets.length === 0 && !['sync', 'serve'].includes(command)) {
+    throw new UsageError(`Missing ${TARGET_NAMES[command]} for "${command}"`);
+  }
+  if (values['out-of-range'] && !['pool', 'token', 'owner'].includes(command)) {
+    throw new UsageError('--out-of-range only applies to "pool", "token" and "owner"');
+  }
+  if (values.depth && command !== 'pool') {
+    throw new UsageError('--depth only applies to "pool"');
+  }
+  if ((values['depth-buckets'] !== undefined || values['depth-range'] !== undefined) && !values.depth) {
+    throw new UsageError('--depth-buckets and --depth-range only apply to --depth');
+  }
+  if ((values['fee-tier'] !== undefined || values['min-tvl'] !== undefined) && command !== 'token') {
+    throw new UsageError('--fee-tier and --min-tvl only apply to "token"');
+  }
+  if (['pool', 'alerts'].includes(command) && targets.length > 1) {
+    throw new UsageError(`"${command}" takes a single ${TARGET_NAMES[command]}`);
+  }
+  if (values['dry-run'] && command !== 'alerts') {
+    throw new UsageError('--dry-run only applies to "alerts"');
+  }
+  if (command === 'serve' && targets.length > 0) {
+    throw new UsageError('"serve" takes no arguments; pass pools, tokens and owners in the request URLs');
+  }
+  const serverFlag = ['host', 'port', 'cache-ttl'].find(flag => values[flag] !== undefined);
+  if (serverFlag && command !== 'serve') {
+    throw new UsageError(`--${serverFlag} only applies to "serve"`);
+  }
+  if (command === 'serve' && (values.format !== 'text' || values.output !== undefined || values.dataset)) {
+    throw new UsageError('"serve" always answers in JSON; drop --format / --output / --dataset');
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown --format: ${values.format} (expected ${FORMATS.join(', ')})`);
+  }
+
+  if (values.output !== undefined && values.format === 'text') {
+    throw new UsageError('--output needs a machine-readable --format (json, ndjson, csv or html)');
+  }
+  if (values.format === 'html' && !['token', 'pool', 'owner', 'portfolio'].includes(command)) {
+    throw new UsageError('--format html only applies to "token", "pool", "owner" and "portfolio"');
+  }
+  const datasets = splitList(values.dataset);
+  const unknownDataset = datasets.find(dataset => !DATASETS[dataset]);
+  if (unknownDataset) {
+    throw new UsageError(`Unknown --dataset: ${unknownDataset} (expected ${Object.keys(DATASETS).join(', ')})`);
+  }
+  if (values.format === 'csv' && values.output === undefined && datasets.length !== 1) {
+    throw new UsageError('CSV to stdout needs exactly one --dataset; use --output to write one file per data set');
+  }
+
+  const users = splitList(values.users).map(user => user.toLowerCase());
+
+  if (values['at-block'] !== undefined && values['at-time'] !== undefined) {
+    throw new UsageError('Pass either --at-block or --at-time, not both');
+  }
+  const pointInTime = values['at-block'] !== undefined || values['at-time'] !== undefined;
+  if (command === 'serve' && pointInTime) {
+    throw new UsageError('"serve" takes the block per request (?block=); drop --at-block / --at-time');
+  }
+  if (command === 'sync' && (pointInTime || values.offline)) {
+    throw new UsageError('"sync" always reads the latest state from the subgraph; drop --at-block / --at-time / --offline');
+  }
+  if (values.offline && pointInTime) {
+    throw new UsageError('--offline cannot time-travel; drop --at-block / --at-time');
+  }
+  if (values.offline && (values.pnl || values.apr)) {
+    throw new UsageError('--pnl and --apr need USD prices, which the local store does not hold');
+  }
+
+  if (values.watch) {
+    if (!['token', 'pool'].includes(command)) {
+      throw new UsageError('--watch only applies to "token" and "pool"');
+    }
+    if (pointInTime || values.offline) {
+      throw new UsageError('--watch follows the latest indexed blocks; drop --at-block / --at-time / --offline');
+    }
+    if (values.pnl || values.apr || values['out-of-range'] || values.depth) {
+      throw new UsageError('--watch only streams events; drop --pnl / --apr / --out-of-range / --depth');
+    }
+    if (!['text', 'ndjson'].includes(values.format)) {
+      throw new UsageError('--watch writes --format text or ndjson');
+    }
+  } else if (values.interval !== undefined) {
+    throw new UsageError('--interval only applies to --watch');
+  }
+  if (values.leaderboard) {
+    if (!['token', 'pool'].includes(command)) {
+      throw new UsageError('--leaderboard only applies to "token" and "pool"');
+    }
+    if (values.watch) {
+      throw new UsageError('Pass either --watch or --leaderboard, not both');
+    }
+    if (values.pnl || values.apr || values['out-of-range'] || values.depth || users.length > 0) {
+      throw new UsageError('--leaderboard ranks every owner; drop --pnl / --apr / --out-of-range / --depth / --users');
+    }
+  } else if (values.top !== undefined) {
+    throw new UsageError('--top only applies to --leaderboard');
+  }
+  if (values.concentration) {
+    if (!['token', 'pool'].includes(command)) {
+      throw new UsageError('--concentration only applies to "token" and "pool"');
+    }
+    if (values.watch || values.leaderboard) {
+      throw new UsageError('Pass only one of --watch, --leaderboard and --concentration');
+    }
+    if (values.pnl || values.apr || values['out-of-range'] || values.depth || users.length > 0) {
+      throw new UsageError('--concentration covers every owner; drop --pnl / --apr / --out-of-range / --depth / --users');
+    }
+  } else if (values['max-owner-share'] !== undefined) {
+    throw new UsageError('--max-owner-share only applies to --concentration');
+  }
+  if (values.jit) {
+    if (!['token', 'pool'].includes(command)) {
+      throw new UsageError('--jit only applies to "token" and "pool"');
+    }
+    if (values.watch || values.leaderboard || values.concentration) {
+      throw new UsageError('Pass only one of --watch, --leaderboard, --concentration and --jit');
+    }
+    if (values.pnl || values.apr || values['out-of-range'] || values.depth || users.length > 0) {
+      throw new UsageError('--jit covers every owner; drop --pnl / --apr / --out-of-range / --depth / --users');
+    }
+  } else if (values['max-lifetime'] !== undefined) {
+    throw new UsageError('--max-lifetime only applies to --jit');
+  }
+  const maxLifetimeSeconds = values['max-lifetime'] !== undefined
+    ? parseNonNegativeInt('--max-lifetime', values['max-lifetime'])
+    : DEFAULT_MAX_LIFETIME_SECONDS;
+  if (maxLifetimeSeconds === 0) {
+    throw new UsageError('Invalid --max-lifetime value: 0');
+  }
+  const maxOwnerSharePercent = values['max-owner-share'] !== undefined
+    ? Number(values['max-owner-share'])
+    : DEFAULT_MAX_OWNER_SHARE_PERCENT;
+  if (!Number.isFinite(maxOwnerSharePercent) || maxOwnerSharePercent <= 0 || maxOwnerSharePercent > 100) {
+    throw new UsageError(`Invalid --max-owner-share value: ${values['max-owner-share']} (expected a percent up to 100)`);
+  }
+  const top = values.top !== undefined
+    ? parseNonNegativeInt('--top', values.top)
+    : DEFAULT_LEADERBOARD_TOP;
+  if (top === 0) {
+    throw new UsageError('Invalid --top value: 0');
+  }
+  const depthBuckets = values['depth-buckets'] !== undefined
+    ? parseNonNegativeInt('--depth-buckets', values['depth-buckets'])
+    : DEFAULT_DEPTH_BUCKETS;
+  if (depthBuckets === 0) {
+    throw new UsageError('Invalid --depth-buckets value: 0');
+  }
+  const depthRangePercent = values['depth-range'] !== undefined
+    ? Number(values['depth-range'])
+    : DEFAULT_DEPTH_RANGE_PERCENT;
+  if (!Number.isFinite(depthRangePercent) || depthRangePercent <= 0 || depthRangePercent >= 100) {
+    throw new UsageError(`Invalid --depth-range value: ${values['depth-range']} (expected a percent between 0 and 100)`);
+  }
+  const intervalSeconds = values.interval !== undefined
+    ? parseNonNegativeInt('--interval', values.interval)
+    : DEFAULT_WATCH_INTERVAL_SECONDS;
+  if (intervalSeconds === 0) {
+    throw new UsageError('Invalid --interval value: 0');
+  }
+  const port = values.port !== undefined
+    ? parseNonNegativeInt('--port', values.port)
+    : DEFAULT_SERVER_PORT;
+  if (port > 65535) {
+    throw new UsageError(`Invalid --port value: ${values.port}`);
+  }
+  const cacheTtlSeconds = values['cache-ttl'] !== undefined
+    ? parseNonNegativeInt('--cache-ttl', values['cache-ttl'])
+    : DEFAULT_CACHE_TTL_SECONDS;
+  const feeTiers = splitList(values['fee-tier']).map(feeTier => parseNonNegativeInt('--fee-tier', feeTier));
+  const minTvlUsd = values['min-tvl'] !== undefined ? Number(values['min-tvl']) : undefined;
+  if (minTvlUsd !== undefined && (!Number.isFinite(minTvlUsd) || minTvlUsd < 0)) {
+    throw new UsageError(`Invalid --min-tvl value: ${values['min-tvl']}`);
+  }
+  const atBlock = values['at-block'] !== undefined
+    ? parseNonNegativeInt('--at-block', values['at-block'])
+    : undefined;
+  const atTime = values['at-time'] !== undefined
+    ? parseTimestamp('--at-time', values['at-time'])
+    : undefined;
+
+  let since;
+  let windowLabel;
+  let windowDays;
+  if (values.since !== undefined) {
+    since = parseTimestamp('--since', values.since);
+    windowLabel = `Since ${new Date(since * 1000).toISOString()}`;
+  } else {
+    windowDays = values.days !== undefined ? Number(values.days) : DEFAULT_WINDOW_DAYS;
+    if (!Number.isFinite(windowDays) || windowDays <= 0) {
+      throw new UsageError(`Invalid --days value: ${values.days}`);
+    }
+    // With --at-block / --at-time the window is re-anchored once the block is resolved
+    since = getTimestampDaysAgo(windowDays);
+    windowLabel = `Last ${windowDays} Days`;
+  }
+
+  const clientOptions = { verbose: values.verbose };
+  if (values.timeout !== undefined) {
+    clientOptions.timeoutMs = parseNonNegativeInt('--timeout', values.timeout);
+  }
+  if (values.retries !== undefined) {
+    clientOptions.maxRetries = parseNonNegativeInt('--retries', values.retries);
+  }
+
+  return {
+    command,
+    // Addresses are matched lower case; token symbols and a rules file path are kept as given
+    targets: command === 'alerts'
+      ? targets
+      : targets.map(target => (command !== 'token' || fetchers.isAddress(target) ? target.toLowerCase() : target)),
+    users,
+    outOfRange: values['out-of-range'],
+    depth: values.depth,
+    depthBuckets,
+    depthRangePercent,
+    feeTiers,
+    minTvlUsd,
+    apr: values.apr,
+    pnl: values.pnl,
+    since,
+    windowLabel,
+    windowDays,
+    // Whether --since / --days was given, rather than the default window
+    windowGiven: values.since !== undefined || values.days !== undefined,
+    atBlock,
+    atTime,
+    dryRun: values['dry-run'],
+    watch: values.watch,
+    intervalSeconds,
+    leaderboard: values.leaderboard,
+    top,
+    concentration: values.concentration,
+    maxOwnerSharePercent,
+    jit: values.jit,
+    maxLifetimeSeconds,
+    host: values.host || DEFAULT_SERVER_HOST,
+    port,
+    cacheTtlSeconds,
+    storeDir: values.store || DEFAULT_STORE_DIR,
+    offline: values.offline,
+    endpoint: values.endpoint || SUBGRAPH_URL,
+    clientOptions,
+    format: values.format,
+    output: values.output,
+    datasets
+  };
+}
+
+// Each command fetches its data, prints the console report for --format text,
+// and returns the items behind each data set for machine-readable output
+
+function snapshotPositionIds(snapshots) {
+  return snapshots.map(snapshot => snapshot.position?.id).filter(Boolean);
+}
+
+function poolTokenIds(pools) {
+  return pools.flatMap(pool => [pool.token0.id, pool.token1.id]);
+}
+
+// Attach current amounts, range status, uncollected fees, USD values and fee APR for the positions data set.
+// Without a pool, each position's own pool (selected by POSITION_FIELDS) is used.
+function annotatePositions(positions, pool, prices, aprs) {
+  return positions.map(position => {
+    const positionPool = pool || position.pool;
+    const [annotated] = withPositionValues(
+      withUncollectedFees(
+        withRangeStatus(withCurrentAmounts([position], positionPool), positionPool),
+        positionPool
+      ),
+      positionPool,
+      prices
+    );
+    return aprs ? { ...annotated, feeApr: aprs[position.id] } : annotated;
+  });
+}
+
+// Options for lib/fetchers.js: the window, and the block to time-travel to with --at-block / --at-time
+function fetchOptionsFor(args) {
+  return {
+    client: args.client,
+    since: args.since,
+    block: args.at?.number,
+    at: args.at?.timestamp,
+    feeTiers: args.feeTiers,
+    minTvlUsd: args.minTvlUsd
+  };
+}
+
+// Resolve --at-block / --at-time to { number, timestamp } on args.at, and anchor a
+// --days window at that moment instead of now
+async function resolvePointInTime(args) {
+  const options = { client: args.client };
+  if (args.atBlock !== undefined) {
+    args.at = await fetchers.fetchBlockTimestamp(args.atBlock, options);
+  } else {
+    const block = await fetchers.fetchBlockAtTime(args.atTime, options);
+    // State at the resolved block is the state at the requested time
+    args.at = { number: block.number, timestamp: args.atTime };
+  }
+
+  if (args.windowDays !== undefined) {
+    args.since = args.at.timestamp - Math.round(args.windowDays * 24 * 60 * 60);
+    args.windowLabel = `${args.windowDays} Days to ${new Date(args.at.timestamp * 1000).toISOString()}`;
+  }
+}
+
+// Whether the command needs each position's full snapshot history
+function needsHistory(args) {
+  return args.pnl || args.apr;
+}
+
+// Prices for the window, plus full position history for --pnl / --apr.
+// PnL values deposits at their day's price, so prices then reach back to the earliest snapshot.
+async function fetchValuations(args, tokenIds, positionsById, fetchOptions) {
+  const { source } = args;
+  const history = needsHistory(args) ? await source.fetchPositionHistory(Object.keys(positionsById), fetchOptions) : {};
+  const since = Object.values(history)
+    .flat()
+    .reduce((earliest, snapshot) => Math.min(earliest, parseInt(snapshot.timestamp)), args.since);
+
+  const prices = await source.fetchTokenPrices(tokenIds, { ...fetchOptions, since });
+  return {
+    prices,
+    positionPnl: args.pnl ? computePositionsPnl(positionsById, history, prices) : null,
+    aprs: args.apr ? computePositionsFeeApr(positionsById, history, prices, args.at?.timestamp) : null
+  };
+}
+
+// --out-of-range: keep the active positions outside their pool's current tick
+// (each position carries its pool, see POSITION_FIELDS) and only their snapshots
+function filterOutOfRange(args, snapshots, positionsById) {
+  if (!args.outOfRange) {
+    return { snapshots, positionsById };
+  }
+  const kept = {};
+  Object.values(positionsById).forEach(position => {
+    if (BigInt(position.liquidity || 0) > 0n && isOutOfRange(position, position.pool)) {
+      kept[position.id] = position;
+    }
+  });
+  return {
+    snapshots: snapshots.filter(snapshot => kept[snapshot.position?.id]),
+    positionsById: kept
+  };
+}
+
+// Typed lifecycle events of every position in the window, in block order (lib/lifecycle.js)
+function lifecycleEvents(aggregates) {
+  return aggregates
+    .flatMap(buildLifecycleEvents)
+    .sort((a, b) => parseInt(a.blockNumber) - parseInt(b.blockNumber));
+}
+
+// Data sets behind the --pnl report (omitted without --pnl)
+function pnlDatasets(positionPnl) {
+  return positionPnl
+    ? { positionPnl, ownerPnl: summarizeOwnerPnl(positionPnl) }
+    : {};
+}
+
+async function runToken(args) {
+  const { source } = args;
+  const tokens = args.targets;
+  const fetchOptions = fetchOptionsFor(args);
+
+  const pools = await source.fetchTokenPools(tokens, fetchOptions);
+  const allSnapshots = pools.length > 0
+    ? await source.fetchPositionSnapshots(pools.map(pool => pool.id), fetchOptions)
+    : [];
+  const userSnapshots = filterSnapshotsByUsers(allSnapshots, args.users);
+  const { snapshots, positionsById } = filterOutOfRange(
+    args,
+    userSnapshots,
+    await source.fetchPositionsByIds(snapshotPositionIds(userSnapshots), fetchOptions)
+  );
+  const baselines = await source.fetchBaselineSnapshots(snapshots, fetchOptions);
+  const { prices, positionPnl, aprs } = await fetchValuations(args, poolTokenIds(pools), positionsById, fetchOptions);
+
+  if (args.format === 'text') {
+    displayUserSnapshots(args.outOfRange ? snapshots : allSnapshots, {
+      users: args.users,
+      baselines,
+      positionsById,
+      prices,
+      aprs,
+      label: tokens.join(', '),
+      windowLabel: args.windowLabel
+    });
+    if (positionPnl) displayPositionPnl(positionPnl);
+  }
+
+  const aggregates = buildPositionAggregates(snapshots, baselines);
+  return {
+    pools: withPoolPrices(pools, prices),
+    positions: annotatePositions(Object.values(positionsById), null, prices, aprs),
+    snapshots: withSnapshotPrices(snapshots, prices),
+    positionAggregates: withAggregateValues(aggregates, prices),
+    events: lifecycleEvents(aggregates),
+    ...pnlDatasets(positionPnl)
+  };
+}
+
+async function runPool(args) {
+  const { source } = args;
+  const [poolId] = args.targets;
+  const fetchOptions = fetchOptionsFor(args);
+
+  console.log(`\n🔍 FETCHING DATA FOR POOL: ${poolId}\n`);
+
+  const [poolInfo, allPositions, allSnapshots, poolDayData] = await Promise.all([
+    source.fetchPoolInfo(poolId, fetchOptions),
+    source.fetchCurrentPositions(poolId, fetchOptions),
+    source.fetchPositionSnapshots(poolId, fetchOptions),
+    source.fetchPoolDayData(poolId, fetchOptions)
+  ]);
+  const feeApr = poolDayData ? computePoolFeeApr(poolInfo, poolDayData, args.since, args.at?.timestamp) : null;
+  const pool = { ...poolInfo, feeApr };
+
+  const userPositions = allPositions
+    .filter(position => args.users.length === 0 || args.users.includes(position.owner.toLowerCase()));
+  const userPositionsById = {};
+  userPositions.forEach(position => {
+    userPositionsById[position.id] = position;
+  });
+  const listed = filterOutOfRange(args, filterSnapshotsByUsers(allSnapshots, args.users), userPositionsById);
+  // Keep the fetch order (largest liquidity first)
+  const currentPositions = userPositions.filter(position => listed.positionsById[position.id]);
+  const positionSnapshots = listed.snapshots;
+
+  // PnL and APR cover the listed positions plus any closed in the window
+  const positionsById = {};
+  if (needsHistory(args)) {
+    currentPositions.forEach(position => {
+      positionsById[position.id] = position;
+    });
+    const closedIds = snapshotPositionIds(positionSnapshots).filter(id => !positionsById[id]);
+    Object.assign(positionsById, await source.fetchPositionsByIds(closedIds, fetchOptions));
+  }
+  const { prices, positionPnl, aprs } = await fetchValuations(args, poolTokenIds([poolInfo]), positionsById, fetchOptions);
+  const distribution = args.depth
+    ? buildLiquidityDistribution(currentPositions, poolInfo, {
+      buckets: args.depthBuckets,
+      rangePercent: args.depthRangePercent
+    })
+    : null;
+  const depthBuckets = distribution ? withBucketValues(distribution.buckets, prices) : undefined;
+
+  // Baselines tell positions opened before the window apart from mints in it
+  const baselines = await source.fetchBaselineSnapshots(positionSnapshots, fetchOptions);
+
+  if (args.format === 'text') {
+    displayPoolInfo(pool, { prices, feeApr: pool.feeApr });
+    displayCurrentPositions(currentPositions, poolInfo, { prices, aprs });
+    if (distribution) displayLiquidityDistribution({ ...distribution, buckets: depthBuckets });
+    displayPositionSnapshots(positionSnapshots, poolInfo, { windowLabel: args.windowLabel, baselines });
+    if (positionPnl) displayPositionPnl(positionPnl);
+    return {};
+  }
+
+  const aggregates = buildPositionAggregates(positionSnapshots, baselines);
+  return {
+    pools: withPoolPrices([pool], prices),
+    positions: annotatePositions(currentPositions, poolInfo, prices, aprs),
+    snapshots: withSnapshotPrices(positionSnapshots, prices),
+    positionAggregates: withAggregateValues(aggregates, prices),
+    events: lifecycleEvents(aggregates),
+    liquidityDistribution: depthBuckets,
+    ...pnlDatasets(positionPnl)
+  };
+}
+
+async function runOwner(args) {
+  const { source } = args;
+  const fetchOptions = fetchOptionsFor(args);
+
+  const ownerSnapshots = await source.fetchOwnerSnapshots(args.targets, fetchOptions);
+  const { snapshots, positionsById } = filterOutOfRange(
+    args,
+    ownerSnapshots,
+    await source.fetchPositionsByIds(snapshotPositionIds(ownerSnapshots), fetchOptions)
+  );
+  const baselines = await source.fetchBaselineSnapshots(snapshots, fetchOptions);
+  const { prices, positionPnl, aprs } = await fetchValuations(
+    args,
+    poolTokenIds(snapshots.map(snapshot => snapshot.pool)),
+    positionsById,
+    fetchOptions
+  );
+
+  if (args.format === 'text') {
+    displayUserSnapshots(snapshots, {
+      users: args.targets,
+      baselines,
+      positionsById,
+      prices,
+      aprs,
+      windowLabel: args.windowLabel
+    });
+    if (positionPnl) displayPositionPnl(positionPnl);
+  }
+
+  const aggregates = buildPositionAggregates(snapshots, baselines);
+  return {
+    positions: annotatePositions(Object.values(positionsById), null, prices, aprs),
+    snapshots: withSnapshotPrices(snapshots, prices),
+    positionAggregates: withAggregateValues(aggregates, prices),
+    events: lifecycleEvents(aggregates),
+    ...pnlDatasets(positionPnl)
+  };
+}
+
+// Everything the owners have across every pool, from their positions and snapshots rather than pool by pool
+async function runPortfolio(args) {
+  const { source } = args;
+  const fetchOptions = fetchOptionsFor(args);
+
+  const positions = await source.fetchOwnerPositions(args.targets, fetchOptions);
+  const snapshots = await source.fetchOwnerSnapshots(args.targets, fetchOptions);
+  const baselines = await source.fetchBaselineSnapshots(snapshots, fetchOptions);
+  const portfolio = buildPortfolio(positions, snapshots, baselines);
+
+  const positionsById = {};
+  [...portfolio.openPositions, ...portfolio.closedPositions].forEach(position => {
+    positionsById[position.id] = position;
+  });
+  const { prices, positionPnl, aprs } = await fetchValuations(
+    args,
+    poolTokenIds(portfolio.pools.map(group => group.pool)),
+    positionsById,
+    fetchOptions
+  );
+  const tokens = prices ? withTokenValues(portfolio.tokens, prices) : portfolio.tokens;
+
+  if (args.format === 'text') {
+    displayPortfolio(portfolio, {
+      owners: args.targets,
+      baselines,
+      tokens,
+      prices,
+      aprs,
+      windowLabel: args.windowLabel
+    });
+    if (positionPnl) displayPositionPnl(positionPnl);
+  }
+
+  return {
+    positions: annotatePositions(Object.values(positionsById), null, prices, aprs),
+    snapshots: withSnapshotPrices(snapshots, prices),
+    positionAggregates: withAggregateValues(portfolio.aggregates, prices),
+    events: lifecycleEvents(portfolio.aggregates),
+    portfolioTokens: tokens,
+    ...pnlDatasets(positionPnl)
+  };
+}
+
+// Every pool found for the token targets, or the pool target
+async function fetchTargetPools(args, fetchOptions) {
+  return args.command === 'token'
+    ? args.source.fetchTokenPools(args.targets, fetchOptions)
+    : [await args.source.fetchPoolInfo(args.targets[0], fetchOptions)];
+}
+
+// Rank the owners of one pool, or of every pool found for the tokens together (lib/leaderboard.js)
+async function runLeaderboard(args) {
+  const { source } = args;
+  const fetchOptions = fetchOptionsFor(args);
+
+  const pools = await fetchTargetPools(args, fetchOptions);
+  const poolIds = pools.map(pool => pool.id);
+
+  const positions = [];
+  for (const poolId of poolIds) {
+    positions.push(...await source.fetchCurrentPositions(poolId, fetchOptions));
+  }
+  const snapshots = poolIds.length > 0 ? await source.fetchPositionSnapshots(poolIds, fetchOptions) : [];
+  const baselines = await source.fetchBaselineSnapshots(snapshots, fetchOptions);
+  const prices = await source.fetchTokenPrices(poolTokenIds(pools), fetchOptions);
+
+  const aggregates = withAggregateValues(buildPositionAggregates(snapshots, baselines), prices);
+  const boards = buildLeaderboards(buildOwnerStandings(positions, aggregates, prices), args.top);
+
+  if (args.format === 'text') {
+    displayLeaderboards(boards, {
+      label: args.targets.join(', '),
+      pools: pools.length,
+      top: args.top,
+      windowLabel: args.windowLabel
+    });
+  }
+
+  return {
+    pools: withPoolPrices(pools, prices),
+    leaderboard: BOARDS.flatMap(board => boards[board])
+  };
+}
+
+// Owner concentration of each pool's liquidity, now and at the end of every day of the window (lib/concentration.js)
+async function runConcentration(args) {
+  const { source } = args;
+  const fetchOptions = fetchOptionsFor(args);
+
+  const pools = await fetchTargetPools(args, fetchOptions);
+  const poolIds = pools.map(pool => pool.id);
+  const snapshots = poolIds.length > 0 ? await source.fetchPositionSnapshots(poolIds, fetchOptions) : [];
+  const baselines = await source.fetchBaselineSnapshots(snapshots, fetchOptions);
+  const until = args.at?.timestamp ?? Math.floor(Date.now() / 1000);
+  const withWarning = metrics => ({ ...metrics, warning: exceedsOwnerShare(metrics, args.maxOwnerSharePercent) });
+
+  const reports = [];
+  for (const pool of pools) {
+    const positions = await source.fetchCurrentPositions(pool.id, fetchOptions);
+    const poolSnapshots = snapshots.filter(snapshot => snapshot.pool.id === pool.id);
+    reports.push({
+      pool,
+      current: withWarning(computeConcentration(ownerLiquidity(positions))),
+      history: buildConcentrationHistory(positions, poolSnapshots, baselines, { since: args.since, until }).map(withWarning)
+    });
+  }
+
+  if (args.format === 'text') {
+    displayConcentration(reports, { maxOwnerShare: args.maxOwnerSharePercent, windowLabel: args.windowLabel });
+  }
+
+  return {
+    pools,
+    concentration: reports.map(({ pool, current }) => ({ pool, ...current })),
+    concentrationHistory: reports.flatMap(({ pool, history }) => history.map(point => ({ pool, ...point })))
+  };
+}
+
+// Positions opened and closed again within moments in the window, per pool and per owner (lib/jit.js)
+async function runJit(args) {
+  const { source } = args;
+  const fetchOptions = fetchOptionsFor(args);
+
+  const pools = await fetchTargetPools(args, fetchOptions);
+  const poolIds = pools.map(pool => pool.id);
+  const snapshots = poolIds.length > 0 ? await source.fetchPositionSnapshots(poolIds, fetchOptions) : [];
+  const baselines = await source.fetchBaselineSnapshots(snapshots, fetchOptions);
+  const prices = await source.fetchTokenPrices(poolTokenIds(pools), fetchOptions);
+
+  const aggregates = buildPositionAggregates(snapshots, baselines);
+  const report = buildJitReport(aggregates, pools, prices, { maxLifetime: args.maxLifetimeSeconds });
+
+  if (args.format === 'text') {
+    displayJitReport(report, { maxLifetime: args.maxLifetimeSeconds, windowLabel: args.windowLabel });
+  }
+
+  return {
+    pools: withPoolPrices(pools, prices),
+    events: lifecycleEvents(aggregates),
+    jitPositions: report.episodes,
+    jitPools: report.pools,
+    jitOwners: report.owners
+  };
+}
+
+// Update the local store one pool at a time and list the synced pools
+async function runSync(args) {
+  const store = openStore(args.storeDir, { endpoint: args.endpoint });
+  const poolIds = args.targets.length > 0 ? args.targets : store.getPools().map(pool => pool.id);
+  if (poolIds.length === 0) {
+    throw new Error(`Store ${args.storeDir} has no pools yet; pass the pool IDs to sync`);
+  }
+
+  console.log(`\n🗄️  SYNCING ${poolIds.length} POOL${poolIds.length === 1 ? '' : 'S'} INTO ${args.storeDir}\n`);
+
+  const pools = [];
+  for (const poolId of poolIds) {
+    const result = await syncPool(store, poolId, {
+      client: args.client,
+      since: args.windowGiven ? args.since : undefined
+    });
+    console.log(`🔄 ${poolId}: +${result.added} snapshots (${result.snapshots} stored, up to block ${result.lastBlock}), ${result.openPositions} open positions`);
+    pools.push(result.pool);
+  }
+
+  return { pools };
+}
+
+// Evaluate a rules file (lib/alerts.js) over freshly fetched data and deliver its matches
+async function runAlerts(args) {
+  const [file] = args.targets;
+  const config = loadAlertConfig(file);
+  const { source } = args;
+  const fetchOptions = { client: args.client };
+  const now = Math.floor(Date.now() / 1000);
+  const rulesOf = type => config.rules.filter(rule => rule.type === type);
+  const withdrawalsSince = now - withdrawalLookbackSeconds(config.rules);
+
+  const poolIds = [...config.pools];
+  if (config.tokens.length > 0) {
+    poolIds.push(...(await source.fetchTokenPools(config.tokens, fetchOptions)).map(pool => pool.id));
+  }
+  const uniquePoolIds = [...new Set(poolIds)];
+  if (uniquePoolIds.length === 0) {
+    throw new Error(`${file}: no pools to check; list "pools" or "tokens"`);
+  }
+
+  // Only fetch what the configured rule types look at
+  const context = { pools: [], positions: [], snapshots: [], baselines: {}, poolDayData: {}, prices: null, now };
+  for (const poolId of uniquePoolIds) {
+    context.pools.push(await source.fetchPoolInfo(poolId, fetchOptions));
+    if (rulesOf(OUT_OF_RANGE).length > 0) {
+      context.positions.push(...await source.fetchCurrentPositions(poolId, fetchOptions));
+    }
+  }
+  if (rulesOf(WITHDRAWAL).length > 0) {
+    context.snapshots = await source.fetchPositionSnapshots(uniquePoolIds, { ...fetchOptions, since: withdrawalsSince });
+    context.baselines = await source.fetchBaselineSnapshots(context.snapshots, fetchOptions);
+  }
+  if (rulesOf(TVL_DROP).length > 0) {
+    const lookbackDays = Math.max(...rulesOf(TVL_DROP).map(rule => rule.lookbackDays));
+    for (const poolId of uniquePoolIds) {
+      context.poolDayData[poolId] = await source.fetchPoolDayData(poolId, {
+        ...fetchOptions,
+        since: now - Math.ceil(lookbackDays + 1) * 24 * 60 * 60
+      });
+    }
+  }
+  if (config.rules.some(rule => rule.minUsd !== undefined && rule.minUsd !== null)) {
+    context.prices = await source.fetchTokenPrices(poolTokenIds(context.pools), {
+      ...fetchOptions,
+      since: withdrawalsSince
+    });
+  }
+
+  const results = await deliverAlerts(evaluateAlertRules(config.rules, context), config, {
+    dryRun: args.dryRun,
+    now
+  });
+
+  if (args.format === 'text') {
+    displayAlertResults(results);
+  }
+  // Let cron notice undelivered alerts
+  if (results.some(result => result.status === 'failed')) {
+    process.exitCode = 1;
+  }
+
+  return { alerts: results };
+}
+
+// Stream position events for the tokens' pools or one pool until SIGINT / SIGTERM
+async function runWatch(args) {
+  const fetchOptions = fetchOptionsFor(args);
+  const poolIds = args.command === 'token'
+    ? (await fetchers.fetchTokenPools(args.targets, fetchOptions)).map(pool => pool.id)
+    : [(await fetchers.fetchPoolInfo(args.targets[0], fetchOptions)).id];
+  if (poolIds.length === 0) {
+    throw new Error(`No pools found for ${args.targets.join(', ')}`);
+  }
+
+  const writer = args.format === 'ndjson' ? createNdjsonWriter(args.output) : null;
+  const controller = new AbortController();
+  const stop = () => {
+    if (!controller.signal.aborted) {
+      console.log('\n🛑 Stopping watch...');
+      controller.abort();
+    }
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  let count = 0;
+  try {
+    await watchPools(poolIds, {
+      client: args.client,
+      since: args.windowGiven ? args.since : undefined,
+      intervalMs: args.intervalSeconds * 1000,
+      signal: controller.signal,
+      onStart: ({ block }) => {
+        const from = block >= 0 ? `from block ${block}` : `replaying ${args.windowLabel}`;
+        console.log(`\n👀 WATCHING ${poolIds.length} POOL${poolIds.length === 1 ? '' : 'S'} (every ${args.intervalSeconds}s, ${from}), Ctrl-C to stop`);
+      },
+      onEvent: async event => {
+        if (args.users.length > 0 && !args.users.includes(event.owner.toLowerCase())) return;
+        count++;
+        if (writer) {
+          await writer.write('events', [event]);
+        } else {
+          displayWatchEvent(event);
+        }
+      }
+    });
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+    if (writer) {
+      await writer.close();
+    }
+  }
+
+  console.log(`\n👋 Watch stopped after ${count} event${count === 1 ? '' : 's'}`);
+}
+
+// Serve the HTTP API (lib/server.js) until SIGINT / SIGTERM
+async function runServe(args) {
+  const server = createApiServer({
+    source: args.source,
+    client: args.client,
+    cacheTtlMs: args.cacheTtlSeconds * 1000
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(args.port, args.host, resolve);
+  });
+  const { address, port } = server.address();
+  console.log(`\n🌐 SERVING ON http://${address}:${port} (cache ${args.cacheTtlSeconds}s), Ctrl-C to stop`);
+
+  await new Promise(resolve => {
+    const stop = () => {
+      console.log('\n🛑 Stopping server...');
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      server.close(resolve);
+      server.closeAllConnections();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+
+  console.log('\n👋 Server stopped');
+}
+
+const COMMANDS = {
+  token: runToken,
+  pool: runPool,
+  owner: runOwner,
+  portfolio: runPortfolio,
+  sync: runSync,
+  alerts: runAlerts,
+  serve: runServe
+};
+
+async function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Keep stdout clean for machine-readable output
+  if (args.format !== 'text') {
+    console.log = console.error;
+  }
+
+  args.client = createSubgraphClient({ endpoint: args.endpoint, ...args.clientOptions });
+
+  try {
+    // Offline reports read the local store through the same fetcher functions
+    if (args.offline) {
+      args.source = createStoreFetchers(openStore(args.storeDir, { mustExist: true }));
+      console.log(`\n🗄️  Offline: reading from store ${args.storeDir}`);
+    } else {
+      args.source = fetchers;
+    }
+
+    if (args.atBlock !== undefined || args.atTime !== undefined) {
+      await resolvePointInTime(args);
+      console.log(`\n⏱️  As of block ${args.at.number} (${new Date(args.at.timestamp * 1000).toISOString()})`);
+    }
+
+    // Watch mode writes its events as they arrive and the server answers per request,
+    // so neither has anything left to output at the end
+    if (args.watch) {
+      await runWatch(args);
+      return {};
+    }
+    if (args.command === 'serve') {
+      await runServe(args);
+      return {};
+    }
+
+    const run = args.leaderboard
+      ? runLeaderboard
+      : args.concentration
+        ? runConcentration
+        : args.jit ? runJit : COMMANDS[args.command];
+    const result = await run(args);
+
+    if (args.format === 'text') {
+      console.log('\n✅ Data fetch complete!\n');
+    } else {
+      const written = args.format === 'html'
+        ? writeHtmlReport(buildDatasets(result), {
+          output: args.output,
+          datasets: args.datasets,
+          title: `Upheaval ${args.command} report: ${args.targets.join(', ')}`,
+          windowLabel: args.at
+            ? `${args.windowLabel} · as of block ${args.at.number}`
+            : args.windowLabel
+        })
+        : await writeOutput(buildDatasets(result), {
+          format: args.format,
+          output: args.output,
+          datasets: args.datasets
+        });
+      written.forEach(file => console.error(`📝 Wrote ${file}`));
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`Failed to run "${args.command}":`, error);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  parseCliArgs,
+  main
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main();
+}
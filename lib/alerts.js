@@ -0,0 +1,385 @@
+/**
+ * Alert Rules
+ * ===========
+ *
+ * Declarative rules evaluated over fetched pools, positions and snapshots,
+ * with matches POSTed to a generic HTTP webhook as JSON. Used by
+ * `node cli.js alerts <rules.json>`, typically from cron.
+ *
+ * RULES FILE:
+ * -----------
+ *   {
+ *     "pools":  ["0xc06e..."],            pools to check
+ *     "tokens": ["0xfd73..."],            plus every pool containing these tokens
+ *     "webhook": { "url": "http://localhost:9000/alerts", "headers": {} },
+ *     "dedupeMinutes": 60,                 do not re-send a key within this window
+ *     "stateFile": "alerts.state.json",    sent keys (default <rules file>.state.json)
+ *     "rules": [
+ *       { "name": "desk-withdrawals", "type": "withdrawal",
+ *         "owners": ["0x0625..."], "minAmounts": { "0xfd73...": "100" }, "minUsd": "25000",
+ *         "lookbackMinutes": 60 },
+ *       { "name": "tvl-drop", "type": "tvlDrop", "minDropPercent": 20, "lookbackDays": 1 },
+ *       { "name": "big-out-of-range", "type": "outOfRange", "minUsd": "100000" }
+ *     ]
+ *   }
+ *
+ * Every rule may narrow itself with "owners" and/or "pools". Amounts are
+ * decimal strings in whole tokens (keyed by token address) or USD.
+ *
+ * RULE TYPES:
+ * -----------
+ * - withdrawal: a snapshot delta withdrew at least one of `minAmounts`, or at
+ *   least `minUsd` at the event day's price, over the last `lookbackMinutes`
+ *   (default DEFAULT_WITHDRAWAL_LOOKBACK_MINUTES; make it longer than the
+ *   cron interval). A withdrawal is a one-off event, so it is sent once and
+ *   its key is kept in the state file for as long as the lookback covers it.
+ * - tvlDrop:    the pool's TVL is at least `minDropPercent` below its highest
+ *   daily TVL over the previous `lookbackDays` days (pool day data).
+ * - outOfRange: an open position outside the current tick holds at least
+ *   `minLiquidity` (raw liquidity) or `minUsd` at current prices.
+ *
+ * DELIVERY:
+ * ---------
+ * One POST per alert with `{ rule, type, key, message, occurredAt, data }`.
+ * Other keys are not re-sent within the dedupe window; failed deliveries are not
+ * recorded, so the next run retries them. To try a rules file, point the
+ * webhook at a local receiver, e.g.
+ *
+ *   node -e "require('http').createServer((q, s) => { q.pipe(process.stdout); s.end() }).listen(9000)"
+ */
+
+const fs = require('node:fs');
+
+const { tokenDecimals, parseUnits, formatUnits, formatTokenAmount, ratio } = require('./decimal');
+const { PRICE_DECIMALS, formatUsd, valueDelta, valuePosition } = require('./pricing');
+const { buildPositionAggregates, hasWithdrawal } = require('./snapshot-deltas');
+const { getRangeStatus, IN_RANGE } = require('./range-status');
+
+const WITHDRAWAL = 'withdrawal';
+const TVL_DROP = 'tvlDrop';
+const OUT_OF_RANGE = 'outOfRange';
+
+const ALERT_TYPES = [WITHDRAWAL, TVL_DROP, OUT_OF_RANGE];
+
+const DEFAULT_DEDUPE_MINUTES = 60;
+const DEFAULT_WITHDRAWAL_LOOKBACK_MINUTES = 60;
+const DEFAULT_TVL_LOOKBACK_DAYS = 1;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const SECONDS_PER_DAY = 86400;
+
+function lowerCaseList(values = []) {
+  return values.map(value => value.toLowerCase());
+}
+
+function parseUsd(value) {
+  return value === undefined ? null : parseUnits(String(value), PRICE_DECIMALS);
+}
+
+// Validate one rule and normalise its addresses and thresholds
+function parseRule(rule, file) {
+  const where = `${file}: rule ${rule.name ? `"${rule.name}"` : JSON.stringify(rule)}`;
+  if (!rule.name) {
+    throw new Error(`${where} has no "name"`);
+  }
+  if (!ALERT_TYPES.includes(rule.type)) {
+    throw new Error(`${where} has unknown type "${rule.type}" (expected ${ALERT_TYPES.join(', ')})`);
+  }
+
+  const parsed = {
+    name: rule.name,
+    type: rule.type,
+    owners: lowerCaseList(rule.owners),
+    pools: lowerCaseList(rule.pools)
+  };
+
+  if (rule.type === WITHDRAWAL) {
+    parsed.minAmounts = {};
+    Object.entries(rule.minAmounts || {}).forEach(([token, amount]) => {
+      parsed.minAmounts[token.toLowerCase()] = String(amount);
+    });
+    parsed.minUsd = parseUsd(rule.minUsd);
+    if (Object.keys(parsed.minAmounts).length === 0 && parsed.minUsd === null) {
+      throw new Error(`${where} needs "minAmounts" or "minUsd"`);
+    }
+    const lookbackMinutes = Number(rule.lookbackMinutes ?? DEFAULT_WITHDRAWAL_LOOKBACK_MINUTES);
+    if (!(lookbackMinutes > 0)) {
+      throw new Error(`${where} needs a positive "lookbackMinutes", when given`);
+    }
+    parsed.lookbackSeconds = lookbackMinutes * 60;
+  } else if (rule.type === TVL_DROP) {
+    parsed.minDropPercent = Number(rule.minDropPercent);
+    parsed.lookbackDays = Number(rule.lookbackDays ?? DEFAULT_TVL_LOOKBACK_DAYS);
+    if (!(parsed.minDropPercent > 0) || !(parsed.lookbackDays > 0)) {
+      throw new Error(`${where} needs a positive "minDropPercent" (and "lookbackDays", when given)`);
+    }
+  } else {
+    parsed.minLiquidity = rule.minLiquidity === undefined ? null : BigInt(rule.minLiquidity);
+    parsed.minUsd = parseUsd(rule.minUsd);
+    if (parsed.minLiquidity === null && parsed.minUsd === null) {
+      throw new Error(`${where} needs "minLiquidity" or "minUsd"`);
+    }
+  }
+
+  return parsed;
+}
+
+// Read and validate a rules file
+function loadAlertConfig(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!raw.webhook?.url) {
+    throw new Error(`${file}: missing "webhook.url"`);
+  }
+  if (!Array.isArray(raw.rules) || raw.rules.length === 0) {
+    throw new Error(`${file}: "rules" must be a non-empty array`);
+  }
+
+  const rules = raw.rules.map(rule => parseRule(rule, file));
+  const duplicate = rules.find((rule, index) => rules.findIndex(other => other.name === rule.name) !== index);
+  if (duplicate) {
+    throw new Error(`${file}: rule name "${duplicate.name}" is used twice`);
+  }
+
+  const dedupeSeconds = Number(raw.dedupeMinutes ?? DEFAULT_DEDUPE_MINUTES) * 60;
+  if (!(dedupeSeconds > 0)) {
+    throw new Error(`${file}: "dedupeMinutes" must be positive`);
+  }
+
+  return {
+    pools: lowerCaseList(raw.pools),
+    tokens: lowerCaseList(raw.tokens),
+    webhook: { headers: {}, timeoutMs: WEBHOOK_TIMEOUT_MS, ...raw.webhook },
+    dedupeSeconds,
+    // Sent keys are kept until neither the dedupe window nor a withdrawal lookback can see them again
+    retainSeconds: Math.max(dedupeSeconds, withdrawalLookbackSeconds(rules)),
+    stateFile: raw.stateFile || `${file}.state.json`,
+    rules
+  };
+}
+
+// Longest lookback of the withdrawal rules (0 without any), i.e. how far back their snapshots are needed
+function withdrawalLookbackSeconds(rules) {
+  return Math.max(0, ...rules.filter(rule => rule.type === WITHDRAWAL).map(rule => rule.lookbackSeconds));
+}
+
+function ruleApplies(rule, owner, poolId) {
+  return (rule.owners.length === 0 || (owner && rule.owners.includes(owner.toLowerCase()))) &&
+    (rule.pools.length === 0 || rule.pools.includes(poolId.toLowerCase()));
+}
+
+function poolLabel(pool) {
+  return `${pool.token0.symbol}/${pool.token1.symbol}`;
+}
+
+// Whether a withdrawn token amount (base units) reaches the rule's threshold for that token
+function meetsMinAmount(rule, token, units) {
+  const min = rule.minAmounts[token.id.toLowerCase()];
+  return min !== undefined && units >= parseUnits(min, tokenDecimals(token));
+}
+
+function evaluateWithdrawals(rule, context) {
+  const since = context.now - rule.lookbackSeconds;
+  const alerts = [];
+  buildPositionAggregates(context.snapshots, context.baselines).forEach(aggregate => {
+    const { pool, owner, positionId } = aggregate;
+    if (!ruleApplies(rule, owner, pool.id)) return;
+
+    aggregate.deltas.filter(delta => hasWithdrawal(delta) && parseInt(delta.timestamp) >= since).forEach(delta => {
+      const usd = context.prices ? valueDelta(delta, pool, context.prices).withdrawn : null;
+      const matched = meetsMinAmount(rule, pool.token0, delta.withdrawn0) ||
+        meetsMinAmount(rule, pool.token1, delta.withdrawn1) ||
+        (rule.minUsd !== null && usd !== null && usd >= rule.minUsd);
+      if (!matched) return;
+
+      const amounts = `${formatTokenAmount(delta.withdrawn0, pool.token0)} ${pool.token0.symbol}, ${formatTokenAmount(delta.withdrawn1, pool.token1)} ${pool.token1.symbol}`;
+      alerts.push({
+        rule: rule.name,
+        type: rule.type,
+        key: `${rule.name}:${delta.snapshot.id}`,
+        once: true,
+        occurredAt: parseInt(delta.timestamp),
+        message: `Position ${positionId} (owner ${owner}) withdrew ${amounts} (${formatUsd(usd)}) from ${poolLabel(pool)} at block ${delta.blockNumber}`,
+        data: {
+          poolId: pool.id,
+          positionId,
+          owner,
+          blockNumber: delta.blockNumber,
+          transactionId: delta.transactionId,
+          withdrawnToken0: formatUnits(delta.withdrawn0, tokenDecimals(pool.token0)),
+          withdrawnToken1: formatUnits(delta.withdrawn1, tokenDecimals(pool.token1)),
+          withdrawnUSD: usd === null ? null : formatUnits(usd, PRICE_DECIMALS)
+        }
+      });
+    });
+  });
+  return alerts;
+}
+
+function evaluateTvlDrops(rule, context) {
+  const today = context.now - (context.now % SECONDS_PER_DAY);
+  const alerts = [];
+  context.pools.forEach(pool => {
+    if (rule.pools.length > 0 && !rule.pools.includes(pool.id.toLowerCase())) return;
+
+    const reference = (context.poolDayData[pool.id] || [])
+      .filter(dayData => parseInt(dayData.date) < today && parseInt(dayData.date) >= today - rule.lookbackDays * SECONDS_PER_DAY)
+      .reduce((highest, dayData) => {
+        const tvl = parseUsd(dayData.tvlUSD);
+        return highest === null || tvl > highest ? tvl : highest;
+      }, null);
+    if (!reference) return;
+
+    const current = parseUsd(pool.totalValueLockedUSD);
+    const dropPercent = ratio(reference - current, reference) * 100;
+    if (dropPercent < rule.minDropPercent) return;
+
+    alerts.push({
+      rule: rule.name,
+      type: rule.type,
+      key: `${rule.name}:${pool.id}`,
+      occurredAt: context.now,
+      message: `${poolLabel(pool)} TVL ${formatUsd(current)} is down ${dropPercent.toFixed(1)}% from ${formatUsd(reference)} over ${rule.lookbackDays} day${rule.lookbackDays === 1 ? '' : 's'}`,
+      data: {
+        poolId: pool.id,
+        tvlUSD: formatUnits(current, PRICE_DECIMALS),
+        referenceTvlUSD: formatUnits(reference, PRICE_DECIMALS),
+        dropPercent
+      }
+    });
+  });
+  return alerts;
+}
+
+function evaluateOutOfRange(rule, context) {
+  const alerts = [];
+  context.positions.forEach(position => {
+    const pool = position.pool;
+    if (!ruleApplies(rule, position.owner, pool.id)) return;
+
+    const { status, ticksToBound } = getRangeStatus(position, pool);
+    if (status === IN_RANGE) return;
+
+    const liquidity = BigInt(position.liquidity);
+    const usd = context.prices ? valuePosition(position, pool, context.prices).currentValue : null;
+    const matched = (rule.minLiquidity !== null && liquidity >= rule.minLiquidity) ||
+      (rule.minUsd !== null && usd !== null && usd >= rule.minUsd);
+    if (!matched) return;
+
+    alerts.push({
+      rule: rule.name,
+      type: rule.type,
+      key: `${rule.name}:${position.id}`,
+      occurredAt: context.now,
+      message: `Position ${position.id} (owner ${position.owner}) in ${poolLabel(pool)} is ${status}, ${Math.abs(ticksToBound)} ticks out, worth ${formatUsd(usd)}`,
+      data: {
+        poolId: pool.id,
+        positionId: position.id,
+        owner: position.owner,
+        status,
+        ticksToBound,
+        liquidity: position.liquidity,
+        valueUSD: usd === null ? null : formatUnits(usd, PRICE_DECIMALS)
+      }
+    });
+  });
+  return alerts;
+}
+
+const EVALUATORS = {
+  [WITHDRAWAL]: evaluateWithdrawals,
+  [TVL_DROP]: evaluateTvlDrops,
+  [OUT_OF_RANGE]: evaluateOutOfRange
+};
+
+// Evaluate every rule. `context` holds the fetched data:
+// { pools, positions (with POSITION_FIELDS), snapshots, baselines, poolDayData (pool ID -> rows), prices, now }
+function evaluateAlertRules(rules, context) {
+  return rules.flatMap(rule => EVALUATORS[rule.type](rule, context));
+}
+
+// Sent keys and when they were sent, from the state file
+function loadAlertState(file) {
+  if (!fs.existsSync(file)) {
+    return { sent: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Save the state, forgetting keys sent `retainSeconds` or more ago
+function saveAlertState(file, state, retainSeconds, now) {
+  const sent = {};
+  Object.entries(state.sent).forEach(([key, sentAt]) => {
+    if (now - sentAt < retainSeconds) {
+      sent[key] = sentAt;
+    }
+  });
+  fs.writeFileSync(file, `${JSON.stringify({ sent }, null, 2)}\n`);
+}
+
+async function postWebhook(webhook, payload) {
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...webhook.headers },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(webhook.timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook answered HTTP ${response.status}`);
+  }
+}
+
+// POST every alert not sent within the dedupe window (or ever, for `once` alerts such as
+// withdrawals) and record the ones delivered. Returns the alerts with `status` set to sent, duplicate, failed or (with dryRun) matched.
+async function deliverAlerts(alerts, config, options = {}) {
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const state = loadAlertState(config.stateFile);
+  const results = [];
+
+  for (const alert of alerts) {
+    const sentAt = state.sent[alert.key];
+    if (sentAt !== undefined && (alert.once || now - sentAt < config.dedupeSeconds)) {
+      results.push({ ...alert, status: 'duplicate' });
+      continue;
+    }
+    if (options.dryRun) {
+      results.push({ ...alert, status: 'matched' });
+      continue;
+    }
+
+    try {
+      await postWebhook(config.webhook, {
+        rule: alert.rule,
+        type: alert.type,
+        key: alert.key,
+        message: alert.message,
+        occurredAt: new Date(alert.occurredAt * 1000).toISOString(),
+        data: alert.data
+      });
+      state.sent[alert.key] = now;
+      results.push({ ...alert, status: 'sent' });
+    } catch (error) {
+      console.error(`Error delivering alert ${alert.key}:`, error.message);
+      results.push({ ...alert, status: 'failed', error: error.message });
+    }
+  }
+
+  if (!options.dryRun) {
+    saveAlertState(config.stateFile, state, config.retainSeconds, now);
+  }
+  return results;
+}
+
+module.exports = {
+  WITHDRAWAL,
+  TVL_DROP,
+  OUT_OF_RANGE,
+  ALERT_TYPES,
+  DEFAULT_DEDUPE_MINUTES,
+  DEFAULT_WITHDRAWAL_LOOKBACK_MINUTES,
+  loadAlertConfig,
+  withdrawalLookbackSeconds,
+  evaluateAlertRules,
+  loadAlertState,
+  saveAlertState,
+  deliverAlerts
+};
@@ -0,0 +1,131 @@
+/**
+ * Fee APR
+ * =======
+ *
+ * Annualized fee yield, as a percentage, for pools and positions.
+ *
+ * POOL:
+ * -----
+ * Fee revenue over the window from daily volume and the fee tier (in
+ * hundredths of a bip, so 3000 = 0.30%), divided by the pool's current TVL:
+ *
+ *   apr = (volumeUSD * feeTier / 1e6) / totalValueLockedUSD * (1 year / window)
+ *
+ * POSITION:
+ * ---------
+ * Lifetime fees (collected, less the withdrawn principal a Collect also pays
+ * out, plus estimated uncollected) divided by the position's average value
+ * while it held liquidity, annualized over that active time:
+ *
+ *   apr = fees / averageValue * (1 year / activeSeconds)
+ *
+ * The active time and time-weighted average liquidity come from the
+ * position's full snapshot history (fetchPositionHistory). Average value is
+ * that liquidity valued over the position's range at current prices, so fees
+ * and value share one set of prices and closed positions are still covered.
+ *
+ * USD values are BigInt scaled by 10^PRICE_DECIMALS (lib/pricing.js).
+ */
+
+const { parseUnits, ratio, divRound, pow10 } = require('./decimal');
+const { computePositionAmounts } = require('./liquidity-math');
+const { computeUncollectedFees } = require('./fee-math');
+const { orderSnapshotsByBlock, computeCollectedFees } = require('./snapshot-deltas');
+const { PRICE_DECIMALS, dayStart, sumUsd, valuePair, currentPoolPrices } = require('./pricing');
+
+const SECONDS_PER_YEAR = 365 * 86400;
+
+// feeTier is in hundredths of a bip
+const FEE_TIER_DENOMINATOR = 1000000n;
+
+// Liquidity valued per unit when pricing a range, to keep integer precision
+const LIQUIDITY_UNIT = pow10(18);
+
+function annualize(yieldRatio, seconds) {
+  return yieldRatio * (SECONDS_PER_YEAR / seconds) * 100;
+}
+
+// Fee APR of a pool over the window, from its GetPoolDayData rows (day data starts at the window's UTC day)
+function computePoolFeeApr(pool, dayDatas, since, now = Math.floor(Date.now() / 1000)) {
+  const seconds = now - dayStart(since);
+  const volume = dayDatas.reduce((sum, dayData) => sum + parseUnits(dayData.volumeUSD, PRICE_DECIMALS), 0n);
+  const fees = volume * BigInt(pool.feeTier || 0) / FEE_TIER_DENOMINATOR;
+  const tvl = parseUnits(pool.totalValueLockedUSD, PRICE_DECIMALS);
+
+  return {
+    seconds,
+    volume,
+    fees,
+    tvl,
+    apr: tvl > 0n && seconds > 0 ? annualize(ratio(fees, tvl), seconds) : null
+  };
+}
+
+// Seconds with liquidity > 0 and the time-weighted liquidity over them, from a position's snapshot history
+function computeLiquidityExposure(history, now = Math.floor(Date.now() / 1000)) {
+  const ordered = orderSnapshotsByBlock(history);
+  let seconds = 0;
+  let liquiditySeconds = 0n;
+
+  ordered.forEach((snapshot, index) => {
+    const liquidity = BigInt(snapshot.liquidity || 0);
+    const end = index + 1 < ordered.length ? parseInt(ordered[index + 1].timestamp) : now;
+    const elapsed = end - parseInt(snapshot.timestamp);
+    if (liquidity > 0n && elapsed > 0) {
+      seconds += elapsed;
+      liquiditySeconds += liquidity * BigInt(elapsed);
+    }
+  });
+
+  return {
+    seconds,
+    averageLiquidity: seconds > 0 ? divRound(liquiditySeconds, BigInt(seconds)) : 0n
+  };
+}
+
+// Fee APR of one position (a position entity with POSITION_FIELDS), or null without history
+function computePositionFeeApr(position, history, book, now = Math.floor(Date.now() / 1000)) {
+  if (!history || history.length === 0) return null;
+
+  const pool = position.pool;
+  const prices = currentPoolPrices(book, pool);
+  const { seconds, averageLiquidity } = computeLiquidityExposure(history, now);
+
+  const unitAmounts = computePositionAmounts({ ...position, liquidity: LIQUIDITY_UNIT.toString() }, pool);
+  const unitValue = valuePair(unitAmounts.amount0, unitAmounts.amount1, pool, prices);
+  const averageValue = unitValue === null ? null : averageLiquidity * unitValue / LIQUIDITY_UNIT;
+
+  const uncollected = computeUncollectedFees(position, pool) || { amount0: 0n, amount1: 0n };
+  // Collected totals less the withdrawn principal they include (computeCollectedFees)
+  const collected = computeCollectedFees(position, pool);
+  const fees = sumUsd(
+    valuePair(collected.amount0, collected.amount1, pool, prices),
+    valuePair(uncollected.amount0, uncollected.amount1, pool, prices)
+  );
+
+  return {
+    seconds,
+    averageLiquidity,
+    averageValue,
+    fees,
+    apr: fees !== null && averageValue && seconds > 0 ? annualize(ratio(fees, averageValue), seconds) : null
+  };
+}
+
+// Map of position ID -> fee APR for every position in `positionsById`
+function computePositionsFeeApr(positionsById, history, book, now) {
+  const aprs = {};
+  Object.values(positionsById).forEach(position => {
+    aprs[position.id] = computePositionFeeApr(position, history[position.id], book, now);
+  });
+  return aprs;
+}
+
+module.exports = {
+  SECONDS_PER_YEAR,
+  FEE_TIER_DENOMINATOR,
+  computePoolFeeApr,
+  computeLiquidityExposure,
+  computePositionFeeApr,
+  computePositionsFeeApr
+};
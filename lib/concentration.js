@@ -0,0 +1,137 @@
+/**
+ * Liquidity Concentration
+ * =======================
+ *
+ * How dependent a pool is on a few LPs, from the liquidity of its active
+ * positions summed per owner. Raw liquidity is comparable within a pool, so
+ * every metric is per pool; out-of-range positions count like any other.
+ *
+ * METRICS:
+ * --------
+ * - top1Share / top5Share / top10Share: share of the pool's listed liquidity
+ *   held by its largest 1, 5 and 10 owners (0 to 1)
+ * - hhi:  Herfindahl-Hirschman index, the sum of the owners' squared shares
+ *         in percent (up to 10000 for a single owner)
+ * - gini: Gini coefficient of the owners' liquidity (0 when every owner holds
+ *         the same, towards 1 when one owner holds nearly everything)
+ *
+ * HISTORY:
+ * --------
+ * buildConcentrationHistory replays the window's position snapshots to get
+ * each position's liquidity at the end of every UTC day: the latest snapshot
+ * up to then, else the last one before the window (see
+ * fetchBaselineSnapshots), else, for positions without snapshots in the
+ * window, their current liquidity.
+ */
+
+const { ratio } = require('./decimal');
+
+const SECONDS_PER_DAY = 86400;
+
+// Owner counts of the topNShare metrics
+const TOP_COUNTS = [1, 5, 10];
+
+// Owner -> summed liquidity (BigInt) of `entries` ({ owner, liquidity }), leaving out empty owners
+function ownerLiquidity(entries) {
+  const byOwner = new Map();
+  entries.forEach(({ owner, liquidity }) => {
+    const key = owner.toLowerCase();
+    byOwner.set(key, (byOwner.get(key) || 0n) + BigInt(liquidity));
+  });
+  byOwner.forEach((liquidity, owner) => {
+    if (liquidity <= 0n) byOwner.delete(owner);
+  });
+  return byOwner;
+}
+
+// Concentration metrics of an owner -> liquidity map (see ownerLiquidity).
+// Shares and indices are null when there is no liquidity at all.
+function computeConcentration(liquidityByOwner) {
+  const owners = Array.from(liquidityByOwner.entries()).sort(([ownerA, a], [ownerB, b]) =>
+    (a > b ? -1 : a < b ? 1 : ownerA < ownerB ? -1 : 1)
+  );
+  const liquidity = owners.reduce((sum, [, ownerTotal]) => sum + ownerTotal, 0n);
+  const metrics = {
+    owners: owners.length,
+    liquidity,
+    topOwner: owners.length > 0 ? owners[0][0] : null,
+    hhi: null,
+    gini: null
+  };
+  TOP_COUNTS.forEach(count => {
+    metrics[`top${count}Share`] = null;
+  });
+  if (liquidity === 0n) return metrics;
+
+  const shares = owners.map(([, ownerTotal]) => ratio(ownerTotal, liquidity));
+  TOP_COUNTS.forEach(count => {
+    metrics[`top${count}Share`] = Math.min(1, shares.slice(0, count).reduce((sum, share) => sum + share, 0));
+  });
+  metrics.hhi = shares.reduce((sum, share) => sum + (share * 100) ** 2, 0);
+
+  // Shares sum to 1, so G = 2 * sum(i * x_i) / n - (n + 1) / n with x ascending and i from 1
+  const n = shares.length;
+  const weighted = shares.slice().reverse().reduce((sum, share, index) => sum + (index + 1) * share, 0);
+  metrics.gini = Math.max(0, (2 * weighted) / n - (n + 1) / n);
+  return metrics;
+}
+
+// Whether the largest owner holds more than `maxSharePercent` of the liquidity
+function exceedsOwnerShare(metrics, maxSharePercent) {
+  return metrics.top1Share !== null && metrics.top1Share * 100 > maxSharePercent;
+}
+
+// Concentration at the end of every UTC day from `since` to `until`, and at `until` itself,
+// for one pool's current `positions` and window `snapshots`. Returns [{ timestamp, ...metrics }].
+function buildConcentrationHistory(positions, snapshots, baselines = {}, options = {}) {
+  const { since, until = Math.floor(Date.now() / 1000) } = options;
+
+  const snapshotsByPosition = {};
+  snapshots.forEach(snapshot => {
+    const positionId = snapshot.position?.id;
+    if (!positionId) return;
+    if (!snapshotsByPosition[positionId]) {
+      snapshotsByPosition[positionId] = [];
+    }
+    snapshotsByPosition[positionId].push(snapshot);
+  });
+  Object.values(snapshotsByPosition).forEach(positionSnapshots =>
+    positionSnapshots.sort((a, b) => parseInt(a.blockNumber) - parseInt(b.blockNumber))
+  );
+
+  // Positions without snapshots in the window held their current liquidity throughout
+  const unchanged = positions.filter(position => !snapshotsByPosition[position.id]);
+
+  const liquidityAt = timestamp => {
+    const entries = unchanged.map(position => ({ owner: position.owner, liquidity: position.liquidity }));
+    Object.entries(snapshotsByPosition).forEach(([positionId, positionSnapshots]) => {
+      let latest = null;
+      for (const snapshot of positionSnapshots) {
+        if (parseInt(snapshot.timestamp) > timestamp) break;
+        latest = snapshot;
+      }
+      const liquidity = latest ? latest.liquidity : baselines[positionId]?.liquidity || '0';
+      entries.push({ owner: positionSnapshots[0].owner, liquidity });
+    });
+    return entries;
+  };
+
+  const timestamps = [];
+  for (let day = Math.floor(since / SECONDS_PER_DAY) * SECONDS_PER_DAY + SECONDS_PER_DAY; day < until; day += SECONDS_PER_DAY) {
+    timestamps.push(day);
+  }
+  timestamps.push(until);
+
+  return timestamps.map(timestamp => ({
+    timestamp,
+    ...computeConcentration(ownerLiquidity(liquidityAt(timestamp)))
+  }));
+}
+
+module.exports = {
+  TOP_COUNTS,
+  ownerLiquidity,
+  computeConcentration,
+  exceedsOwnerShare,
+  buildConcentrationHistory
+};
@@ -0,0 +1,64 @@
+/**
+ * Shared Defaults
+ * ===============
+ *
+ * Defaults used by the CLI and the legacy per-pool scripts. Everything here
+ * can be overridden per run (see `node cli.js --help`).
+ */
+
+const SUBGRAPH_URL = 'https://api.upheaval.fi/subgraphs/name/upheaval/exchange-v3-fixed';
+
+// Length of the snapshot window when no --days / --since is given
+const DEFAULT_WINDOW_DAYS = 7;
+
+// Directory of the local snapshot store (lib/store.js) when no --store is given
+const DEFAULT_STORE_DIR = '.upheaval-store';
+
+// Seconds between subgraph polls in watch mode when no --interval is given
+const DEFAULT_WATCH_INTERVAL_SECONDS = 15;
+
+// Address and port of the HTTP API server (lib/server.js) when no --host / --port is given
+const DEFAULT_SERVER_HOST = '127.0.0.1';
+const DEFAULT_SERVER_PORT = 8787;
+
+// Seconds the HTTP API server reuses a subgraph response when no --cache-ttl is given
+const DEFAULT_CACHE_TTL_SECONDS = 30;
+
+// Owners listed per leaderboard (lib/leaderboard.js) when no --top is given
+const DEFAULT_LEADERBOARD_TOP = 10;
+
+// Depth chart (lib/liquidity-distribution.js) buckets and price window in percent either
+// side of the current price, when no --depth-buckets / --depth-range is given
+const DEFAULT_DEPTH_BUCKETS = 40;
+const DEFAULT_DEPTH_RANGE_PERCENT = 5;
+
+// Largest single-owner share of a pool's liquidity, in percent, before the concentration
+// report (lib/concentration.js) warns, when no --max-owner-share is given
+const DEFAULT_MAX_OWNER_SHARE_PERCENT = 25;
+
+// Lifetime in seconds under which a closed position counts as short-lived liquidity
+// (lib/jit.js), when no --max-lifetime is given
+const DEFAULT_MAX_LIFETIME_SECONDS = 3600;
+
+// Get the unix timestamp (seconds) for `days` days ago
+function getTimestampDaysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return Math.floor(date.getTime() / 1000);
+}
+
+module.exports = {
+  SUBGRAPH_URL,
+  DEFAULT_WINDOW_DAYS,
+  DEFAULT_STORE_DIR,
+  DEFAULT_WATCH_INTERVAL_SECONDS,
+  DEFAULT_SERVER_HOST,
+  DEFAULT_SERVER_PORT,
+  DEFAULT_CACHE_TTL_SECONDS,
+  DEFAULT_LEADERBOARD_TOP,
+  DEFAULT_DEPTH_BUCKETS,
+  DEFAULT_DEPTH_RANGE_PERCENT,
+  DEFAULT_MAX_OWNER_SHARE_PERCENT,
+  DEFAULT_MAX_LIFETIME_SECONDS,
+  getTimestampDaysAgo
+};
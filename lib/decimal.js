@@ -0,0 +1,125 @@
+/**
+ * Exact Token Amount Arithmetic
+ * =============================
+ *
+ * The subgraph returns token amounts as decimal strings (e.g. "33553.002435")
+ * and liquidity as uint128 integer strings. Parsing either with parseFloat
+ * loses precision once values pass 2^53, and repeated float sums drift.
+ *
+ * Instead, token amounts are held as BigInt base units of the token, i.e.
+ * scaled by 10^decimals (the `decimals` field on the subgraph's Token), and
+ * only turned back into strings for display or export:
+ *
+ *   parseUnits('33553.002435', 6)   -> 33553002435n
+ *   formatUnits(33553002435n, 6)    -> '33553.002435'
+ *   formatAmount(raw, decimals)     -> rounded to significant digits for display
+ *   formatTokenAmount(raw, token)   -> the same, at the token's decimals
+ *
+ * Liquidity stays a plain BigInt (it has no decimals).
+ */
+
+// Used when a token object has no `decimals` (the ERC-20 default)
+const DEFAULT_DECIMALS = 18;
+
+// Significant digits shown by formatAmount; never more fraction digits than the token has
+const DEFAULT_SIGNIFICANT_DIGITS = 12;
+
+function pow10(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+// Divide and round half away from zero
+function divRound(numerator, denominator) {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  let quotient = n / d;
+  if ((n % d) * 2n >= d) {
+    quotient += 1n;
+  }
+  return negative ? -quotient : quotient;
+}
+
+function tokenDecimals(token) {
+  const decimals = parseInt(token?.decimals);
+  return Number.isNaN(decimals) ? DEFAULT_DECIMALS : decimals;
+}
+
+// Parse a decimal string (plain or exponent notation) into base units, rounding past `decimals`
+function parseUnits(value, decimals) {
+  if (typeof value === 'bigint') {
+    return value * pow10(decimals);
+  }
+  const text = String(value ?? '0').trim();
+  if (text === '') {
+    return 0n;
+  }
+
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text);
+  if (!match || (match[2] === '' && (match[3] || '') === '')) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+
+  const [, sign, integerPart, fractionPart = '', exponentPart = '0'] = match;
+  const digits = BigInt((integerPart + fractionPart) || '0');
+  // digits * 10^(exponent - fraction length) is the value; scale by 10^decimals
+  const shift = decimals + parseInt(exponentPart) - fractionPart.length;
+  const units = shift >= 0 ? digits * pow10(shift) : divRound(digits, pow10(-shift));
+
+  return sign === '-' ? -units : units;
+}
+
+// Exact decimal string for base units, without trailing zeros
+function formatUnits(units, decimals) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(decimals + 1, '0');
+  const integerPart = digits.slice(0, digits.length - decimals);
+  const fractionPart = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return (negative ? '-' : '') + integerPart + (fractionPart ? '.' + fractionPart : '');
+}
+
+// Display string rounded to `significantDigits`, keeping every integer digit
+// and never more fraction digits than the token has
+function formatAmount(units, decimals, significantDigits = DEFAULT_SIGNIFICANT_DIGITS) {
+  if (units === 0n) return '0';
+
+  const magnitude = units < 0n ? -units : units;
+  const length = magnitude.toString().length;
+  const integerDigits = length - decimals;
+
+  // Below 1, integerDigits is minus the number of leading fraction zeros,
+  // so significant digits start after those zeros
+  const fractionDigits = Math.min(decimals, Math.max(0, significantDigits - integerDigits));
+
+  const rounded = divRound(units, pow10(decimals - fractionDigits));
+  return formatUnits(rounded, fractionDigits);
+}
+
+// Format a token amount for display. Accepts the subgraph's decimal strings or
+// BigInt base units (as produced by lib/snapshot-deltas.js) plus the token, whose
+// decimals decide the precision
+function formatTokenAmount(amount, token) {
+  const decimals = tokenDecimals(token);
+  const units = typeof amount === 'bigint' ? amount : parseUnits(amount, decimals);
+  return formatAmount(units, decimals);
+}
+
+// Ratio of two BigInts as a float (0 when the denominator is 0), for shares and percentages
+function ratio(numerator, denominator) {
+  if (denominator === 0n) return 0;
+  const scale = pow10(18);
+  return Number(divRound(numerator * scale, denominator)) / 1e18;
+}
+
+module.exports = {
+  DEFAULT_DECIMALS,
+  DEFAULT_SIGNIFICANT_DIGITS,
+  pow10,
+  divRound,
+  tokenDecimals,
+  parseUnits,
+  formatUnits,
+  formatAmount,
+  formatTokenAmount,
+  ratio
+};
@@ -0,0 +1,917 @@
+/**
+ * Console Reports
+ * ===============
+ *
+ * Emoji-decorated console reports shared by the CLI (cli.js) and the legacy
+ * per-pool scripts:
+ *
+ * - displayPoolInfo:             pool header (tokens, fee tier, TVL, volume,
+ *                                fee APR)
+ * - displayCurrentPositions:     active positions grouped by owner, with the
+ *                                tokens each holds at the current price and
+ *                                whether it is in range
+ * - displayPositionSnapshots:    a pool's snapshots grouped by position, each
+ *                                labelled with its lifecycle event
+ * - displayUserSnapshots:        snapshots grouped by pool and user, followed
+ *                                by displayPositionTransactions
+ * - displayPositionTransactions: per-position totals, net position and
+ *                                lifecycle (mint, increase, decrease, collect,
+ *                                close; lib/lifecycle.js) built from snapshot
+ *                                deltas
+ * - displayPositionPnl:          PnL versus holding the deposited tokens, per
+ *                                position and per owner (lib/pnl.js)
+ * - displayPortfolio:            an owner portfolio across every pool
+ *                                (lib/portfolio.js): open positions through
+ *                                displayCurrentPositions and positions closed
+ *                                in the window through
+ *                                displayPositionSnapshots, per pool, then
+ *                                per token totals
+ * - displayLiquidityDistribution: depth histogram of the listed liquidity
+ *                                per tick bucket around the current tick
+ *                                (lib/liquidity-distribution.js)
+ * - displayConcentration:        per pool owner concentration of liquidity
+ *                                and its daily history (lib/concentration.js)
+ * - displayLeaderboards:         top owners by liquidity share, value, fees
+ *                                and net flow (lib/leaderboard.js)
+ * - displayJitReport:            JIT and short-lived liquidity per pool and
+ *                                per owner (lib/jit.js)
+ * - displayWatchEvent:           one position event streamed by watch mode
+ *                                (lib/watch.js)
+ * - displayAlertResults:         alert rule matches and their delivery
+ *                                status (lib/alerts.js)
+ *
+ * Uncollected fees are estimates from the fee growth values (lib/fee-math.js)
+ * and are only shown when the subgraph returned them. USD figures
+ * (lib/pricing.js) are only shown when a price book is passed in `prices`.
+ */
+
+const { formatAmount, formatTokenAmount, divRound, ratio } = require('./decimal');
+const { computePositionAmounts, sumPositionAmounts } = require('./liquidity-math');
+const { computeUncollectedFees, sumUncollectedFees } = require('./fee-math');
+const {
+  PRICE_DECIMALS,
+  formatUsd,
+  getCurrentPrice,
+  sumUsd,
+  valueDelta,
+  valueAggregate,
+  valuePosition
+} = require('./pricing');
+const { summarizeOwnerPnl } = require('./pnl');
+const {
+  IN_RANGE,
+  BELOW_RANGE,
+  ABOVE_RANGE,
+  RANGE_STATUSES,
+  getRangeStatus,
+  summarizeRangeStatus
+} = require('./range-status');
+const {
+  buildPositionAggregates,
+  computeCollectedFees,
+  hasDeposit,
+  hasWithdrawal,
+  hasFees,
+  hasActivity
+} = require('./snapshot-deltas');
+const {
+  MINT,
+  INCREASE,
+  DECREASE,
+  CLOSE,
+  COLLECT,
+  OTHER,
+  buildPositionLifecycle,
+  describeLifecycle
+} = require('./lifecycle');
+const { LIQUIDITY_SHARE, VALUE, FEES, INFLOW, OUTFLOW, BOARDS } = require('./leaderboard');
+
+const DEFAULT_WINDOW_LABEL = 'Last 7 Days';
+
+// Keep only snapshots owned by one of `users` (all snapshots when the filter is empty)
+function filterSnapshotsByUsers(snapshots, users = []) {
+  if (users.length === 0) {
+    return snapshots;
+  }
+  const userIds = users.map(user => user.toLowerCase());
+  return snapshots.filter(snapshot => 
+    userIds.includes(snapshot.owner.toLowerCase())
+  );
+}
+
+const RANGE_STATUS_LABELS = {
+  [IN_RANGE]: '🟢 In range',
+  [BELOW_RANGE]: '🔻 Below range',
+  [ABOVE_RANGE]: '🔺 Above range'
+};
+
+// e.g. "🟢 In range (12 ticks / -0.12% to nearest bound)"
+function formatRangeStatus({ status, ticksToBound, pricePercentToBound }) {
+  const sign = pricePercentToBound > 0 ? '+' : '';
+  const target = status === IN_RANGE ? 'to nearest bound' : 'to re-enter range';
+  return `${RANGE_STATUS_LABELS[status]} (${Math.abs(ticksToBound)} ticks / ${sign}${pricePercentToBound.toFixed(2)}% ${target})`;
+}
+
+// Note for token1 fees dropped because collectedFeesToken1 matched the token0 total (see computeCollectedFees)
+function ignoredToken1Note(fees) {
+  return fees.token1Ignored ? ' (collected token1 equals token0, taken for a copy and ignored)' : '';
+}
+
+// USD price per token, to significant digits so small prices do not round to $0.00
+function formatUsdPrice(price) {
+  return price === null ? 'n/a' : `$${formatAmount(price, PRICE_DECIMALS)}`;
+}
+
+// e.g. "+12.34%", 'n/a' when there is no cost basis
+function formatPercent(value) {
+  if (value === null) return 'n/a';
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+// e.g. "12.34%" for a 0 to 1 share, 'n/a' when there is none
+function formatShare(share) {
+  return share === null ? 'n/a' : `${(share * 100).toFixed(2)}%`;
+}
+
+function formatApr(apr) {
+  return apr === null ? 'n/a' : `${apr.toFixed(2)}%`;
+}
+
+// e.g. "18.20% (42.5 days active, average value $1234.56)" for a computePositionFeeApr result
+function formatPositionApr(positionApr) {
+  if (!positionApr) return 'n/a (no history)';
+  const days = (positionApr.seconds / 86400).toFixed(1);
+  return `${formatApr(positionApr.apr)} (${days} days active, average value ${formatUsd(positionApr.averageValue)})`;
+}
+
+// Options:
+// - users:         owner addresses to keep (empty keeps everyone)
+// - baselines:     position ID -> last snapshot before the window (see fetchBaselineSnapshots)
+// - positionsById: position ID -> current position (see fetchPositionsByIds), for held tokens and uncollected fees
+// - prices:        price book (see fetchTokenPrices), for USD values
+// - aprs:          position ID -> fee APR (see computePositionsFeeApr)
+// - label:         what the snapshots cover, e.g. 'K-HYPE' (used in headings)
+// - windowLabel:   description of the time window
+function displayUserSnapshots(snapshots, options = {}) {
+  const {
+    users = [],
+    baselines = {},
+    positionsById = {},
+    prices = null,
+    aprs = null,
+    label = '',
+    windowLabel = DEFAULT_WINDOW_LABEL
+  } = options;
+  const heading = label ? `${label} POSITION SNAPSHOTS` : 'POSITION SNAPSHOTS';
+
+  // Filter snapshots for specific users
+  const filteredSnapshots = filterSnapshotsByUsers(snapshots, users);
+
+  console.log(`\n=== ${heading} (${windowLabel}) ===`);
+  if (users.length > 0) {
+    console.log(`Filtering for specific users: ${users.join(', ')}`);
+  }
+  console.log(`Filtered to ${filteredSnapshots.length} snapshots from ${snapshots.length} total\n`);
+  
+  if (filteredSnapshots.length === 0) {
+    console.log(`No position snapshots found for the filtered users${label ? ` in ${label} pools` : ''}`);
+    return;
+  }
+
+  // Group filtered snapshots by pool for better organization
+  const snapshotsByPool = {};
+  filteredSnapshots.forEach(snapshot => {
+    const poolId = snapshot.pool.id;
+    if (!snapshotsByPool[poolId]) {
+      snapshotsByPool[poolId] = [];
+    }
+    snapshotsByPool[poolId].push(snapshot);
+  });
+
+  Object.entries(snapshotsByPool).forEach(([poolId, poolSnapshots]) => {
+    const pool = poolSnapshots[0].pool;
+    console.log(`\n🏊 Pool: ${pool.token0.name}/${pool.token1.name} (${poolId})`);
+    console.log(`   Token0: ${pool.token0.name} (${pool.token0.id})`);
+    console.log(`   Token1: ${pool.token1.name} (${pool.token1.id})`);
+    console.log(`   Snapshots: ${poolSnapshots.length}`);
+    
+    // Group by user for this pool
+    const snapshotsByUser = {};
+    poolSnapshots.forEach(snapshot => {
+      const owner = snapshot.owner;
+      if (!snapshotsByUser[owner]) {
+        snapshotsByUser[owner] = [];
+      }
+      snapshotsByUser[owner].push(snapshot);
+    });
+
+    Object.entries(snapshotsByUser).forEach(([owner, userSnapshots]) => {
+      console.log(`\n  👤 User: ${owner} (${userSnapshots.length} snapshots)`);
+      
+      userSnapshots.forEach((snapshot, index) => {
+        const date = new Date(parseInt(snapshot.timestamp) * 1000);
+        console.log(`\n    📸 Snapshot ${index + 1} - ${date.toISOString()}`);
+        console.log(`       Position ID: ${snapshot.position?.id || 'N/A'}`);
+        console.log(`       Block: ${snapshot.blockNumber}`);
+        console.log(`       Liquidity: ${snapshot.liquidity}`);
+        console.log(`       Deposited Token0: ${formatTokenAmount(snapshot.depositedToken0, pool.token0)} ${pool.token0.name}`);
+        console.log(`       Deposited Token1: ${formatTokenAmount(snapshot.depositedToken1, pool.token1)} ${pool.token1.name}`);
+        console.log(`       Withdrawn Token0: ${formatTokenAmount(snapshot.withdrawnToken0, pool.token0)} ${pool.token0.name}`);
+        console.log(`       Withdrawn Token1: ${formatTokenAmount(snapshot.withdrawnToken1, pool.token1)} ${pool.token1.name}`);
+        // Collect totals as recorded (withdrawn principal included), then the fees alone
+        const fees = computeCollectedFees(snapshot, pool);
+        console.log(`       Collected Token0: ${formatTokenAmount(snapshot.collectedFeesToken0, pool.token0)} ${pool.token0.name}`);
+        console.log(`       Collected Token1: ${formatTokenAmount(snapshot.collectedFeesToken1, pool.token1)} ${pool.token1.name}`);
+        console.log(`       Fees (collected − withdrawn) Token0: ${formatTokenAmount(fees.amount0, pool.token0)} ${pool.token0.name}`);
+        console.log(`       Fees (collected − withdrawn) Token1: ${formatTokenAmount(fees.amount1, pool.token1)} ${pool.token1.name}${ignoredToken1Note(fees)}`);
+        
+        if (snapshot.position?.id) {
+          console.log(`       Position ID: ${snapshot.position.id}`);
+        }
+      });
+    });
+  });
+
+  // Summary statistics for filtered data
+  const totalUsers = new Set(filteredSnapshots.map(s => s.owner)).size;
+  const totalPositions = new Set(filteredSnapshots.map(s => s.position?.id).filter(Boolean)).size;
+  
+  console.log(`\n📊 SUMMARY (Filtered):`);
+  console.log(`   Total Snapshots: ${filteredSnapshots.length}`);
+  console.log(`   Unique Users: ${totalUsers}`);
+  console.log(`   Unique Positions: ${totalPositions}`);
+  console.log(`   Pools Covered: ${Object.keys(snapshotsByPool).length}`);
+  
+  // Position-based grouping for filtered data
+  displayPositionTransactions(filteredSnapshots, baselines, { positionsById, prices, aprs });
+}
+
+// Options:
+// - positionsById: position ID -> current position (see fetchPositionsByIds);
+//                  positions found there also show the tokens they hold now
+//                  and their estimated uncollected fees
+// - prices:        price book (see fetchTokenPrices), for USD values
+// - aprs:          position ID -> fee APR (see computePositionsFeeApr)
+function displayPositionTransactions(snapshots, baselines = {}, options = {}) {
+  const { positionsById = {}, prices = null, aprs = null } = options;
+  console.log(`\n\n🏷️  === TRANSACTIONS BY POSITION ID ===`);
+  
+  // Group by position ID, most active first. Snapshot fields are cumulative,
+  // so each position works from per-event deltas in block order
+  const aggregates = buildPositionAggregates(snapshots, baselines);
+
+  if (aggregates.length === 0) {
+    console.log('No positions found with valid position IDs');
+    return;
+  }
+
+  aggregates.forEach(aggregate => {
+    const { positionId, pool, owner, baseline, snapshots: positionSnapshots, totals } = aggregate;
+    console.log(`\n🎯 Position ID: ${positionId}`);
+    console.log(`   Owner: ${owner}`);
+    console.log(`   Pool: ${pool.token0.name}/${pool.token1.name} (${pool.id})`);
+    console.log(`   Activity: ${positionSnapshots.length} snapshots`);
+    console.log(`   Current Liquidity: ${totals.currentLiquidity}`);
+    console.log(`   Peak Liquidity: ${totals.peakLiquidity}`);
+    if (aprs) {
+      console.log(`   Fee APR: ${formatPositionApr(aprs[positionId])}`);
+    }
+    if (!baseline) {
+      console.log(`   Baseline: none before window (first snapshot counted from zero)`);
+    }
+    
+    console.log(`\n   📈 TOTALS ACROSS ALL ACTIVITY:`);
+    console.log(`      Total Deposited Token0: ${formatTokenAmount(totals.deposited0, pool.token0)} ${pool.token0.name}`);
+    console.log(`      Total Deposited Token1: ${formatTokenAmount(totals.deposited1, pool.token1)} ${pool.token1.name}`);
+    console.log(`      Total Withdrawn Token0: ${formatTokenAmount(totals.withdrawn0, pool.token0)} ${pool.token0.name}`);
+    console.log(`      Total Withdrawn Token1: ${formatTokenAmount(totals.withdrawn1, pool.token1)} ${pool.token1.name}`);
+    console.log(`      Total Fees Token0: ${formatTokenAmount(totals.fees0, pool.token0)} ${pool.token0.name}`);
+    console.log(`      Total Fees Token1: ${formatTokenAmount(totals.fees1, pool.token1)} ${pool.token1.name}`);
+
+    const uncollected = positionsById[positionId] ? computeUncollectedFees(positionsById[positionId]) : null;
+    if (uncollected) {
+      console.log(`      Uncollected Fees Token0 (est.): ${formatTokenAmount(uncollected.amount0, pool.token0)} ${pool.token0.name}`);
+      console.log(`      Uncollected Fees Token1 (est.): ${formatTokenAmount(uncollected.amount1, pool.token1)} ${pool.token1.name}`);
+    }
+
+    if (prices) {
+      const usd = valueAggregate(aggregate, prices);
+      console.log(`\n   💵 USD VALUE (at event time / at current prices):`);
+      console.log(`      Deposited: ${formatUsd(usd.atEvent.deposited)} / ${formatUsd(usd.atCurrent.deposited)}`);
+      console.log(`      Withdrawn: ${formatUsd(usd.atEvent.withdrawn)} / ${formatUsd(usd.atCurrent.withdrawn)}`);
+      console.log(`      Fees: ${formatUsd(usd.atEvent.fees)} / ${formatUsd(usd.atCurrent.fees)}`);
+      if (uncollected) {
+        const current = positionsById[positionId];
+        const positionValue = valuePosition(current, current.pool, prices);
+        console.log(`      Uncollected Fees (est., current prices): ${formatUsd(positionValue.uncollectedFees)}`);
+      }
+    }
+    
+    // Net position (deposits - withdrawals)
+    const netToken0 = totals.deposited0 - totals.withdrawn0;
+    const netToken1 = totals.deposited1 - totals.withdrawn1;
+    console.log(`\n   💰 NET POSITION:`);
+    console.log(`      Net Token0: ${formatTokenAmount(netToken0, pool.token0)} ${pool.token0.name}`);
+    console.log(`      Net Token1: ${formatTokenAmount(netToken1, pool.token1)} ${pool.token1.name}`);
+
+    // What the liquidity holds at the pool's current price, next to what went in and out
+    const current = positionsById[positionId];
+    if (current?.pool?.sqrtPrice) {
+      const held = computePositionAmounts(current, current.pool);
+      const value = prices ? ` (${formatUsd(valuePosition(current, current.pool, prices).currentValue)})` : '';
+      console.log(`      Held Now Token0: ${formatTokenAmount(held.amount0, pool.token0)} ${pool.token0.name}`);
+      console.log(`      Held Now Token1: ${formatTokenAmount(held.amount1, pool.token1)} ${pool.token1.name}${value}`);
+    }
+
+    // Typed lifecycle (lib/lifecycle.js), the most recent events in block order
+    const lifecycle = buildPositionLifecycle(aggregate);
+    const events = lifecycle.events.filter(event => event.type !== OTHER || hasActivity(event));
+    console.log(`\n   🧬 LIFECYCLE: ${describeLifecycle(lifecycle)}`);
+    if (events.length > 5) {
+      console.log(`      ... ${events.length - 5} earlier events`);
+    }
+    events.slice(-5).forEach(event => { // Show max 5 events
+      const date = new Date(parseInt(event.timestamp) * 1000);
+      console.log(`      ${POSITION_EVENT_LABELS[event.type]} ${date.toISOString()} (Block ${event.blockNumber}, tx ${event.transactionId || 'n/a'})`);
+      if (event.liquidityDelta !== 0n) {
+        console.log(`         Liquidity: ${event.liquidityDelta > 0n ? '+' : ''}${event.liquidityDelta} -> ${event.liquidity}`);
+      }
+      // USD at the event's day price, when prices were fetched
+      const value = prices ? valueDelta(event, pool, prices) : null;
+      const usd = key => (value ? ` (${formatUsd(value[key])})` : '');
+
+      if (hasDeposit(event)) {
+        console.log(`         💵 Deposited: ${formatTokenAmount(event.deposited0, pool.token0)} ${pool.token0.name}, ${formatTokenAmount(event.deposited1, pool.token1)} ${pool.token1.name}${usd('deposited')}`);
+      }
+      if (hasWithdrawal(event)) {
+        console.log(`         💸 Withdrawn: ${formatTokenAmount(event.withdrawn0, pool.token0)} ${pool.token0.name}, ${formatTokenAmount(event.withdrawn1, pool.token1)} ${pool.token1.name}${usd('withdrawn')}`);
+      }
+      if (hasFees(event)) {
+        console.log(`         💰 Fees: ${formatTokenAmount(event.fees0, pool.token0)} ${pool.token0.name}, ${formatTokenAmount(event.fees1, pool.token1)} ${pool.token1.name}${usd('fees')}`);
+      }
+    });
+  });
+
+  console.log(`\n📊 POSITION SUMMARY:`);
+  console.log(`   Total Unique Positions: ${aggregates.length}`);
+  console.log(`   Most Active Position: ${aggregates[0].positionId} (${aggregates[0].snapshots.length} snapshots)`);
+  console.log(`   Average Activity per Position: ${(snapshots.filter(s => s.position?.id).length / aggregates.length).toFixed(1)} snapshots`);
+}
+
+// Options:
+// - prices: price book (see fetchTokenPrices), for current token prices
+// - feeApr: pool fee APR over the window (see computePoolFeeApr)
+function displayPoolInfo(pool, options = {}) {
+  const { prices = null, feeApr = null } = options;
+  console.log('\n=== POOL INFORMATION ===');
+  console.log(`Pool ID: ${pool.id}`);
+  console.log(`Token0: ${pool.token0.name} (${pool.token0.symbol}) - ${pool.token0.id}`);
+  console.log(`Token1: ${pool.token1.name} (${pool.token1.symbol}) - ${pool.token1.id}`);
+  console.log(`Fee Tier: ${pool.feeTier}`);
+  console.log(`Current Liquidity: ${pool.liquidity}`);
+  console.log(`Current Tick: ${pool.tick}`);
+  console.log(`Total Value Locked USD: $${parseFloat(pool.totalValueLockedUSD || 0).toFixed(2)}`);
+  console.log(`Volume USD: $${parseFloat(pool.volumeUSD || 0).toFixed(2)}`);
+  console.log(`Transaction Count: ${pool.txCount}`);
+  if (prices) {
+    console.log(`${pool.token0.symbol} Price: ${formatUsdPrice(getCurrentPrice(prices, pool.token0))}`);
+    console.log(`${pool.token1.symbol} Price: ${formatUsdPrice(getCurrentPrice(prices, pool.token1))}`);
+  }
+  if (feeApr) {
+    const days = (feeApr.seconds / 86400).toFixed(1);
+    console.log(`Fee APR: ${formatApr(feeApr.apr)} (fees ${formatUsd(feeApr.fees)} on volume ${formatUsd(feeApr.volume)} over ${days} days, TVL ${formatUsd(feeApr.tvl)})`);
+  }
+}
+
+// Options:
+// - prices: price book (see fetchTokenPrices), for USD values at current prices
+// - aprs:   position ID -> fee APR (see computePositionsFeeApr)
+function displayCurrentPositions(positions, pool, options = {}) {
+  const { prices = null, aprs = null } = options;
+  console.log('\n=== CURRENT POSITIONS (Active Liquidity) ===');
+  
+  if (positions.length === 0) {
+    console.log('No active positions found in this pool');
+    return;
+  }
+
+  // Group positions by owner
+  const positionsByOwner = {};
+  positions.forEach(position => {
+    const owner = position.owner;
+    if (!positionsByOwner[owner]) {
+      positionsByOwner[owner] = [];
+    }
+    positionsByOwner[owner].push(position);
+  });
+
+  Object.entries(positionsByOwner).forEach(([owner, userPositions]) => {
+    console.log(`\n👤 Owner: ${owner} (${userPositions.length} positions)`);
+    
+    userPositions.forEach((position, index) => {
+      const current = computePositionAmounts(position, pool);
+      console.log(`\n  📍 Position ${index + 1}:`);
+      console.log(`     Position ID: ${position.id}`);
+      console.log(`     Liquidity: ${position.liquidity}`);
+      console.log(`     Tick Range: ${position.tickLower.tickIdx} to ${position.tickUpper.tickIdx}`);
+      console.log(`     Range Status: ${formatRangeStatus(getRangeStatus(position, pool))}`);
+      console.log(`     Current ${pool.token0.symbol}: ${formatTokenAmount(current.amount0, pool.token0)}`);
+      console.log(`     Current ${pool.token1.symbol}: ${formatTokenAmount(current.amount1, pool.token1)}`);
+      console.log(`     Deposited ${pool.token0.symbol}: ${formatTokenAmount(position.depositedToken0, pool.token0)}`);
+      console.log(`     Deposited ${pool.token1.symbol}: ${formatTokenAmount(position.depositedToken1, pool.token1)}`);
+      console.log(`     Withdrawn ${pool.token0.symbol}: ${formatTokenAmount(position.withdrawnToken0, pool.token0)}`);
+      console.log(`     Withdrawn ${pool.token1.symbol}: ${formatTokenAmount(position.withdrawnToken1, pool.token1)}`);
+      const collected = computeCollectedFees(position, pool);
+      console.log(`     Fees (collected − withdrawn) ${pool.token0.symbol}: ${formatTokenAmount(collected.amount0, pool.token0)}`);
+      console.log(`     Fees (collected − withdrawn) ${pool.token1.symbol}: ${formatTokenAmount(collected.amount1, pool.token1)}${ignoredToken1Note(collected)}`);
+      const uncollected = computeUncollectedFees(position, pool);
+      if (uncollected) {
+        console.log(`     Uncollected Fees ${pool.token0.symbol} (est.): ${formatTokenAmount(uncollected.amount0, pool.token0)}`);
+        console.log(`     Uncollected Fees ${pool.token1.symbol} (est.): ${formatTokenAmount(uncollected.amount1, pool.token1)}`);
+      }
+      if (prices) {
+        const usd = valuePosition(position, pool, prices);
+        console.log(`     Current Value: ${formatUsd(usd.currentValue)}`);
+        console.log(`     Fees Value (collected − withdrawn, current prices): ${formatUsd(usd.collectedFees)}`);
+        if (uncollected) {
+          console.log(`     Uncollected Fees Value (est.): ${formatUsd(usd.uncollectedFees)}`);
+        }
+      }
+      if (aprs) {
+        console.log(`     Fee APR: ${formatPositionApr(aprs[position.id])}`);
+      }
+    });
+
+    if (userPositions.length > 1) {
+      const ownerAmounts = sumPositionAmounts(userPositions, pool);
+      const ownerFees = sumUncollectedFees(userPositions, pool);
+      console.log(`\n  💼 Owner Holdings: ${formatTokenAmount(ownerAmounts.amount0, pool.token0)} ${pool.token0.symbol}, ${formatTokenAmount(ownerAmounts.amount1, pool.token1)} ${pool.token1.symbol}`);
+      console.log(`  💰 Owner Uncollected Fees (est.): ${formatTokenAmount(ownerFees.amount0, pool.token0)} ${pool.token0.symbol}, ${formatTokenAmount(ownerFees.amount1, pool.token1)} ${pool.token1.symbol}`);
+      if (prices) {
+        const ownerValue = sumUsd(...userPositions.map(position => valuePosition(position, pool, prices).currentValue));
+        console.log(`  💵 Owner Value: ${formatUsd(ownerValue)}`);
+      }
+    }
+  });
+
+  // Summary statistics
+  const totalLiquidity = positions.reduce((sum, p) => sum + BigInt(p.liquidity), 0n);
+  console.log(`\n📊 CURRENT POSITIONS SUMMARY:`);
+  console.log(`   Total Active Positions: ${positions.length}`);
+  console.log(`   Unique Owners: ${Object.keys(positionsByOwner).length}`);
+  console.log(`   Total Liquidity: ${totalLiquidity}`);
+  console.log(`   Average Liquidity per Position: ${divRound(totalLiquidity, BigInt(positions.length))}`);
+
+  // Token composition at the pool's current sqrtPrice
+  const poolAmounts = sumPositionAmounts(positions, pool);
+  console.log(`   Current ${pool.token0.symbol} in Positions: ${formatTokenAmount(poolAmounts.amount0, pool.token0)}`);
+  console.log(`   Current ${pool.token1.symbol} in Positions: ${formatTokenAmount(poolAmounts.amount1, pool.token1)}`);
+
+  // Fees earned since each position last collected, from the fee growth values
+  const poolFees = sumUncollectedFees(positions, pool);
+  console.log(`   Uncollected Fees ${pool.token0.symbol} (est.): ${formatTokenAmount(poolFees.amount0, pool.token0)}`);
+  console.log(`   Uncollected Fees ${pool.token1.symbol} (est.): ${formatTokenAmount(poolFees.amount1, pool.token1)}`);
+  if (prices) {
+    const values = positions.map(position => valuePosition(position, pool, prices));
+    console.log(`   Total Value in Positions: ${formatUsd(sumUsd(...values.map(value => value.currentValue)))}`);
+    console.log(`   Uncollected Fees Value (est.): ${formatUsd(sumUsd(...values.map(value => value.uncollectedFees ?? 0n)))}`);
+  }
+
+  // How much of the listed liquidity is actually earning at the current tick
+  const range = summarizeRangeStatus(positions, pool);
+  console.log(`\n🎯 RANGE SUMMARY (current tick ${pool.tick}):`);
+  RANGE_STATUSES.forEach(status => {
+    const { count, liquidity } = range.byStatus[status];
+    console.log(`   ${RANGE_STATUS_LABELS[status]}: ${count} positions, liquidity ${liquidity}`);
+  });
+  console.log(`   Liquidity In Range: ${(range.inRangeShare * 100).toFixed(2)}% of listed liquidity`);
+  if (pool.liquidity) {
+    console.log(`   Pool Active Liquidity: ${pool.liquidity} (listed in-range positions: ${(ratio(range.inRangeLiquidity, BigInt(pool.liquidity)) * 100).toFixed(2)}%)`);
+  }
+}
+
+// `positionPnls` come from computePositionsPnl (lib/pnl.js)
+function displayPositionPnl(positionPnls) {
+  console.log(`\n\n💹 === PNL VS HODL ===`);
+
+  if (positionPnls.length === 0) {
+    console.log('No positions to report');
+    return;
+  }
+
+  positionPnls.forEach(positionPnl => {
+    const { pool } = positionPnl;
+    console.log(`\n🎯 Position ID: ${positionPnl.positionId} (${positionPnl.status})`);
+    console.log(`   Owner: ${positionPnl.owner}`);
+    console.log(`   Pool: ${pool.token0.symbol}/${pool.token1.symbol} (${pool.id})`);
+    console.log(`   Cost Basis (at deposit prices): ${formatUsd(positionPnl.costBasis)}`);
+    console.log(`   HODL Value (deposits at current prices): ${formatUsd(positionPnl.hodlValue)}`);
+    console.log(`   LP Value: ${formatUsd(positionPnl.lpValue)} (in position ${formatUsd(positionPnl.currentValue)}, withdrawn ${formatUsd(positionPnl.withdrawnValue)}, fees ${formatUsd(positionPnl.feeIncome)})`);
+    console.log(`   PnL: ${formatUsd(positionPnl.pnl)} (${formatPercent(positionPnl.pnlPercent)})`);
+    console.log(`      💰 Fee Income: ${formatUsd(positionPnl.feeIncome)}`);
+    console.log(`      📉 Impermanent Loss: ${formatUsd(positionPnl.impermanentLoss)}`);
+    console.log(`      📈 Price Movement: ${formatUsd(positionPnl.priceMovement)}`);
+  });
+
+  const owners = summarizeOwnerPnl(positionPnls);
+  console.log(`\n👤 PNL BY OWNER:`);
+  owners.forEach(owner => {
+    console.log(`\n   ${owner.owner} (${owner.positions} positions: ${owner.open} open, ${owner.closed} closed)`);
+    console.log(`      Cost Basis: ${formatUsd(owner.costBasis)}, LP Value: ${formatUsd(owner.lpValue)}, HODL Value: ${formatUsd(owner.hodlValue)}`);
+    console.log(`      PnL: ${formatUsd(owner.pnl)} (${formatPercent(owner.pnlPercent)}) = fees ${formatUsd(owner.feeIncome)} + IL ${formatUsd(owner.impermanentLoss)} + price ${formatUsd(owner.priceMovement)}`);
+  });
+}
+
+// Options:
+// - windowLabel: description of the time window
+// - baselines:   position ID -> last snapshot before the window (see fetchBaselineSnapshots);
+//                without one, a position's first snapshot in the window counts as its mint
+function displayPositionSnapshots(snapshots, pool, options = {}) {
+  const { windowLabel = DEFAULT_WINDOW_LABEL, baselines = {} } = options;
+  console.log(`\n=== POSITION SNAPSHOTS (${windowLabel}) ===`);
+  
+  if (snapshots.length === 0) {
+    console.log(`No position snapshots found (${windowLabel})`);
+    return;
+  }
+
+  // Group snapshots by position ID
+  const snapshotsByPosition = {};
+  snapshots.forEach(snapshot => {
+    const positionId = snapshot.position?.id;
+    if (positionId) {
+      if (!snapshotsByPosition[positionId]) {
+        snapshotsByPosition[positionId] = [];
+      }
+      snapshotsByPosition[positionId].push(snapshot);
+    }
+  });
+
+  // Sort positions by activity level
+  const sortedPositions = Object.entries(snapshotsByPosition)
+    .sort(([, a], [, b]) => b.length - a.length);
+
+  sortedPositions.forEach(([positionId, positionSnapshots]) => {
+    const firstSnapshot = positionSnapshots[0];
+    const owner = firstSnapshot.owner;
+    
+    console.log(`\n🎯 Position ID: ${positionId}`);
+    console.log(`   Owner: ${owner}`);
+    console.log(`   Snapshots: ${positionSnapshots.length}`);
+    
+    if (firstSnapshot.position?.tickLower && firstSnapshot.position?.tickUpper) {
+      console.log(`   Tick Range: ${firstSnapshot.position.tickLower.tickIdx} to ${firstSnapshot.position.tickUpper.tickIdx}`);
+    }
+
+    // Each snapshot is labelled with the lifecycle event it records (lib/lifecycle.js)
+    const [aggregate] = buildPositionAggregates(positionSnapshots, baselines);
+    const lifecycle = buildPositionLifecycle(aggregate);
+    console.log(`   Lifecycle: ${describeLifecycle(lifecycle)}`);
+
+    // Show the most recent snapshots (max 3), cumulative totals as recorded
+    const recentEvents = lifecycle.events.slice(-3).reverse();
+    recentEvents.forEach(event => {
+      const { snapshot } = event;
+      const date = new Date(parseInt(snapshot.timestamp) * 1000);
+      console.log(`\n   📸 ${POSITION_EVENT_LABELS[event.type]} - ${date.toISOString()}`);
+      console.log(`      Block: ${snapshot.blockNumber}, tx ${event.transactionId || 'n/a'}`);
+      console.log(`      Liquidity: ${snapshot.liquidity} (${event.liquidityDelta > 0n ? '+' : ''}${event.liquidityDelta})`);
+      console.log(`      Deposited ${pool.token0.symbol}: ${formatTokenAmount(snapshot.depositedToken0, pool.token0)}`);
+      console.log(`      Deposited ${pool.token1.symbol}: ${formatTokenAmount(snapshot.depositedToken1, pool.token1)}`);
+      console.log(`      Withdrawn ${pool.token0.symbol}: ${formatTokenAmount(snapshot.withdrawnToken0, pool.token0)}`);
+      console.log(`      Withdrawn ${pool.token1.symbol}: ${formatTokenAmount(snapshot.withdrawnToken1, pool.token1)}`);
+      const fees = computeCollectedFees(snapshot, pool);
+      console.log(`      Fees ${pool.token0.symbol}: ${formatTokenAmount(fees.amount0, pool.token0)}`);
+      console.log(`      Fees ${pool.token1.symbol}: ${formatTokenAmount(fees.amount1, pool.token1)}${ignoredToken1Note(fees)}`);
+    });
+
+    if (positionSnapshots.length > 3) {
+      console.log(`   ... and ${positionSnapshots.length - 3} more snapshots`);
+    }
+  });
+
+  // Overall summary
+  const uniqueOwners = new Set(snapshots.map(s => s.owner)).size;
+  console.log(`\n📊 SNAPSHOTS SUMMARY:`);
+  console.log(`   Total Snapshots: ${snapshots.length}`);
+  console.log(`   Unique Positions: ${sortedPositions.length}`);
+  console.log(`   Unique Owners: ${uniqueOwners}`);
+  console.log(`   Most Active Position: ${sortedPositions[0]?.[0]} (${sortedPositions[0]?.[1].length} snapshots)`);
+}
+
+// `portfolio` comes from buildPortfolio (lib/portfolio.js), `tokens` from withTokenValues when priced.
+// Options:
+// - owners:      the portfolio's owner addresses (used in the heading)
+// - baselines:   position ID -> last snapshot before the window (see fetchBaselineSnapshots)
+// - prices:      price book (see fetchTokenPrices), for USD values
+// - aprs:        position ID -> fee APR (see computePositionsFeeApr)
+// - windowLabel: description of the time window
+function displayPortfolio(portfolio, options = {}) {
+  const { owners = [], baselines = {}, prices = null, aprs = null, windowLabel = DEFAULT_WINDOW_LABEL } = options;
+  const tokens = options.tokens || portfolio.tokens;
+
+  console.log(`\n\n💼 === PORTFOLIO: ${owners.join(', ')} ===`);
+  console.log(`Open Positions: ${portfolio.openPositions.length} in ${portfolio.pools.filter(group => group.openPositions.length > 0).length} pools`);
+  console.log(`Closed Positions (${windowLabel}): ${portfolio.closedPositions.length}`);
+
+  if (portfolio.pools.length === 0) {
+    console.log(`\nNo open positions and none closed (${windowLabel})`);
+  }
+
+  portfolio.pools.forEach(({ pool, openPositions, closedPositions, closedSnapshots }) => {
+    console.log(`\n\n🏊 Pool: ${pool.token0.symbol}/${pool.token1.symbol} (${pool.id}) - ${openPositions.length} open, ${closedPositions.length} closed`);
+    if (openPositions.length > 0) {
+      displayCurrentPositions(openPositions, pool, { prices, aprs });
+    }
+    if (closedPositions.length > 0) {
+      displayPositionSnapshots(closedSnapshots, pool, { windowLabel: `Closed Positions, ${windowLabel}`, baselines });
+    }
+  });
+
+  console.log(`\n\n🧾 TOKEN TOTALS (holdings now; deposits, withdrawals and fees: ${windowLabel}):`);
+  if (tokens.length === 0) {
+    console.log('   No tokens');
+    return;
+  }
+  tokens.forEach(totals => {
+    const { token, usd } = totals;
+    const amount = field => `${formatTokenAmount(totals[field], token)}${usd ? ` (${formatUsd(usd[field])})` : ''}`;
+    console.log(`\n   ${token.symbol} (${token.id})`);
+    console.log(`      Held: ${amount('held')}`);
+    console.log(`      Uncollected Fees (est.): ${amount('uncollectedFees')}`);
+    console.log(`      Deposited: ${amount('deposited')}`);
+    console.log(`      Withdrawn: ${amount('withdrawn')}`);
+    console.log(`      Fees Collected: ${amount('fees')}`);
+  });
+  if (tokens.every(totals => totals.usd)) {
+    const held = sumUsd(...tokens.map(totals => totals.usd.held));
+    const uncollected = sumUsd(...tokens.map(totals => totals.usd.uncollectedFees));
+    console.log(`\n   💵 Portfolio Value: ${formatUsd(held)} held + ${formatUsd(uncollected)} uncollected fees (est.)`);
+  }
+}
+
+// Width in characters of the longest depth histogram bar
+const DEPTH_BAR_WIDTH = 40;
+
+// e.g. "1.00012" for a bucket edge price
+function formatTickPrice(price) {
+  return Number(price.toPrecision(6)).toString();
+}
+
+// Depth histogram of buildLiquidityDistribution, highest price first like an order book.
+// Buckets valued with withBucketValues also show their USD value.
+function displayLiquidityDistribution(distribution) {
+  const { pool, buckets } = distribution;
+  const maxLiquidity = buckets.reduce((max, bucket) => (bucket.liquidity > max ? bucket.liquidity : max), 0n);
+
+  console.log(`\n📊 LIQUIDITY DEPTH (±${distribution.rangePercent}% around tick ${distribution.tick}, ${buckets.length} buckets of ${distribution.bucketTicks} tick${distribution.bucketTicks === 1 ? '' : 's'}):`);
+  console.log(`Current Price: ${formatTickPrice(distribution.price)} ${pool.token1.symbol} per ${pool.token0.symbol}`);
+  if (maxLiquidity === 0n) {
+    console.log('   No listed liquidity in this price window');
+    return;
+  }
+
+  buckets.slice().reverse().forEach(bucket => {
+    const width = Number(bucket.liquidity * BigInt(DEPTH_BAR_WIDTH * 8) / maxLiquidity);
+    const bar = '█'.repeat(Math.floor(width / 8)) + (width % 8 ? '▏▎▍▌▋▊▉'[width % 8 - 1] : '');
+    const range = `${formatTickPrice(bucket.priceLower)} - ${formatTickPrice(bucket.priceUpper)}`;
+    const tokens = [
+      bucket.amount0 > 0n ? `${formatTokenAmount(bucket.amount0, pool.token0)} ${pool.token0.symbol}` : null,
+      bucket.amount1 > 0n ? `${formatTokenAmount(bucket.amount1, pool.token1)} ${pool.token1.symbol}` : null
+    ].filter(Boolean).join(' + ');
+    const value = bucket.usd !== undefined && bucket.usd !== null && tokens ? ` (${formatUsd(bucket.usd)})` : '';
+    console.log(`${bucket.current ? '▶' : ' '} ${range.padEnd(23)} ${bar.padEnd(DEPTH_BAR_WIDTH)} ${tokens}${value}${bucket.current ? ' ◀ current' : ''}`);
+  });
+}
+
+function formatConcentration(metrics) {
+  if (metrics.top1Share === null) return 'no liquidity';
+  return `top 1/5/10 ${formatShare(metrics.top1Share)} / ${formatShare(metrics.top5Share)} / ${formatShare(metrics.top10Share)}, HHI ${Math.round(metrics.hhi)}, Gini ${metrics.gini.toFixed(3)}`;
+}
+
+// Options:
+// - maxOwnerShare: largest owner share in percent before warning
+// - windowLabel:   description of the time window
+function displayConcentration(reports, options = {}) {
+  const { maxOwnerShare, windowLabel = DEFAULT_WINDOW_LABEL } = options;
+
+  console.log(`\n\n🐋 === LIQUIDITY CONCENTRATION (${reports.length} pool${reports.length === 1 ? '' : 's'}) ===`);
+  if (reports.length === 0) {
+    console.log('No pools found');
+    return;
+  }
+
+  reports.forEach(({ pool, current, history }) => {
+    console.log(`\n🏊 Pool: ${pool.token0.symbol}/${pool.token1.symbol} (${pool.id})`);
+    console.log(`   Owners: ${current.owners}, Listed Liquidity: ${current.liquidity}`);
+    if (current.topOwner) {
+      console.log(`   Largest Owner: ${current.topOwner} (${formatShare(current.top1Share)})`);
+    }
+    console.log(`   Concentration: ${formatConcentration(current)}`);
+    if (current.warning) {
+      console.log(`   ⚠️  A single owner holds ${formatShare(current.top1Share)} of the liquidity (limit ${maxOwnerShare}%)`);
+    }
+    // Only the days where the picture changed, so long windows stay readable
+    const changes = history.filter((point, index) =>
+      index === 0 || formatConcentration(point) !== formatConcentration(history[index - 1]) || point.owners !== history[index - 1].owners
+    );
+    if (history.length > 1) {
+      console.log(`   📈 History (${windowLabel}, end of day, ${changes.length} change${changes.length === 1 ? '' : 's'} over ${history.length} points):`);
+      changes.forEach(point => {
+        console.log(`      ${new Date(point.timestamp * 1000).toISOString()}: ${point.owners} owner${point.owners === 1 ? '' : 's'}, ${formatConcentration(point)}${point.warning ? ' ⚠️' : ''}`);
+      });
+    }
+  });
+
+  const flagged = reports.filter(report => report.current.warning);
+  console.log(`\n📊 CONCENTRATION SUMMARY: ${flagged.length} of ${reports.length} pool${reports.length === 1 ? '' : 's'} with an owner over ${maxOwnerShare}%`);
+}
+
+// Heading and ranked figure of each leaderboard
+const LEADERBOARD_LABELS = {
+  [LIQUIDITY_SHARE]: '🥇 LIQUIDITY SHARE',
+  [VALUE]: '💵 CURRENT VALUE',
+  [FEES]: '💰 FEES COLLECTED',
+  [INFLOW]: '📥 NET INFLOW',
+  [OUTFLOW]: '📤 NET OUTFLOW'
+};
+
+const LEADERBOARD_FIGURES = {
+  [LIQUIDITY_SHARE]: entry => formatShare(entry.liquidityShare) + (entry.liquidity !== null ? ` (liquidity ${entry.liquidity})` : ''),
+  [VALUE]: entry => formatUsd(entry.currentValue),
+  [FEES]: entry => formatUsd(entry.fees),
+  [INFLOW]: entry => `${formatUsd(entry.netFlow)} (deposited ${formatUsd(entry.deposited)}, withdrawn ${formatUsd(entry.withdrawn)})`,
+  [OUTFLOW]: entry => `${formatUsd(entry.netFlow)} (deposited ${formatUsd(entry.deposited)}, withdrawn ${formatUsd(entry.withdrawn)})`
+};
+
+// Options:
+// - label:       what the leaderboards rank (pool or tokens, used in the heading)
+// - pools:       number of pools ranked over
+// - top:         owners listed per board
+// - windowLabel: description of the time window
+function displayLeaderboards(boards, options = {}) {
+  const { label = '', pools = 1, top, windowLabel = DEFAULT_WINDOW_LABEL } = options;
+
+  console.log(`\n\n🏆 === LP LEADERBOARD: ${label} (${pools} pool${pools === 1 ? '' : 's'}, top ${top}) ===`);
+  if (pools > 1) {
+    console.log('Liquidity share across pools is the share of the active positions\' USD value');
+  }
+  console.log(`Fees and net flows: ${windowLabel}, at event-time prices`);
+
+  BOARDS.forEach(board => {
+    const entries = boards[board];
+    console.log(`\n${LEADERBOARD_LABELS[board]}:`);
+    if (entries.length === 0) {
+      console.log(board === LIQUIDITY_SHARE ? '   No active positions' : '   No owners (or no USD prices)');
+      return;
+    }
+    entries.forEach(entry => {
+      const poolCount = entry.poolIds.size;
+      console.log(`   ${String(entry.rank).padStart(2)}. ${entry.owner}: ${LEADERBOARD_FIGURES[board](entry)}, ${entry.positions} active position${entry.positions === 1 ? '' : 's'}${pools > 1 ? `, ${poolCount} pool${poolCount === 1 ? '' : 's'}` : ''}`);
+    });
+  });
+}
+
+// e.g. "18s", "12m 5s", "3h 2m" or "2d 4h"
+function formatLifetime(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+}
+
+// Options:
+// - maxLifetime: seconds under which a closed position counted as short-lived
+// - windowLabel: description of the time window
+function displayJitReport(report, options = {}) {
+  const { maxLifetime, windowLabel = DEFAULT_WINDOW_LABEL } = options;
+  const { episodes, pools, owners } = report;
+
+  console.log(`\n\n⚡ === JIT AND SHORT-LIVED LIQUIDITY (${pools.length} pool${pools.length === 1 ? '' : 's'}, ${windowLabel}) ===`);
+  console.log(`Flagged: closed in the same or the next block (JIT), or less than ${formatLifetime(maxLifetime)} after it was opened`);
+  if (pools.length === 0) {
+    console.log('No pools found');
+    return;
+  }
+
+  pools.forEach(summary => {
+    const { pool } = summary;
+    const poolEpisodes = episodes.filter(episode => episode.pool.id === pool.id);
+    console.log(`\n🏊 Pool: ${pool.token0.symbol}/${pool.token1.symbol} (${pool.id})`);
+    console.log(`   Opened in window: ${summary.opened}, closed: ${summary.closed}, flagged: ${summary.flagged} (${formatShare(summary.flaggedShare)} of closed, ${summary.jit} JIT)`);
+    console.log(`   Fees to flagged liquidity: ${formatUsd(summary.flaggedFees)} of ${formatUsd(summary.fees)} collected (${formatShare(summary.flaggedFeeShare)})`);
+    if (summary.recurrentOwners > 0) {
+      console.log(`   ⚠️  ${summary.recurrentOwners} recurrent owner${summary.recurrentOwners === 1 ? '' : 's'}`);
+    }
+
+    poolEpisodes.forEach(episode => {
+      const { opened, closed } = episode;
+      const blocks = episode.blocks === 0 ? 'same block' : `${episode.blocks} block${episode.blocks === 1 ? '' : 's'}`;
+      console.log(`\n   ${episode.jit ? '⚡ JIT' : '⏱️  SHORT-LIVED'} Position ${episode.positionId} owned by ${episode.owner}`);
+      console.log(`      Lifetime: ${formatLifetime(episode.lifetime)} (${blocks}), Block ${opened.blockNumber} -> ${closed.blockNumber}, ${new Date(parseInt(opened.timestamp) * 1000).toISOString()}`);
+      if (episode.tickLower !== null) {
+        console.log(`      Range: ${episode.tickLower} to ${episode.tickUpper}, peak liquidity ${episode.peakLiquidity}`);
+      }
+      console.log(`      Deposited: ${formatTokenAmount(episode.deposited0, pool.token0)} ${pool.token0.symbol}, ${formatTokenAmount(episode.deposited1, pool.token1)} ${pool.token1.symbol} (${formatUsd(episode.usd.deposited)})`);
+      console.log(`      Fees: ${formatTokenAmount(episode.fees0, pool.token0)} ${pool.token0.symbol}, ${formatTokenAmount(episode.fees1, pool.token1)} ${pool.token1.symbol} (${formatUsd(episode.usd.fees)}, ${episode.feesPerHour === null ? 'n/a' : formatUsd(episode.feesPerHour)}/hour, ${formatShare(episode.feeReturn)} of deposits)`);
+      console.log(`      Txs: ${opened.transactionId || 'n/a'} -> ${closed.transactionId || 'n/a'}`);
+    });
+  });
+
+  console.log(`\n👥 OWNERS WITH FLAGGED LIQUIDITY (${owners.length}):`);
+  if (owners.length === 0) {
+    console.log('   None');
+  }
+  owners.forEach(owner => {
+    const poolCount = owner.poolIds.size;
+    console.log(`   ${owner.recurrent ? '🔁' : '  '} ${owner.owner}: ${owner.flagged} of ${owner.closed} closed flagged (${owner.jit} JIT), shortest ${formatLifetime(owner.shortestLifetime)}, fees ${formatUsd(owner.fees)} on ${formatUsd(owner.deposited)} deposited${pools.length > 1 ? `, ${poolCount} pool${poolCount === 1 ? '' : 's'}` : ''}`);
+  });
+  const recurrent = owners.filter(owner => owner.recurrent).length;
+  console.log(`\n📊 JIT SUMMARY: ${episodes.length} flagged position${episodes.length === 1 ? '' : 's'}, ${recurrent} recurrent owner${recurrent === 1 ? '' : 's'}`);
+}
+
+const POSITION_EVENT_LABELS = {
+  [MINT]: '🆕 MINT',
+  [INCREASE]: '➕ INCREASE',
+  [DECREASE]: '➖ DECREASE',
+  [CLOSE]: '🔒 CLOSE',
+  [COLLECT]: '💰 COLLECT',
+  [OTHER]: '• UPDATE'
+};
+
+// One watch mode event (see buildWatchEvents): a headline, then the liquidity and token changes
+function displayWatchEvent(event) {
+  const { pool } = event;
+  const date = new Date(parseInt(event.timestamp) * 1000).toISOString();
+  const sign = event.liquidityDelta > 0n ? '+' : '';
+  const pair = (amount0, amount1) =>
+    `${formatTokenAmount(amount0, pool.token0)} ${pool.token0.symbol}, ${formatTokenAmount(amount1, pool.token1)} ${pool.token1.symbol}`;
+
+  console.log(`\n${POSITION_EVENT_LABELS[event.type]} ${date} (Block ${event.blockNumber}) ${pool.token0.symbol}/${pool.token1.symbol} ${pool.id}`);
+  console.log(`   Position ${event.positionId} owned by ${event.owner}, tx ${event.transactionId || 'n/a'}`);
+  console.log(`   Liquidity: ${sign}${event.liquidityDelta} -> ${event.liquidity}`);
+  if (hasDeposit(event)) {
+    console.log(`   💵 Deposited: ${pair(event.deposited0, event.deposited1)}`);
+  }
+  if (hasWithdrawal(event)) {
+    console.log(`   💸 Withdrawn: ${pair(event.withdrawn0, event.withdrawn1)}`);
+  }
+  if (hasFees(event)) {
+    console.log(`   💰 Fees: ${pair(event.fees0, event.fees1)}`);
+  }
+}
+
+const ALERT_STATUS_LABELS = {
+  sent: '📨 Sent',
+  duplicate: '🔁 Already sent',
+  failed: '❌ Failed',
+  matched: '🔔 Matched (dry run)'
+};
+
+// Alerts returned by deliverAlerts, grouped by rule
+function displayAlertResults(results) {
+  console.log(`\n=== ALERTS (${results.length} matched) ===`);
+  if (results.length === 0) {
+    console.log('No rule matched');
+    return;
+  }
+
+  const byRule = {};
+  results.forEach(result => {
+    if (!byRule[result.rule]) {
+      byRule[result.rule] = [];
+    }
+    byRule[result.rule].push(result);
+  });
+
+  Object.entries(byRule).forEach(([rule, ruleResults]) => {
+    console.log(`\n🚨 Rule: ${rule} (${ruleResults[0].type}, ${ruleResults.length} alert${ruleResults.length === 1 ? '' : 's'})`);
+    ruleResults.forEach(result => {
+      console.log(`   ${ALERT_STATUS_LABELS[result.status]}: ${result.message}${result.error ? ` (${result.error})` : ''}`);
+    });
+  });
+
+  const count = status => results.filter(result => result.status === status).length;
+  console.log(`\n📊 ALERTS SUMMARY: ${count('sent')} sent, ${count('duplicate')} already sent, ${count('failed')} failed${count('matched') ? `, ${count('matched')} matched (dry run)` : ''}`);
+}
+
+module.exports = {
+  filterSnapshotsByUsers,
+  formatTokenAmount,
+  formatUsd,
+  formatUsdPrice,
+  formatRangeStatus,
+  displayPoolInfo,
+  displayCurrentPositions,
+  displayPositionSnapshots,
+  displayUserSnapshots,
+  displayPositionTransactions,
+  displayPositionPnl,
+  displayPortfolio,
+  displayLiquidityDistribution,
+  displayConcentration,
+  displayLeaderboards,
+  displayJitReport,
+  displayWatchEvent,
+  displayAlertResults
+};
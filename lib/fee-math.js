@@ -0,0 +1,101 @@
+/**
+ * Uncollected Fee Estimation
+ * ==========================
+ *
+ * `collectedFeesToken0/1` only show fees a position has already collected.
+ * Fees earned since then are derived from the pool's fee growth accumulators,
+ * the same way the pool contract does it:
+ *
+ *   feeGrowthBelow  = tick >= tickLower ? lower.feeGrowthOutside : global - lower.feeGrowthOutside
+ *   feeGrowthAbove  = tick <  tickUpper ? upper.feeGrowthOutside : global - upper.feeGrowthOutside
+ *   feeGrowthInside = global - feeGrowthBelow - feeGrowthAbove
+ *   uncollected     = liquidity * (feeGrowthInside - position.feeGrowthInsideLast) / 2^128
+ *
+ * All fee growth values are Q128.128 per unit of liquidity and wrap modulo
+ * 2^256 (the contracts rely on overflow), so every subtraction here wraps too.
+ * Results are BigInt base units of each token.
+ *
+ * This is an estimate: fees already moved into the position's `tokensOwed` by
+ * a burn but not yet collected are not exposed by the subgraph, and the
+ * figures are only as fresh as the subgraph's tick and pool fee growth values.
+ */
+
+const Q128 = 2n ** 128n;
+const UINT256 = 2n ** 256n;
+
+// Subtract modulo 2^256, like unchecked uint256 arithmetic
+function subUint256(a, b) {
+  return ((a - b) % UINT256 + UINT256) % UINT256;
+}
+
+function toBigInt(value) {
+  return BigInt(value || 0);
+}
+
+// Fee growth inside [tickLower, tickUpper) for token 0 or 1 at the pool's current tick
+function getFeeGrowthInside(pool, tickLower, tickUpper, token) {
+  const tick = parseInt(pool.tick);
+  const global = toBigInt(pool[`feeGrowthGlobal${token}X128`]);
+  const lowerOutside = toBigInt(tickLower[`feeGrowthOutside${token}X128`]);
+  const upperOutside = toBigInt(tickUpper[`feeGrowthOutside${token}X128`]);
+
+  const below = tick >= parseInt(tickLower.tickIdx) ? lowerOutside : subUint256(global, lowerOutside);
+  const above = tick < parseInt(tickUpper.tickIdx) ? upperOutside : subUint256(global, upperOutside);
+
+  return subUint256(subUint256(global, below), above);
+}
+
+// Whether the subgraph returned everything the estimate needs
+function hasFeeGrowthData(position, pool) {
+  return [
+    pool?.feeGrowthGlobal0X128,
+    position.feeGrowthInside0LastX128,
+    position.tickLower?.feeGrowthOutside0X128,
+    position.tickUpper?.feeGrowthOutside0X128
+  ].every(value => value !== undefined && value !== null);
+}
+
+// Owed-but-uncollected fees of a position in token base units, or null when the data is missing
+function computeUncollectedFees(position, pool = position.pool) {
+  if (!hasFeeGrowthData(position, pool)) {
+    return null;
+  }
+
+  const liquidity = toBigInt(position.liquidity);
+  const fees = {};
+  [0, 1].forEach(token => {
+    const inside = getFeeGrowthInside(pool, position.tickLower, position.tickUpper, token);
+    const last = toBigInt(position[`feeGrowthInside${token}LastX128`]);
+    fees[`amount${token}`] = subUint256(inside, last) * liquidity / Q128;
+  });
+  return fees;
+}
+
+// Copy positions with `uncollectedFees0` / `uncollectedFees1` (BigInt base units or null) attached
+function withUncollectedFees(positions, pool) {
+  return positions.map(position => {
+    const fees = computeUncollectedFees(position, pool || position.pool);
+    return {
+      ...position,
+      uncollectedFees0: fees ? fees.amount0 : null,
+      uncollectedFees1: fees ? fees.amount1 : null
+    };
+  });
+}
+
+// Sum uncollected fees across positions, skipping positions without fee growth data
+function sumUncollectedFees(positions, pool) {
+  return positions.reduce((totals, position) => {
+    const fees = computeUncollectedFees(position, pool || position.pool);
+    if (!fees) return totals;
+    return { amount0: totals.amount0 + fees.amount0, amount1: totals.amount1 + fees.amount1 };
+  }, { amount0: 0n, amount1: 0n });
+}
+
+module.exports = {
+  Q128,
+  getFeeGrowthInside,
+  computeUncollectedFees,
+  withUncollectedFees,
+  sumUncollectedFees
+};
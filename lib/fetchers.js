@@ -0,0 +1,601 @@
+/**
+ * Subgraph Fetchers
+ * =================
+ *
+ * Fetch functions shared by the CLI (cli.js) and the legacy per-pool scripts.
+ * Every function takes the thing it is scoped to (token, pool or owners) as
+ * arguments instead of reading hand-edited constants, plus an options object:
+ *
+ * - client:   subgraph client from lib/subgraph-client.js
+ * - endpoint: subgraph URL used when no client is given
+ *             (defaults to SUBGRAPH_URL from lib/config.js)
+ * - since:    window start as a unix timestamp in seconds
+ *             (defaults to DEFAULT_WINDOW_DAYS ago)
+ * - label:    human readable name used in progress messages
+ * - block:    block number to read state at (time-travel queries); latest
+ *             state when omitted
+ * - at:       unix timestamp of `block`, used instead of "now" for date
+ *             ranges that end at the present
+ * - feeTiers: fee tiers fetchTokenPools keeps (every tier when omitted)
+ * - minTvlUsd: minimum USD TVL of the pools fetchTokenPools returns
+ * - quiet:    skip progress messages; honoured by the fetchers watch mode
+ *             calls on every poll (fetchPoolSnapshotsAfterBlock,
+ *             fetchBaselineSnapshots)
+ *
+ * Fetchers scoped to a single entity throw NotFoundError when it does not
+ * exist, so callers (e.g. the HTTP API in lib/server.js) can tell a bad ID
+ * from a failed request.
+ */
+
+const { SUBGRAPH_URL, DEFAULT_WINDOW_DAYS, getTimestampDaysAgo } = require('./config');
+const { createSubgraphClient } = require('./subgraph-client');
+const {
+  fetchAllPages,
+  sortSnapshotsNewestFirst,
+  sortPositionsByLiquidity,
+  sortPoolsByTvl
+} = require('./paginate');
+const {
+  POOL_INFO_QUERY,
+  TOKENS_BY_SYMBOL_QUERY,
+  CURRENT_POSITIONS_QUERY,
+  POSITIONS_BY_ID_QUERY,
+  OWNER_POSITIONS_QUERY,
+  POSITION_SNAPSHOTS_QUERY,
+  OWNER_SNAPSHOTS_QUERY,
+  POSITION_HISTORY_QUERY,
+  POOL_SNAPSHOTS_AFTER_BLOCK_QUERY,
+  INDEXED_BLOCK_QUERY,
+  TOKEN_PRICES_QUERY,
+  TOKEN_DAY_PRICES_QUERY,
+  POOL_DAY_DATA_QUERY,
+  BLOCK_AT_TIME_QUERY,
+  BLOCK_TIMESTAMP_QUERY,
+  buildTokenPoolsQuery,
+  buildBaselineSnapshotsQuery
+} = require('./queries');
+const { PRICE_LOOKBACK_DAYS, SECONDS_PER_DAY, dayStart, buildPriceBook } = require('./pricing');
+
+const BASELINE_BATCH_SIZE = 50;
+
+// Token arguments that are 0x-prefixed hex are addresses; anything else is a symbol
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]+$/;
+
+// Thrown when the entity a fetcher is scoped to does not exist (e.g. an unknown pool ID)
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+const defaultClients = new Map();
+
+// Use the caller's client, or a shared default client for the requested endpoint
+function resolveClient(options) {
+  if (options.client) {
+    return options.client;
+  }
+  const endpoint = options.endpoint || SUBGRAPH_URL;
+  if (!defaultClients.has(endpoint)) {
+    defaultClients.set(endpoint, createSubgraphClient({ endpoint }));
+  }
+  return defaultClients.get(endpoint);
+}
+
+function resolveWindowStart(options) {
+  if (options.since !== undefined) {
+    return options.since;
+  }
+  return options.at !== undefined
+    ? options.at - DEFAULT_WINDOW_DAYS * 24 * 60 * 60
+    : getTimestampDaysAgo(DEFAULT_WINDOW_DAYS);
+}
+
+// `$block` variable for time-travel queries: null reads the latest state
+function blockArgument(options) {
+  return options.block === undefined || options.block === null ? null : { number: options.block };
+}
+
+function resolveNow(options) {
+  return options.at ?? Math.floor(Date.now() / 1000);
+}
+
+function pluralPages(pages) {
+  return `${pages} page${pages === 1 ? '' : 's'}`;
+}
+
+function isAddress(token) {
+  return ADDRESS_PATTERN.test(token);
+}
+
+// Resolve token addresses and symbols to lower case addresses. A symbol resolves to every
+// token carrying it, which is reported since look-alike tokens can reuse a symbol.
+async function resolveTokenIds(tokens, options = {}) {
+  const addresses = tokens.filter(isAddress).map(token => token.toLowerCase());
+  const symbols = tokens.filter(token => !isAddress(token));
+  if (symbols.length === 0) {
+    return addresses;
+  }
+
+  const { items } = await fetchAllPages(
+    resolveClient(options),
+    TOKENS_BY_SYMBOL_QUERY,
+    { symbols, block: blockArgument(options) },
+    'tokens'
+  );
+  symbols.forEach(symbol => {
+    const matches = items.filter(token => token.symbol === symbol);
+    if (matches.length === 0) {
+      console.log(`⚠️  No token with symbol ${symbol}`);
+    } else if (matches.length > 1) {
+      console.log(`⚠️  Symbol ${symbol} matches ${matches.length} tokens: ${matches.map(token => token.id).join(', ')}`);
+    }
+  });
+
+  return [...new Set([...addresses, ...items.map(token => token.id.toLowerCase())])];
+}
+
+// Fetch the pools containing any of `tokens` (addresses or symbols; one or an array),
+// largest TVL first. Optional server-side filters:
+// - feeTiers:  only pools with one of these fee tiers (e.g. [100, 3000])
+// - minTvlUsd: only pools with at least this much USD locked
+async function fetchTokenPools(tokens, options = {}) {
+  const tokenList = Array.isArray(tokens) ? tokens : [tokens];
+  const label = options.label || tokenList.join(', ');
+  try {
+    console.log(`Fetching ${label} pools...`);
+
+    const tokenIds = await resolveTokenIds(tokenList, options);
+    if (tokenIds.length === 0) {
+      console.log(`Found no tokens for ${label}`);
+      return [];
+    }
+
+    const filters = {
+      feeTiers: options.feeTiers?.length > 0 ? options.feeTiers.map(String) : undefined,
+      minTvlUsd: options.minTvlUsd !== undefined ? String(options.minTvlUsd) : undefined
+    };
+    const client = resolveClient(options);
+    const poolsById = new Map();
+    let pages = 0;
+    // A pool can hold the token on either side, and both sides can match for a token pair
+    for (const side of ['token0', 'token1']) {
+      const result = await fetchAllPages(
+        client,
+        buildTokenPoolsQuery(side, filters),
+        { tokenIds, ...filters, block: blockArgument(options) },
+        'pools'
+      );
+      result.items.forEach(pool => poolsById.set(pool.id, pool));
+      pages += result.pages;
+    }
+
+    const pools = sortPoolsByTvl(Array.from(poolsById.values()));
+    console.log(`Found ${pools.length} pools with ${label} (${pluralPages(pages)})`);
+    return pools;
+
+  } catch (error) {
+    console.error(`Error fetching ${label} pools:`, error);
+    throw error;
+  }
+}
+
+async function fetchPoolInfo(poolId, options = {}) {
+  try {
+    console.log(`Fetching pool information for ${poolId}...`);
+    
+    const data = await resolveClient(options).query(POOL_INFO_QUERY, { poolId, block: blockArgument(options) });
+
+    if (!data.pool) {
+      throw new NotFoundError(`Pool ${poolId} not found`);
+    }
+
+    return data.pool;
+
+  } catch (error) {
+    console.error('Error fetching pool info:', error);
+    throw error;
+  }
+}
+
+async function fetchCurrentPositions(poolId, options = {}) {
+  try {
+    console.log(`Fetching current positions for pool ${poolId}...`);
+    
+    const { items: positions, pages } = await fetchAllPages(
+      resolveClient(options),
+      CURRENT_POSITIONS_QUERY,
+      { poolId, block: blockArgument(options) },
+      'positions'
+    );
+
+    console.log(`Found ${positions.length} current positions with liquidity > 0 (${pluralPages(pages)})`);
+    return sortPositionsByLiquidity(positions);
+
+  } catch (error) {
+    console.error('Error fetching current positions:', error);
+    throw error;
+  }
+}
+
+// Fetch the current state of specific positions (e.g. the ones seen in snapshots).
+// Returns a map of position ID -> position; closed or unknown positions are simply missing.
+async function fetchPositionsByIds(positionIds, options = {}) {
+  const ids = [...new Set(positionIds)];
+  try {
+    if (ids.length === 0) {
+      return {};
+    }
+
+    console.log(`Fetching current state of ${ids.length} position${ids.length === 1 ? '' : 's'}...`);
+
+    const { items: positions, pages } = await fetchAllPages(
+      resolveClient(options),
+      POSITIONS_BY_ID_QUERY,
+      { positionIds: ids, block: blockArgument(options) },
+      'positions'
+    );
+
+    console.log(`Found ${positions.length} positions (${pluralPages(pages)})`);
+    const positionsById = {};
+    positions.forEach(position => {
+      positionsById[position.id] = position;
+    });
+    return positionsById;
+
+  } catch (error) {
+    console.error('Error fetching positions:', error);
+    throw error;
+  }
+}
+
+// Fetch every position of one owner or an array of owners across all pools, largest
+// liquidity first. Closed positions (liquidity 0) are included.
+async function fetchOwnerPositions(owners, options = {}) {
+  const ownerIds = (Array.isArray(owners) ? owners : [owners]).map(owner => owner.toLowerCase());
+  try {
+    console.log(`Fetching positions of ${ownerIds.join(', ')}...`);
+
+    const { items: positions, pages } = await fetchAllPages(
+      resolveClient(options),
+      OWNER_POSITIONS_QUERY,
+      { owners: ownerIds, block: blockArgument(options) },
+      'positions'
+    );
+
+    console.log(`Found ${positions.length} positions (${pluralPages(pages)})`);
+    return sortPositionsByLiquidity(positions);
+
+  } catch (error) {
+    console.error('Error fetching owner positions:', error);
+    throw error;
+  }
+}
+
+// Fetch position snapshots in the window for one pool ID or an array of pool IDs
+async function fetchPositionSnapshots(poolIds, options = {}) {
+  const ids = Array.isArray(poolIds) ? poolIds : [poolIds];
+  try {
+    const since = resolveWindowStart(options);
+    
+    console.log(`Fetching position snapshots for ${ids.length === 1 ? `pool ${ids[0]}` : `${ids.length} pools`}...`);
+    console.log(`Time range: since ${new Date(since * 1000).toISOString()}`);
+    
+    const { items: snapshots, pages } = await fetchAllPages(
+      resolveClient(options),
+      POSITION_SNAPSHOTS_QUERY,
+      {
+        poolIds: ids,
+        timestamp: since.toString(),
+        block: blockArgument(options)
+      },
+      'positionSnapshots'
+    );
+
+    console.log(`Found ${snapshots.length} position snapshots (${pluralPages(pages)})`);
+    return sortSnapshotsNewestFirst(snapshots);
+
+  } catch (error) {
+    console.error('Error fetching position snapshots:', error);
+    throw error;
+  }
+}
+
+// Discover the pools of one or more tokens, then fetch their snapshots in the window
+async function fetchTokenPositionSnapshots(tokens, options = {}) {
+  const pools = await fetchTokenPools(tokens, options);
+  if (pools.length === 0) {
+    return [];
+  }
+  return fetchPositionSnapshots(pools.map(pool => pool.id), options);
+}
+
+// Fetch position snapshots in the window for a set of owners across every pool
+async function fetchOwnerSnapshots(owners, options = {}) {
+  const ownerIds = owners.map(owner => owner.toLowerCase());
+  try {
+    const since = resolveWindowStart(options);
+    
+    console.log(`Fetching position snapshots for ${ownerIds.length} owner${ownerIds.length === 1 ? '' : 's'} across all pools...`);
+    console.log(`Time range: since ${new Date(since * 1000).toISOString()}`);
+    
+    const { items: snapshots, pages } = await fetchAllPages(
+      resolveClient(options),
+      OWNER_SNAPSHOTS_QUERY,
+      {
+        owners: ownerIds,
+        timestamp: since.toString(),
+        block: blockArgument(options)
+      },
+      'positionSnapshots'
+    );
+
+    console.log(`Found ${snapshots.length} position snapshots (${pluralPages(pages)})`);
+    return sortSnapshotsNewestFirst(snapshots);
+
+  } catch (error) {
+    console.error('Error fetching owner snapshots:', error);
+    throw error;
+  }
+}
+
+// Fetch each position's last snapshot before its earliest snapshot in the window.
+// Returns a map of position ID -> baseline snapshot (positions minted in the window have none).
+async function fetchBaselineSnapshots(snapshots, options = {}) {
+  try {
+    const earliestBlockByPosition = {};
+    snapshots.forEach(snapshot => {
+      const positionId = snapshot.position?.id;
+      if (!positionId) return;
+      const block = parseInt(snapshot.blockNumber);
+      if (earliestBlockByPosition[positionId] === undefined || block < earliestBlockByPosition[positionId]) {
+        earliestBlockByPosition[positionId] = block;
+      }
+    });
+
+    const positionIds = Object.keys(earliestBlockByPosition);
+    const baselines = {};
+
+    if (!options.quiet) {
+      console.log(`Fetching baseline snapshots for ${positionIds.length} positions...`);
+    }
+
+    for (let i = 0; i < positionIds.length; i += BASELINE_BATCH_SIZE) {
+      const batch = positionIds.slice(i, i + BASELINE_BATCH_SIZE);
+      const variables = {};
+      batch.forEach((positionId, index) => {
+        variables[`position${index}`] = positionId;
+        variables[`block${index}`] = earliestBlockByPosition[positionId].toString();
+      });
+
+      const data = await resolveClient(options).query(
+        buildBaselineSnapshotsQuery(batch.length),
+        variables
+      );
+
+      batch.forEach((positionId, index) => {
+        const [baseline] = data[`p${index}`];
+        if (baseline) {
+          baselines[positionId] = baseline;
+        }
+      });
+    }
+
+    if (!options.quiet) {
+      console.log(`Found baselines for ${Object.keys(baselines).length} of ${positionIds.length} positions`);
+    }
+    return baselines;
+
+  } catch (error) {
+    console.error('Error fetching baseline snapshots:', error);
+    throw error;
+  }
+}
+
+// Fetch every snapshot of a set of positions, not just those in the window.
+// Returns a map of position ID -> snapshots, newest first.
+async function fetchPositionHistory(positionIds, options = {}) {
+  const ids = [...new Set(positionIds)];
+  try {
+    if (ids.length === 0) {
+      return {};
+    }
+
+    console.log(`Fetching full snapshot history for ${ids.length} position${ids.length === 1 ? '' : 's'}...`);
+
+    const { items: snapshots, pages } = await fetchAllPages(
+      resolveClient(options),
+      POSITION_HISTORY_QUERY,
+      { positionIds: ids, block: blockArgument(options) },
+      'positionSnapshots'
+    );
+
+    console.log(`Found ${snapshots.length} historical snapshots (${pluralPages(pages)})`);
+    const history = {};
+    sortSnapshotsNewestFirst(snapshots).forEach(snapshot => {
+      const positionId = snapshot.position.id;
+      if (!history[positionId]) {
+        history[positionId] = [];
+      }
+      history[positionId].push(snapshot);
+    });
+    return history;
+
+  } catch (error) {
+    console.error('Error fetching position history:', error);
+    throw error;
+  }
+}
+
+// Fetch snapshots of one pool ID or an array of pool IDs in blocks after `afterBlock` (and from
+// `options.since`, when given), for the local store (lib/store.js) and watch mode (lib/watch.js).
+// Returned newest first.
+async function fetchPoolSnapshotsAfterBlock(poolIds, afterBlock, options = {}) {
+  const ids = Array.isArray(poolIds) ? poolIds : [poolIds];
+  try {
+    const since = options.since ?? 0;
+
+    if (!options.quiet) {
+      console.log(`Fetching snapshots for ${ids.length === 1 ? `pool ${ids[0]}` : `${ids.length} pools`} after block ${afterBlock}...`);
+    }
+
+    const { items: snapshots, pages } = await fetchAllPages(
+      resolveClient(options),
+      POOL_SNAPSHOTS_AFTER_BLOCK_QUERY,
+      {
+        poolIds: ids,
+        afterBlock: afterBlock.toString(),
+        timestamp: since.toString(),
+        block: blockArgument(options)
+      },
+      'positionSnapshots'
+    );
+
+    if (!options.quiet) {
+      console.log(`Found ${snapshots.length} new position snapshots (${pluralPages(pages)})`);
+    }
+    return sortSnapshotsNewestFirst(snapshots);
+
+  } catch (error) {
+    console.error('Error fetching new pool snapshots:', error);
+    throw error;
+  }
+}
+
+// Fetch current and daily USD prices for a set of tokens, covering the window
+// (plus PRICE_LOOKBACK_DAYS before it) up to today. Returns a price book (lib/pricing.js).
+async function fetchTokenPrices(tokenIds, options = {}) {
+  const ids = [...new Set(tokenIds.map(tokenId => tokenId.toLowerCase()))];
+  try {
+    if (ids.length === 0) {
+      return buildPriceBook(null);
+    }
+
+    const since = resolveWindowStart(options);
+    const from = dayStart(since) - PRICE_LOOKBACK_DAYS * SECONDS_PER_DAY;
+    const to = dayStart(resolveNow(options));
+
+    console.log(`Fetching USD prices for ${ids.length} token${ids.length === 1 ? '' : 's'}...`);
+
+    const client = resolveClient(options);
+    const block = blockArgument(options);
+    const current = await client.query(TOKEN_PRICES_QUERY, { tokenIds: ids, block });
+    const { items: dayDatas, pages } = await fetchAllPages(
+      client,
+      TOKEN_DAY_PRICES_QUERY,
+      { tokenIds: ids, from, to, block },
+      'tokenDayDatas'
+    );
+
+    console.log(`Found ${current.tokens.length} current prices and ${dayDatas.length} daily prices (${pluralPages(pages)})`);
+    return buildPriceBook(current.bundle, current.tokens, dayDatas);
+
+  } catch (error) {
+    console.error('Error fetching token prices:', error);
+    throw error;
+  }
+}
+
+// Fetch a pool's daily volume and TVL from the window's first UTC day, oldest first
+async function fetchPoolDayData(poolId, options = {}) {
+  try {
+    const from = dayStart(resolveWindowStart(options));
+
+    console.log(`Fetching daily volume for pool ${poolId}...`);
+
+    const { items: dayDatas, pages } = await fetchAllPages(
+      resolveClient(options),
+      POOL_DAY_DATA_QUERY,
+      { poolId, from, block: blockArgument(options) },
+      'poolDayDatas'
+    );
+
+    console.log(`Found ${dayDatas.length} days of pool data (${pluralPages(pages)})`);
+    return dayDatas.sort((a, b) => a.date - b.date);
+
+  } catch (error) {
+    console.error('Error fetching pool day data:', error);
+    throw error;
+  }
+}
+
+// Resolve a unix timestamp to the last block at or before it with exchange activity.
+// Returns { number, timestamp } (timestamp of that block's transaction).
+async function fetchBlockAtTime(timestamp, options = {}) {
+  try {
+    console.log(`Resolving block at ${new Date(timestamp * 1000).toISOString()}...`);
+
+    const data = await resolveClient(options).query(BLOCK_AT_TIME_QUERY, { timestamp: timestamp.toString() });
+    const [transaction] = data.transactions;
+    if (!transaction) {
+      throw new Error(`No exchange activity at or before ${new Date(timestamp * 1000).toISOString()}`);
+    }
+
+    return { number: parseInt(transaction.blockNumber), timestamp: parseInt(transaction.timestamp) };
+
+  } catch (error) {
+    console.error('Error resolving block at time:', error);
+    throw error;
+  }
+}
+
+// Approximate timestamp for a block: that of the last exchange transaction at or before it.
+// Returns { number, timestamp } with `number` the requested block.
+async function fetchBlockTimestamp(blockNumber, options = {}) {
+  try {
+    console.log(`Resolving timestamp of block ${blockNumber}...`);
+
+    const data = await resolveClient(options).query(BLOCK_TIMESTAMP_QUERY, { blockNumber: blockNumber.toString() });
+    const [transaction] = data.transactions;
+    if (!transaction) {
+      throw new Error(`No exchange activity at or before block ${blockNumber}`);
+    }
+
+    return { number: blockNumber, timestamp: parseInt(transaction.timestamp) };
+
+  } catch (error) {
+    console.error('Error resolving block timestamp:', error);
+    throw error;
+  }
+}
+
+// Fetch the latest block the subgraph has indexed, as { number, timestamp }
+async function fetchIndexedBlock(options = {}) {
+  try {
+    const data = await resolveClient(options).query(INDEXED_BLOCK_QUERY, {});
+    const block = data._meta?.block;
+    if (!block) {
+      throw new Error('Subgraph did not report its indexed block');
+    }
+
+    return { number: parseInt(block.number), timestamp: parseInt(block.timestamp) };
+
+  } catch (error) {
+    console.error('Error fetching indexed block:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  NotFoundError,
+  resolveClient,
+  isAddress,
+  resolveTokenIds,
+  fetchTokenPools,
+  fetchPoolInfo,
+  fetchCurrentPositions,
+  fetchPositionsByIds,
+  fetchOwnerPositions,
+  fetchPositionSnapshots,
+  fetchTokenPositionSnapshots,
+  fetchOwnerSnapshots,
+  fetchBaselineSnapshots,
+  fetchPositionHistory,
+  fetchPoolSnapshotsAfterBlock,
+  fetchTokenPrices,
+  fetchPoolDayData,
+  fetchBlockAtTime,
+  fetchBlockTimestamp,
+  fetchIndexedBlock
+};
@@ -0,0 +1,514 @@
+/**
+ * HTML Report
+ * ===========
+ *
+ * Renders a report as a single static HTML page for readers who will not
+ * wade through the text dumps. Charts are inline SVG and table sorting is a
+ * few lines of inline script, so the file has no external dependencies and
+ * opens offline.
+ *
+ * The page is built from the data set rows of lib/output.js (what
+ * --format json writes), so it shows the same numbers as every other format.
+ *
+ * SECTIONS:
+ * ---------
+ * - pools:     one header per pool (tokens, fee tier, TVL, volume, prices,
+ *              fee APR) with its liquidity-by-tick chart: the summed
+ *              liquidity of the listed positions over each tick range, with
+ *              the current tick marked
+ * - positions: sortable table of the positions
+ * - owners:    sortable per-owner breakdown of positions, range status,
+ *              current value, and window deposits, withdrawals and fees
+ * - snapshots: timeline of snapshots per day, then a sortable table
+ * - tokens:    per token totals of an owner portfolio (portfolioTokens)
+ * - PnL:       the positionPnl / ownerPnl tables when present (--pnl)
+ * - leaders:   one table per leaderboard when present (--leaderboard)
+ * - concentration: owner concentration per pool when present
+ *              (--concentration)
+ * - JIT:       flagged short-lived liquidity per pool, per owner and per
+ *              position when present (--jit)
+ *
+ * Sections whose data set is missing (e.g. filtered out with --dataset) are
+ * left out. Owner totals are summed for display only, in floating point.
+ */
+
+const fs = require('node:fs');
+
+const { withCurrentAmounts } = require('./liquidity-math');
+const { buildLiquidityProfile } = require('./liquidity-distribution');
+const { withRangeStatus } = require('./range-status');
+const { withUncollectedFees } = require('./fee-math');
+const { buildDatasets, DATASETS } = require('./output');
+
+// Ticks at or beyond this are full-range bounds, left out of the chart's tick axis
+const FULL_RANGE_TICK = 887000;
+
+const CHART_WIDTH = 860;
+const CHART_HEIGHT = 220;
+const CHART_MARGIN = { top: 16, right: 16, bottom: 32, left: 64 };
+
+const STYLE = `
+  body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #1f2933; background: #f5f7fa; }
+  main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  h2 { margin: 32px 0 12px; font-size: 18px; border-bottom: 1px solid #d9e2ec; padding-bottom: 4px; }
+  h3 { margin: 0 0 8px; font-size: 16px; }
+  .meta { color: #627d98; margin: 0; }
+  .card { background: #fff; border: 1px solid #d9e2ec; border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+  .facts { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px 16px; margin: 0 0 12px; }
+  .facts dt { color: #627d98; font-size: 12px; }
+  .facts dd { margin: 0; font-weight: 600; }
+  .scroll { overflow-x: auto; background: #fff; border: 1px solid #d9e2ec; border-radius: 6px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { padding: 6px 10px; border-bottom: 1px solid #eef2f7; text-align: left; white-space: nowrap; }
+  th { background: #f0f4f8; position: sticky; top: 0; cursor: pointer; user-select: none; }
+  th[data-order="asc"]::after { content: " \\25B2"; }
+  th[data-order="desc"]::after { content: " \\25BC"; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .mono { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; }
+  .in-range { color: #0c6b58; }
+  .below-range, .above-range { color: #b44d12; }
+  svg { display: block; max-width: 100%; height: auto; }
+  svg text { font-size: 11px; fill: #627d98; }
+  .empty { color: #627d98; font-style: italic; }
+`;
+
+// Click a header to sort by that column; numeric cells sort by their data-value
+const SORT_SCRIPT = `
+  document.querySelectorAll('table.sortable').forEach(table => {
+    table.querySelectorAll('th').forEach((header, column) => {
+      header.addEventListener('click', () => {
+        const order = header.dataset.order === 'asc' ? 'desc' : 'asc';
+        table.querySelectorAll('th').forEach(other => delete other.dataset.order);
+        header.dataset.order = order;
+        const body = table.tBodies[0];
+        const key = row => {
+          const cell = row.cells[column];
+          const value = cell.dataset.value ?? cell.textContent;
+          return cell.classList.contains('num') && value !== '' ? Number(value) : value.toLowerCase();
+        };
+        const rows = Array.from(body.rows).sort((a, b) => {
+          const [x, y] = [key(a), key(b)];
+          const result = x < y ? -1 : x > y ? 1 : 0;
+          return order === 'asc' ? result : -result;
+        });
+        rows.forEach(row => body.appendChild(row));
+      });
+    });
+  });
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Display formats for cells; every one shows "-" for a missing value
+function formatNumber(value, significantDigits = 6) {
+  if (isMissing(value)) return '-';
+  return Number(value).toLocaleString('en-US', { maximumSignificantDigits: significantDigits });
+}
+
+function formatUsd(value) {
+  if (isMissing(value)) return '-';
+  return `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatPercent(value) {
+  if (isMissing(value)) return '-';
+  return `${Number(value).toFixed(2)}%`;
+}
+
+function formatFeeTier(feeTier) {
+  if (isMissing(feeTier)) return '-';
+  return `${(Number(feeTier) / 10000).toFixed(2)}%`;
+}
+
+function formatTime(datetime) {
+  if (isMissing(datetime)) return '-';
+  return datetime.replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+// Columns for renderTable: { label, cell(row) -> { text, value?, className? }, numeric? }
+function textColumn(label, key, className) {
+  return { label, cell: row => ({ text: isMissing(row[key]) ? '-' : row[key], className }) };
+}
+
+function numberColumn(label, key, format = formatNumber) {
+  return { label, numeric: true, cell: row => ({ text: format(row[key]), value: row[key] }) };
+}
+
+function renderTable(columns, rows) {
+  if (rows.length === 0) {
+    return '<p class="empty">None.</p>';
+  }
+
+  const head = columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('');
+  const body = rows.map(row => {
+    const cells = columns.map(column => {
+      const { text, value, className } = column.cell(row);
+      const classes = [column.numeric ? 'num' : null, className].filter(Boolean).join(' ');
+      const classAttribute = classes ? ` class="${classes}"` : '';
+      const valueAttribute = isMissing(value) ? '' : ` data-value="${escapeHtml(value)}"`;
+      return `<td${classAttribute}${valueAttribute}>${escapeHtml(text)}</td>`;
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  });
+
+  return `<div class="scroll"><table class="sortable"><thead><tr>${head}</tr></thead>` +
+    `<tbody>\n${body.join('\n')}\n</tbody></table></div>`;
+}
+
+function poolName(pool) {
+  return pool ? `${pool.token0Symbol} / ${pool.token1Symbol}` : '';
+}
+
+function renderLiquidityChart(pool, positions) {
+  const profile = buildLiquidityProfile(positions);
+  if (profile.length === 0) {
+    return '<p class="empty">No positions to chart.</p>';
+  }
+
+  const currentTick = isMissing(pool.tick) ? null : parseInt(pool.tick);
+  // Full-range bounds would squash every other position into a sliver
+  const boundTicks = profile.flatMap(step => [step.from, step.to]).filter(tick => Math.abs(tick) < FULL_RANGE_TICK);
+  const axisTicks = currentTick === null ? boundTicks : [...boundTicks, currentTick];
+  let minTick = axisTicks.length > 0 ? Math.min(...axisTicks) : -FULL_RANGE_TICK;
+  let maxTick = axisTicks.length > 0 ? Math.max(...axisTicks) : FULL_RANGE_TICK;
+  const padding = Math.max(Math.round((maxTick - minTick) * 0.05), 10);
+  minTick -= padding;
+  maxTick += padding;
+
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const maxLiquidity = profile.reduce((max, step) => (step.liquidity > max ? step.liquidity : max), 0n);
+  const x = tick => CHART_MARGIN.left + ((Math.min(Math.max(tick, minTick), maxTick) - minTick) / (maxTick - minTick)) * plotWidth;
+  const y = liquidity => CHART_MARGIN.top + plotHeight - (Number(liquidity) / Number(maxLiquidity)) * plotHeight;
+  const baseline = CHART_MARGIN.top + plotHeight;
+
+  const bars = profile.map(step => {
+    const left = x(step.from);
+    const width = Math.max(x(step.to) - left, 1);
+    const top = y(step.liquidity);
+    return `<rect x="${left.toFixed(1)}" y="${top.toFixed(1)}" width="${width.toFixed(1)}" height="${(baseline - top).toFixed(1)}" fill="#4c8bf5" fill-opacity="0.75">` +
+      `<title>ticks ${step.from} to ${step.to}: liquidity ${step.liquidity}</title></rect>`;
+  });
+
+  const marker = currentTick === null ? '' :
+    `<line x1="${x(currentTick).toFixed(1)}" x2="${x(currentTick).toFixed(1)}" y1="${CHART_MARGIN.top}" y2="${baseline}" stroke="#d64545" stroke-dasharray="4 3"/>` +
+    `<text x="${(x(currentTick) + 4).toFixed(1)}" y="${CHART_MARGIN.top + 10}" style="fill:#d64545">current tick ${currentTick}</text>`;
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Liquidity by tick">
+    <line x1="${CHART_MARGIN.left}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y1="${baseline}" y2="${baseline}" stroke="#9fb3c8"/>
+    ${bars.join('\n    ')}
+    ${marker}
+    <text x="${CHART_MARGIN.left}" y="${CHART_HEIGHT - 10}">${minTick}</text>
+    <text x="${CHART_WIDTH - CHART_MARGIN.right}" y="${CHART_HEIGHT - 10}" text-anchor="end">${maxTick}</text>
+    <text x="${CHART_MARGIN.left + plotWidth / 2}" y="${CHART_HEIGHT - 10}" text-anchor="middle">tick</text>
+    <text x="${CHART_MARGIN.left - 6}" y="${CHART_MARGIN.top + 4}" text-anchor="end">${escapeHtml(formatNumber(maxLiquidity.toString(), 3))}</text>
+    <text x="${CHART_MARGIN.left - 6}" y="${baseline}" text-anchor="end">0</text>
+  </svg>`;
+}
+
+function renderPoolSection(pool, positions) {
+  const facts = [
+    ['Pool', pool.poolId],
+    ['Fee tier', formatFeeTier(pool.feeTier)],
+    ['Current tick', isMissing(pool.tick) ? '-' : pool.tick],
+    ['TVL', formatUsd(pool.totalValueLockedUSD)],
+    ['Volume (all time)', formatUsd(pool.volumeUSD)],
+    ['Transactions', formatNumber(pool.txCount, 21)],
+    [`${pool.token0Symbol} price`, formatUsd(pool.token0PriceUSD)],
+    [`${pool.token1Symbol} price`, formatUsd(pool.token1PriceUSD)],
+    ['Window volume', formatUsd(pool.windowVolumeUSD)],
+    ['Window fees', formatUsd(pool.windowFeesUSD)],
+    ['Fee APR', formatPercent(pool.feeAprPercent)],
+    ['Active positions', positions.length]
+  ];
+  const list = facts.map(([label, value]) => `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`);
+
+  return `<section class="card">
+  <h3>${escapeHtml(poolName(pool))}</h3>
+  <dl class="facts">${list.join('')}</dl>
+  ${positions.length > 0 ? renderLiquidityChart(pool, positions) : ''}
+</section>`;
+}
+
+// Token amount column with the symbol of the position's pool
+function amountColumn(label, key, poolsById, tokenIndex) {
+  return {
+    label,
+    numeric: true,
+    cell: row => {
+      const symbol = poolsById[row.poolId]?.[`token${tokenIndex}Symbol`] || `token${tokenIndex}`;
+      return { text: isMissing(row[key]) ? '-' : `${formatNumber(row[key])} ${symbol}`, value: row[key] };
+    }
+  };
+}
+
+function renderPositions(positions, poolsById) {
+  return renderTable([
+    textColumn('Position', 'positionId', 'mono'),
+    { label: 'Pool', cell: row => ({ text: poolName(poolsById[row.poolId]) || row.poolId }) },
+    textColumn('Owner', 'owner', 'mono'),
+    numberColumn('Liquidity', 'liquidity'),
+    numberColumn('Lower tick', 'tickLower', value => (isMissing(value) ? '-' : value)),
+    numberColumn('Upper tick', 'tickUpper', value => (isMissing(value) ? '-' : value)),
+    { label: 'Range', cell: row => ({ text: row.rangeStatus || '-', className: row.rangeStatus }) },
+    amountColumn('Amount 0', 'currentAmount0', poolsById, 0),
+    amountColumn('Amount 1', 'currentAmount1', poolsById, 1),
+    amountColumn('Uncollected 0', 'uncollectedFees0', poolsById, 0),
+    amountColumn('Uncollected 1', 'uncollectedFees1', poolsById, 1),
+    numberColumn('Value', 'currentValueUSD', formatUsd),
+    numberColumn('Fee APR', 'feeAprPercent', formatPercent)
+  ], positions);
+}
+
+// One row per owner from the positions and window aggregates
+function summarizeOwners(positions, aggregates) {
+  const owners = new Map();
+  const ownerOf = address => {
+    const key = address.toLowerCase();
+    if (!owners.has(key)) {
+      owners.set(key, {
+        owner: address, positions: 0, inRange: 0, outOfRange: 0,
+        valueUSD: null, depositedUSD: null, withdrawnUSD: null, feesUSD: null, snapshots: 0
+      });
+    }
+    return owners.get(key);
+  };
+  const add = (total, value) => (isMissing(value) ? total : (total || 0) + Number(value));
+
+  positions.forEach(position => {
+    const owner = ownerOf(position.owner);
+    owner.positions++;
+    if (position.rangeStatus === 'in-range') owner.inRange++;
+    else if (position.rangeStatus) owner.outOfRange++;
+    owner.valueUSD = add(owner.valueUSD, position.currentValueUSD);
+  });
+  aggregates.forEach(aggregate => {
+    const owner = ownerOf(aggregate.owner);
+    owner.snapshots += aggregate.snapshotCount;
+    owner.depositedUSD = add(owner.depositedUSD, aggregate.depositedUSD);
+    owner.withdrawnUSD = add(owner.withdrawnUSD, aggregate.withdrawnUSD);
+    owner.feesUSD = add(owner.feesUSD, aggregate.feesUSD);
+  });
+
+  return Array.from(owners.values());
+}
+
+function renderOwners(positions, aggregates) {
+  const count = value => value;
+  return renderTable([
+    textColumn('Owner', 'owner', 'mono'),
+    numberColumn('Positions', 'positions', count),
+    numberColumn('In range', 'inRange', count),
+    numberColumn('Out of range', 'outOfRange', count),
+    numberColumn('Value', 'valueUSD', formatUsd),
+    numberColumn('Snapshots', 'snapshots', count),
+    numberColumn('Deposited', 'depositedUSD', formatUsd),
+    numberColumn('Withdrawn', 'withdrawnUSD', formatUsd),
+    numberColumn('Fees', 'feesUSD', formatUsd)
+  ], summarizeOwners(positions, aggregates));
+}
+
+// Bar per day with the number of snapshots taken that day (UTC)
+function renderSnapshotTimeline(snapshots) {
+  if (snapshots.length === 0) {
+    return '';
+  }
+
+  const countsByDay = new Map();
+  snapshots.forEach(snapshot => {
+    const day = Math.floor(parseInt(snapshot.timestamp) / 86400);
+    countsByDay.set(day, (countsByDay.get(day) || 0) + 1);
+  });
+  const days = Array.from(countsByDay.keys());
+  const firstDay = Math.min(...days);
+  const dayCount = Math.max(...days) - firstDay + 1;
+  const maxCount = Math.max(...countsByDay.values());
+
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const slot = plotWidth / dayCount;
+  const baseline = CHART_MARGIN.top + plotHeight;
+  const dateOf = day => new Date(day * 86400 * 1000).toISOString().slice(0, 10);
+
+  const bars = Array.from(countsByDay.entries()).map(([day, count]) => {
+    const height = (count / maxCount) * plotHeight;
+    const left = CHART_MARGIN.left + (day - firstDay) * slot;
+    return `<rect x="${(left + slot * 0.1).toFixed(1)}" y="${(baseline - height).toFixed(1)}" width="${Math.max(slot * 0.8, 1).toFixed(1)}" height="${height.toFixed(1)}" fill="#3ebd93">` +
+      `<title>${dateOf(day)}: ${count} snapshot${count === 1 ? '' : 's'}</title></rect>`;
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Snapshots per day">
+    <line x1="${CHART_MARGIN.left}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y1="${baseline}" y2="${baseline}" stroke="#9fb3c8"/>
+    ${bars.join('\n    ')}
+    <text x="${CHART_MARGIN.left}" y="${CHART_HEIGHT - 10}">${dateOf(firstDay)}</text>
+    <text x="${CHART_WIDTH - CHART_MARGIN.right}" y="${CHART_HEIGHT - 10}" text-anchor="end">${dateOf(firstDay + dayCount - 1)}</text>
+    <text x="${CHART_MARGIN.left - 6}" y="${CHART_MARGIN.top + 4}" text-anchor="end">${maxCount}</text>
+    <text x="${CHART_MARGIN.left - 6}" y="${baseline}" text-anchor="end">0</text>
+  </svg>`;
+}
+
+function renderSnapshots(snapshots, poolsById) {
+  return renderSnapshotTimeline(snapshots) + renderTable([
+    { label: 'Time', cell: row => ({ text: formatTime(row.datetime) }) },
+    numberColumn('Block', 'blockNumber', value => value),
+    textColumn('Position', 'positionId', 'mono'),
+    { label: 'Pool', cell: row => ({ text: poolName(poolsById[row.poolId]) || row.poolId }) },
+    textColumn('Owner', 'owner', 'mono'),
+    numberColumn('Liquidity', 'liquidity'),
+    numberColumn('Deposited 0', 'depositedToken0'),
+    numberColumn('Deposited 1', 'depositedToken1'),
+    numberColumn('Withdrawn 0', 'withdrawnToken0'),
+    numberColumn('Withdrawn 1', 'withdrawnToken1'),
+    numberColumn('Fees 0', 'feesToken0'),
+    numberColumn('Fees 1', 'feesToken1'),
+    textColumn('Transaction', 'transactionId', 'mono')
+  ], snapshots);
+}
+
+// Every column of a data set as-is, for the token totals, PnL, concentration, leaderboard and JIT tables
+function renderDatasetTable(dataset, rows) {
+  return renderTable(DATASETS[dataset].columns.map(column => {
+    const usd = /USD(Now)?$/.test(column);
+    return {
+      label: column,
+      numeric: usd || column.endsWith('Percent'),
+      cell: row => ({
+        text: usd ? formatUsd(row[column]) : isMissing(row[column]) ? '-' : String(row[column]),
+        value: row[column]
+      })
+    };
+  }), rows);
+}
+
+// Render `{ dataset: rows }` (lib/output.js) as a complete HTML document. Options:
+// - title:       page heading (defaults to the pool names)
+// - windowLabel: snapshot window shown under the heading
+// - generatedAt: Date the report was generated (defaults to now)
+function renderHtmlReport(datasets, options = {}) {
+  const pools = datasets.pools || [];
+  const positions = datasets.positions || [];
+  const snapshots = datasets.snapshots || [];
+  const poolsById = {};
+  pools.forEach(pool => {
+    poolsById[pool.poolId] = pool;
+  });
+
+  const title = options.title || pools.map(poolName).join(', ') || 'Upheaval positions report';
+  const generatedAt = (options.generatedAt || new Date()).toISOString();
+  const meta = [options.windowLabel, `Generated ${formatTime(generatedAt)}`].filter(Boolean).join(' · ');
+
+  const sections = [];
+  if (datasets.pools) {
+    sections.push(`<h2>Pools</h2>\n${pools.map(pool =>
+      renderPoolSection(pool, positions.filter(position => position.poolId === pool.poolId))
+    ).join('\n') || '<p class="empty">None.</p>'}`);
+  }
+  if (datasets.positions) {
+    sections.push(`<h2>Positions (${positions.length})</h2>\n${renderPositions(positions, poolsById)}`);
+  }
+  if (datasets.positions || datasets.positionAggregates) {
+    sections.push(`<h2>Owners</h2>\n${renderOwners(positions, datasets.positionAggregates || [])}`);
+  }
+  if (datasets.snapshots) {
+    sections.push(`<h2>Snapshots (${snapshots.length})</h2>\n${renderSnapshots(snapshots, poolsById)}`);
+  }
+  if (datasets.portfolioTokens) {
+    sections.push(`<h2>Token totals</h2>\n${renderDatasetTable('portfolioTokens', datasets.portfolioTokens)}`);
+  }
+  if (datasets.positionPnl) {
+    sections.push(`<h2>PnL per position</h2>\n${renderDatasetTable('positionPnl', datasets.positionPnl)}`);
+  }
+  if (datasets.ownerPnl) {
+    sections.push(`<h2>PnL per owner</h2>\n${renderDatasetTable('ownerPnl', datasets.ownerPnl)}`);
+  }
+  if (datasets.concentration) {
+    sections.push(`<h2>Liquidity concentration</h2>\n${renderDatasetTable('concentration', datasets.concentration)}`);
+  }
+  if (datasets.leaderboard) {
+    const boards = [...new Set(datasets.leaderboard.map(row => row.board))];
+    sections.push(`<h2>Leaderboard</h2>\n${boards.map(board =>
+      `<h3>${escapeHtml(board)}</h3>\n${renderDatasetTable('leaderboard', datasets.leaderboard.filter(row => row.board === board))}`
+    ).join('\n') || '<p class="empty">None.</p>'}`);
+  }
+  if (datasets.jitPools) {
+    sections.push(`<h2>JIT and short-lived liquidity per pool</h2>\n${renderDatasetTable('jitPools', datasets.jitPools)}`);
+  }
+  if (datasets.jitOwners) {
+    sections.push(`<h2>Owners with short-lived liquidity</h2>\n${renderDatasetTable('jitOwners', datasets.jitOwners)}`);
+  }
+  if (datasets.jitPositions) {
+    sections.push(`<h2>Short-lived positions (${datasets.jitPositions.length})</h2>\n${renderDatasetTable('jitPositions', datasets.jitPositions)}`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(meta)}</p>
+${sections.join('\n')}
+</main>
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// Write the report for `{ dataset: rows }` like writeOutput in lib/output.js. Options:
+// - output:   file path (stdout when omitted)
+// - datasets: names to keep (all provided data sets when empty)
+// plus the renderHtmlReport options. Returns the files written.
+function writeHtmlReport(allDatasets, options = {}) {
+  const { output, datasets: only = [] } = options;
+  const datasets = {};
+  Object.entries(allDatasets).forEach(([dataset, rows]) => {
+    if (only.length === 0 || only.includes(dataset)) {
+      datasets[dataset] = rows;
+    }
+  });
+
+  const html = renderHtmlReport(datasets, options);
+  if (!output) {
+    process.stdout.write(html);
+    return [];
+  }
+  fs.writeFileSync(output, html);
+  return [output];
+}
+
+// Render the `{ poolInfo, currentPositions, positionSnapshots }` returned by a pool
+// script's main() (e.g. fetch-thbill-positions.js), without USD values
+function renderPoolHtmlReport({ poolInfo, currentPositions, positionSnapshots }, options = {}) {
+  const positions = withUncollectedFees(
+    withRangeStatus(withCurrentAmounts(currentPositions, poolInfo), poolInfo),
+    poolInfo
+  );
+  return renderHtmlReport(buildDatasets({
+    pools: [poolInfo],
+    positions,
+    snapshots: positionSnapshots
+  }), options);
+}
+
+module.exports = {
+  renderHtmlReport,
+  writeHtmlReport,
+  renderPoolHtmlReport
+};
@@ -0,0 +1,242 @@
+/**
+ * JIT and Short-Lived Liquidity
+ * =============================
+ *
+ * Finds liquidity that was added and pulled again within moments, e.g. a
+ * position deposited at block 13297882 and withdrawn at block 13297900, 18
+ * seconds later. Such liquidity earns fees on the swaps it was placed for
+ * while the pool's long-term LPs carry the range the rest of the time.
+ *
+ * EPISODES:
+ * ---------
+ * A position's lifecycle events (lib/lifecycle.js) are cut into episodes of
+ * continuous liquidity: an episode opens with the mint, or with an increase
+ * from zero liquidity when a closed position is reused, and ends with the
+ * close. Collects after the close, up to the next opening, still belong to
+ * the episode, since fees of a burn are often collected separately.
+ *
+ * The subgraph keeps one snapshot per position per block, so liquidity added
+ * and removed in the same block shows up as a single snapshot with deposits
+ * but no liquidity, and no liquidity before it: that snapshot both opens and
+ * closes an episode (lifetime 0, blocks 0).
+ *
+ * Episodes opened before the window or still open at its end have no known
+ * lifetime and are never flagged.
+ *
+ * FLAGS:
+ * ------
+ * - jit:        opened and closed in the same or the adjacent block
+ *               (JIT_MAX_BLOCKS)
+ * - shortLived: closed less than `maxLifetime` seconds after it was opened
+ *               (--max-lifetime, DEFAULT_MAX_LIFETIME_SECONDS in
+ *               lib/config.js); every jit episode is short-lived as well
+ *
+ * Fee capture is measured per flagged episode as the fees it collected, in
+ * USD at event-time prices, per hour of lifetime and as a share of what it
+ * deposited; per pool as the share of all fees collected in the window that
+ * went to flagged episodes. Owners with RECURRENT_MIN_EPISODES or more
+ * flagged episodes are marked recurrent.
+ */
+
+const { ratio } = require('./decimal');
+const { valueDelta, sumUsd } = require('./pricing');
+const { hasDeposit } = require('./snapshot-deltas');
+const { MINT, INCREASE, CLOSE, buildPositionLifecycle } = require('./lifecycle');
+
+// Most blocks between opening and closing for an episode to count as JIT
+const JIT_MAX_BLOCKS = 1;
+
+// Flagged episodes before an owner counts as a recurrent JIT / short-lived LP
+const RECURRENT_MIN_EPISODES = 2;
+
+const SECONDS_PER_HOUR = 3600;
+
+const TOTAL_KEYS = ['deposited0', 'deposited1', 'withdrawn0', 'withdrawn1', 'fees0', 'fees1'];
+
+// Whether a lifecycle event adds and removes liquidity again within its block
+function opensAndCloses(event) {
+  return event.liquidity === 0n && event.liquidityDelta === 0n && hasDeposit(event);
+}
+
+// Whether a lifecycle event puts liquidity into an empty position
+function opensEpisode(event) {
+  return event.type === MINT ||
+    (event.type === INCREASE && event.liquidity === event.liquidityDelta) ||
+    opensAndCloses(event);
+}
+
+// Episodes of continuous liquidity of a position aggregate (buildPositionAggregates), oldest first.
+// `opened` is null for liquidity held since before the window and `closed` is null while it is held.
+function findLiquidityEpisodes(aggregate) {
+  const lifecycle = buildPositionLifecycle(aggregate);
+  const episodes = [];
+  let episode = null;
+
+  lifecycle.events.forEach(event => {
+    if (opensEpisode(event) || !episode) {
+      episode = {
+        positionId: lifecycle.positionId,
+        owner: lifecycle.owner,
+        pool: lifecycle.pool,
+        tickLower: lifecycle.tickLower,
+        tickUpper: lifecycle.tickUpper,
+        opened: opensEpisode(event) ? event : null,
+        closed: null,
+        events: [],
+        peakLiquidity: 0n
+      };
+      TOTAL_KEYS.forEach(key => {
+        episode[key] = 0n;
+      });
+      episodes.push(episode);
+    }
+
+    episode.events.push(event);
+    TOTAL_KEYS.forEach(key => {
+      episode[key] += event[key];
+    });
+    if (event.liquidity > episode.peakLiquidity) episode.peakLiquidity = event.liquidity;
+    if (event.type === CLOSE || opensAndCloses(event)) episode.closed = event;
+  });
+
+  return episodes.map(found => ({
+    ...found,
+    blocks: found.opened && found.closed
+      ? parseInt(found.closed.blockNumber) - parseInt(found.opened.blockNumber)
+      : null,
+    lifetime: found.opened && found.closed
+      ? parseInt(found.closed.timestamp) - parseInt(found.opened.timestamp)
+      : null
+  }));
+}
+
+// Copy an episode with its jit / shortLived flags and fee capture attached. `usd` holds the
+// episode's deposits, withdrawals and fees at event-time prices (null without prices).
+function classifyEpisode(episode, book, maxLifetime) {
+  const usd = { deposited: 0n, withdrawn: 0n, fees: 0n };
+  episode.events.forEach(event => {
+    const value = valueDelta(event, episode.pool, book);
+    Object.keys(usd).forEach(key => {
+      usd[key] = sumUsd(usd[key], value[key]);
+    });
+  });
+
+  const jit = episode.blocks !== null && episode.blocks <= JIT_MAX_BLOCKS;
+  const shortLived = jit || (episode.lifetime !== null && episode.lifetime < maxLifetime);
+  return {
+    ...episode,
+    jit,
+    shortLived,
+    usd,
+    // Null for liquidity closed within the second it was opened
+    feesPerHour: usd.fees !== null && episode.lifetime > 0
+      ? usd.fees * BigInt(SECONDS_PER_HOUR) / BigInt(episode.lifetime)
+      : null,
+    feeReturn: usd.fees !== null && usd.deposited ? ratio(usd.fees, usd.deposited) : null
+  };
+}
+
+function newPoolSummary(pool) {
+  return {
+    pool,
+    opened: 0,
+    closed: 0,
+    flagged: 0,
+    jit: 0,
+    flaggedShare: null,
+    fees: 0n,
+    flaggedFees: 0n,
+    flaggedFeeShare: null,
+    owners: new Set(),
+    recurrentOwners: 0
+  };
+}
+
+function newOwnerSummary(owner) {
+  return {
+    owner,
+    poolIds: new Set(),
+    closed: 0,
+    flagged: 0,
+    jit: 0,
+    shortestLifetime: null,
+    deposited: 0n,
+    fees: 0n,
+    recurrent: false
+  };
+}
+
+// Flagged episodes of window `aggregates` (valued with `book` for USD), with a summary for each
+// of `pools` and for every owner with a flagged episode. Options:
+// - maxLifetime: seconds under which a closed episode counts as short-lived
+function buildJitReport(aggregates, pools, book, options = {}) {
+  const { maxLifetime } = options;
+  const poolSummaries = new Map(pools.map(pool => [pool.id, newPoolSummary(pool)]));
+  const ownerSummaries = new Map();
+  const flagged = [];
+
+  aggregates.forEach(aggregate => {
+    if (!poolSummaries.has(aggregate.pool.id)) {
+      poolSummaries.set(aggregate.pool.id, newPoolSummary(aggregate.pool));
+    }
+    const poolSummary = poolSummaries.get(aggregate.pool.id);
+
+    findLiquidityEpisodes(aggregate).forEach(rawEpisode => {
+      const episode = classifyEpisode(rawEpisode, book, maxLifetime);
+      poolSummary.fees = sumUsd(poolSummary.fees, episode.usd.fees);
+      if (episode.opened) poolSummary.opened++;
+      if (!episode.opened || !episode.closed) return;
+      poolSummary.closed++;
+
+      const owner = episode.owner.toLowerCase();
+      if (!ownerSummaries.has(owner)) ownerSummaries.set(owner, newOwnerSummary(owner));
+      const ownerSummary = ownerSummaries.get(owner);
+      ownerSummary.closed++;
+      if (!episode.shortLived) return;
+
+      flagged.push(episode);
+      poolSummary.flagged++;
+      poolSummary.flaggedFees = sumUsd(poolSummary.flaggedFees, episode.usd.fees);
+      poolSummary.owners.add(owner);
+      ownerSummary.poolIds.add(episode.pool.id);
+      ownerSummary.flagged++;
+      ownerSummary.deposited = sumUsd(ownerSummary.deposited, episode.usd.deposited);
+      ownerSummary.fees = sumUsd(ownerSummary.fees, episode.usd.fees);
+      if (ownerSummary.shortestLifetime === null || episode.lifetime < ownerSummary.shortestLifetime) {
+        ownerSummary.shortestLifetime = episode.lifetime;
+      }
+      if (episode.jit) {
+        poolSummary.jit++;
+        ownerSummary.jit++;
+      }
+    });
+  });
+
+  const owners = Array.from(ownerSummaries.values()).filter(owner => owner.flagged > 0);
+  owners.forEach(owner => {
+    owner.recurrent = owner.flagged >= RECURRENT_MIN_EPISODES;
+  });
+  owners.sort((a, b) => b.flagged - a.flagged || (a.owner < b.owner ? -1 : 1));
+
+  const poolList = Array.from(poolSummaries.values());
+  poolList.forEach(summary => {
+    summary.flaggedShare = summary.closed > 0 ? summary.flagged / summary.closed : null;
+    if (summary.fees !== null && summary.flaggedFees !== null && summary.fees > 0n) {
+      summary.flaggedFeeShare = ratio(summary.flaggedFees, summary.fees);
+    }
+    summary.recurrentOwners = owners.filter(owner => owner.recurrent && summary.owners.has(owner.owner)).length;
+  });
+
+  flagged.sort((a, b) => a.lifetime - b.lifetime || parseInt(a.opened.blockNumber) - parseInt(b.opened.blockNumber));
+
+  return { episodes: flagged, pools: poolList, owners };
+}
+
+module.exports = {
+  JIT_MAX_BLOCKS,
+  RECURRENT_MIN_EPISODES,
+  opensAndCloses,
+  findLiquidityEpisodes,
+  classifyEpisode,
+  buildJitReport
+};
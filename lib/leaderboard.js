@@ -0,0 +1,145 @@
+/**
+ * LP Leaderboard
+ * ==============
+ *
+ * Ranks the owners of a pool, or of every pool found for a set of tokens, on
+ * their active positions (fetchCurrentPositions) and their position snapshots
+ * in the window.
+ *
+ * BOARDS:
+ * -------
+ * - liquidityShare: share of the listed active liquidity. Raw liquidity is
+ *                   only comparable within one pool, so across several pools
+ *                   this is the share of the positions' USD value instead
+ * - value:          current USD value of the owner's active positions
+ * - fees:           fees collected in the window, at event-time prices
+ *                   (fees only show up once collected)
+ * - inflow:         net deposits (deposits minus withdrawals) in the window,
+ *                   at event-time prices, largest first
+ * - outflow:        net withdrawals in the window, largest first
+ *
+ * USD boards are empty without prices (e.g. --offline).
+ */
+
+const { ratio } = require('./decimal');
+const { valuePosition, sumUsd } = require('./pricing');
+
+const LIQUIDITY_SHARE = 'liquidityShare';
+const VALUE = 'value';
+const FEES = 'fees';
+const INFLOW = 'inflow';
+const OUTFLOW = 'outflow';
+
+const BOARDS = [LIQUIDITY_SHARE, VALUE, FEES, INFLOW, OUTFLOW];
+
+function compareBigIntDesc(a, b) {
+  return a > b ? -1 : a < b ? 1 : 0;
+}
+
+// How each board picks its owners and orders them, best first
+const BOARD_RANKINGS = {
+  [LIQUIDITY_SHARE]: {
+    include: standing => standing.liquidityShare !== null && standing.liquidityShare > 0,
+    compare: (a, b) => b.liquidityShare - a.liquidityShare
+  },
+  [VALUE]: {
+    include: standing => standing.currentValue !== null && standing.currentValue > 0n,
+    compare: (a, b) => compareBigIntDesc(a.currentValue, b.currentValue)
+  },
+  [FEES]: {
+    include: standing => standing.fees !== null && standing.fees > 0n,
+    compare: (a, b) => compareBigIntDesc(a.fees, b.fees)
+  },
+  [INFLOW]: {
+    include: standing => standing.netFlow !== null && standing.netFlow > 0n,
+    compare: (a, b) => compareBigIntDesc(a.netFlow, b.netFlow)
+  },
+  [OUTFLOW]: {
+    include: standing => standing.netFlow !== null && standing.netFlow < 0n,
+    compare: (a, b) => compareBigIntDesc(b.netFlow, a.netFlow)
+  }
+};
+
+// Per owner totals from active `positions` (each with its pool, see POSITION_FIELDS) and
+// window `aggregates` valued with withAggregateValues. `liquidity` is only summed for one pool.
+function buildOwnerStandings(positions, aggregates, prices) {
+  const singlePool = new Set(positions.map(position => position.pool.id)).size <= 1;
+  const standings = new Map();
+  const standingOf = owner => {
+    const key = owner.toLowerCase();
+    if (!standings.has(key)) {
+      standings.set(key, {
+        owner: key,
+        positions: 0,
+        poolIds: new Set(),
+        liquidity: singlePool ? 0n : null,
+        liquidityShare: null,
+        currentValue: 0n,
+        deposited: 0n,
+        withdrawn: 0n,
+        fees: 0n,
+        netFlow: null
+      });
+    }
+    return standings.get(key);
+  };
+
+  let totalLiquidity = 0n;
+  positions.forEach(position => {
+    const standing = standingOf(position.owner);
+    standing.positions++;
+    standing.poolIds.add(position.pool.id);
+    if (singlePool) {
+      standing.liquidity += BigInt(position.liquidity);
+      totalLiquidity += BigInt(position.liquidity);
+    }
+    standing.currentValue = sumUsd(standing.currentValue, valuePosition(position, position.pool, prices).currentValue);
+  });
+  aggregates.forEach(aggregate => {
+    const standing = standingOf(aggregate.owner);
+    standing.poolIds.add(aggregate.pool.id);
+    const atEvent = aggregate.usd?.atEvent || { deposited: null, withdrawn: null, fees: null };
+    standing.deposited = sumUsd(standing.deposited, atEvent.deposited);
+    standing.withdrawn = sumUsd(standing.withdrawn, atEvent.withdrawn);
+    standing.fees = sumUsd(standing.fees, atEvent.fees);
+  });
+
+  const list = Array.from(standings.values());
+  const totalValue = sumUsd(...list.map(standing => standing.currentValue));
+  list.forEach(standing => {
+    if (standing.deposited !== null && standing.withdrawn !== null) {
+      standing.netFlow = standing.deposited - standing.withdrawn;
+    }
+    if (singlePool) {
+      standing.liquidityShare = ratio(standing.liquidity, totalLiquidity);
+    } else if (totalValue !== null && standing.currentValue !== null) {
+      standing.liquidityShare = ratio(standing.currentValue, totalValue);
+    }
+  });
+  return list;
+}
+
+// Top `top` owners of every board: board -> [{ board, rank, ...standing }]
+function buildLeaderboards(standings, top) {
+  const boards = {};
+  BOARDS.forEach(board => {
+    const { include, compare } = BOARD_RANKINGS[board];
+    boards[board] = standings
+      .filter(include)
+      .sort((a, b) => compare(a, b) || (a.owner < b.owner ? -1 : 1))
+      .slice(0, top)
+      .map((standing, index) => ({ board, rank: index + 1, ...standing }));
+  });
+  return boards;
+}
+
+module.exports = {
+  LIQUIDITY_SHARE,
+  VALUE,
+  FEES,
+  INFLOW,
+  OUTFLOW,
+  BOARDS,
+  buildOwnerStandings,
+  buildLeaderboards
+};
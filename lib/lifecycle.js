@@ -0,0 +1,133 @@
+/**
+ * Position Lifecycle
+ * ==================
+ *
+ * Turns a position's snapshots into typed events, so a position reads as
+ * "opened at block X with range Y, added Z, closed at block W" instead of a
+ * list of cumulative snapshot rows.
+ *
+ * EVENT TYPES:
+ * ------------
+ * Each snapshot is diffed against the position's previous snapshot (see
+ * lib/snapshot-deltas.js) and classified by its liquidity change first, so a
+ * decrease that also collects fees in the same transaction is a decrease:
+ *
+ * - mint:     the position's first snapshot
+ * - increase: liquidity added
+ * - decrease: liquidity removed, some left
+ * - close:    liquidity removed down to zero
+ * - collect:  fees or owed tokens (burned principal) collected, liquidity
+ *             unchanged
+ * - other:    nothing changed (e.g. a zero-liquidity update)
+ *
+ * A position whose first snapshot in the window has a baseline (its last
+ * snapshot before the window, see fetchBaselineSnapshots) was opened before
+ * the window, so it has no mint event. Without a baseline the first
+ * snapshot is taken to be the mint.
+ *
+ * Events carry the delta fields (token changes, liquidity, block, timestamp
+ * and transaction ID) plus the position, owner and pool, the same shape watch
+ * mode (lib/watch.js) streams.
+ */
+
+const { hasWithdrawal, hasFees } = require('./snapshot-deltas');
+
+const MINT = 'mint';
+const INCREASE = 'increase';
+const DECREASE = 'decrease';
+const CLOSE = 'close';
+const COLLECT = 'collect';
+const OTHER = 'other';
+
+const EVENT_TYPES = [MINT, INCREASE, DECREASE, CLOSE, COLLECT, OTHER];
+
+// Classify one snapshot delta (computePositionDeltas) as an event type
+function classifyDelta(delta) {
+  if (!delta.fromBaseline) return MINT;
+  if (delta.liquidityDelta > 0n) return INCREASE;
+  if (delta.liquidityDelta < 0n) return delta.liquidity === 0n ? CLOSE : DECREASE;
+  if (hasFees(delta) || hasWithdrawal(delta) || delta.collects) return COLLECT;
+  return OTHER;
+}
+
+// Typed events of a position aggregate (buildPositionAggregates), oldest first
+function buildLifecycleEvents(aggregate) {
+  return aggregate.deltas.map(delta => ({
+    type: classifyDelta(delta),
+    positionId: aggregate.positionId,
+    owner: aggregate.owner,
+    pool: aggregate.pool,
+    ...delta
+  }));
+}
+
+// Lifecycle of a position aggregate: its tick range, typed events, and where it was opened and closed.
+// `opened` is the mint event (null when opened before the window); `closed` is the last close
+// when the position ends the window without liquidity (`open` false).
+function buildPositionLifecycle(aggregate) {
+  const events = buildLifecycleEvents(aggregate);
+  const position = aggregate.snapshots[0]?.position;
+  const last = events[events.length - 1];
+  const open = !last || last.liquidity > 0n;
+  const closed = !open
+    ? events.slice().reverse().find(event => event.type === CLOSE) || null
+    : null;
+
+  const counts = {};
+  EVENT_TYPES.forEach(type => {
+    counts[type] = events.filter(event => event.type === type).length;
+  });
+
+  return {
+    positionId: aggregate.positionId,
+    owner: aggregate.owner,
+    pool: aggregate.pool,
+    tickLower: position?.tickLower?.tickIdx ?? null,
+    tickUpper: position?.tickUpper?.tickIdx ?? null,
+    events,
+    opened: events.find(event => event.type === MINT) || null,
+    closed,
+    open,
+    counts
+  };
+}
+
+function times(count) {
+  return count === 1 ? 'once' : `${count} times`;
+}
+
+// Summed liquidity change of a lifecycle's events of `type`, without sign
+function liquidityMoved(lifecycle, type) {
+  return lifecycle.events
+    .filter(event => event.type === type)
+    .reduce((sum, event) => sum + (event.liquidityDelta < 0n ? -event.liquidityDelta : event.liquidityDelta), 0n);
+}
+
+// One line story of a lifecycle, e.g. "opened at block 10 with range 6000 to 8000 (liquidity 100),
+// added 50 liquidity once, removed 30 liquidity once, collected 2 times, closed at block 40"
+function describeLifecycle(lifecycle) {
+  const { opened, closed, open, counts } = lifecycle;
+  const range = lifecycle.tickLower !== null ? ` with range ${lifecycle.tickLower} to ${lifecycle.tickUpper}` : '';
+  const parts = [
+    opened ? `opened at block ${opened.blockNumber}${range} (liquidity ${opened.liquidity})` : `opened before the window${range}`
+  ];
+  if (counts[INCREASE] > 0) parts.push(`added ${liquidityMoved(lifecycle, INCREASE)} liquidity ${times(counts[INCREASE])}`);
+  if (counts[DECREASE] > 0) parts.push(`removed ${liquidityMoved(lifecycle, DECREASE)} liquidity ${times(counts[DECREASE])}`);
+  if (counts[COLLECT] > 0) parts.push(`collected ${times(counts[COLLECT])}`);
+  parts.push(closed ? `closed at block ${closed.blockNumber}` : open ? 'still open' : 'no liquidity left');
+  return parts.join(', ');
+}
+
+module.exports = {
+  MINT,
+  INCREASE,
+  DECREASE,
+  CLOSE,
+  COLLECT,
+  OTHER,
+  EVENT_TYPES,
+  classifyDelta,
+  buildLifecycleEvents,
+  buildPositionLifecycle,
+  describeLifecycle
+};
@@ -0,0 +1,159 @@
+/**
+ * Liquidity Distribution
+ * ======================
+ *
+ * Folds a pool's active positions into the liquidity available at each tick,
+ * so the depth of the book around the current price can be read at a glance
+ * instead of from each position's tick range.
+ *
+ * - buildLiquidityProfile:       summed liquidity over each tick range where
+ *                                it changes, as [{ from, to, liquidity }]
+ * - buildLiquidityDistribution:  that profile cut into equal tick buckets in
+ *                                a price window around the current tick,
+ *                                with each bucket's prices and the tokens
+ *                                its liquidity holds
+ *
+ * BUCKETS:
+ * --------
+ * The window spans `rangePercent` of price below and above the pool price,
+ * cut into about `buckets` buckets of the same number of ticks (one tick per
+ * bucket for a per-tick view). Bucket edges are multiples of the bucket
+ * width, so they stay put as the price moves.
+ *
+ * - liquidity: average liquidity over the bucket's ticks
+ * - amount0 / amount1: tokens the liquidity in the bucket holds at the
+ *   current price, i.e. token0 offered above the price and token1 below it
+ *   (BigInt base units, as lib/liquidity-math.js)
+ * - priceLower / priceUpper: token1 per token0 at the bucket edges, adjusted
+ *   for decimals (floating point, for display)
+ */
+
+const { tokenDecimals } = require('./decimal');
+const { MIN_TICK, MAX_TICK, getSqrtRatioAtTick, getAmountsForLiquidity } = require('./liquidity-math');
+const { getCurrentPrice, valuePair } = require('./pricing');
+
+const TICK_BASE = 1.0001;
+
+// Human price of token0 in token1 at `tick`
+function tickToPrice(tick, pool) {
+  const decimalsShift = tokenDecimals(pool.token0) - tokenDecimals(pool.token1);
+  return Math.pow(TICK_BASE, Number(tick)) * Math.pow(10, decimalsShift);
+}
+
+// Summed liquidity of `ranges` ({ tickLower, tickUpper, liquidity }, ticks as numbers or
+// strings) over each tick range where it changes, as [{ from, to, liquidity }]
+function buildLiquidityProfile(ranges) {
+  const changes = new Map();
+  ranges.forEach(range => {
+    const liquidity = BigInt(range.liquidity);
+    const lower = parseInt(range.tickLower);
+    const upper = parseInt(range.tickUpper);
+    changes.set(lower, (changes.get(lower) || 0n) + liquidity);
+    changes.set(upper, (changes.get(upper) || 0n) - liquidity);
+  });
+
+  const ticks = Array.from(changes.keys()).sort((a, b) => a - b);
+  const profile = [];
+  let liquidity = 0n;
+  ticks.forEach((tick, index) => {
+    liquidity += changes.get(tick);
+    if (index < ticks.length - 1 && liquidity > 0n) {
+      profile.push({ from: tick, to: ticks[index + 1], liquidity });
+    }
+  });
+  return profile;
+}
+
+// Tick ranges of subgraph positions (see POSITION_FIELDS), for buildLiquidityProfile
+function positionRanges(positions) {
+  return positions.map(position => ({
+    tickLower: position.tickLower.tickIdx,
+    tickUpper: position.tickUpper.tickIdx,
+    liquidity: position.liquidity
+  }));
+}
+
+// Ticks the price has to move for a change of `percent` (negative for a fall)
+function percentToTicks(percent) {
+  return Math.log(1 + percent / 100) / Math.log(TICK_BASE);
+}
+
+// Bucket the active `positions` of `pool` around its current tick. Options:
+// - buckets:      number of buckets across the window (about; edges are aligned)
+// - rangePercent: price window below and above the current price, in percent (< 100)
+function buildLiquidityDistribution(positions, pool, options = {}) {
+  const { buckets: bucketCount, rangePercent } = options;
+  const tick = parseInt(pool.tick);
+  const sqrtPrice = BigInt(pool.sqrtPrice || 0);
+
+  const windowLower = Math.max(MIN_TICK, Math.floor(tick + percentToTicks(-rangePercent)));
+  const windowUpper = Math.min(MAX_TICK, Math.ceil(tick + percentToTicks(rangePercent)));
+  const bucketTicks = Math.max(1, Math.ceil((windowUpper - windowLower) / bucketCount));
+  const start = Math.max(MIN_TICK, Math.floor(windowLower / bucketTicks) * bucketTicks);
+
+  const profile = buildLiquidityProfile(positionRanges(positions));
+  const buckets = [];
+  for (let lower = start; lower < windowUpper; lower += bucketTicks) {
+    const upper = Math.min(lower + bucketTicks, MAX_TICK);
+    const bucket = {
+      pool,
+      tickLower: lower,
+      tickUpper: upper,
+      priceLower: tickToPrice(lower, pool),
+      priceUpper: tickToPrice(upper, pool),
+      current: tick >= lower && tick < upper,
+      liquidity: 0n,
+      amount0: 0n,
+      amount1: 0n
+    };
+
+    // Every stretch of constant liquidity overlapping the bucket
+    let liquidityTicks = 0n;
+    profile.forEach(({ from, to, liquidity }) => {
+      const overlapLower = Math.max(from, lower);
+      const overlapUpper = Math.min(to, upper);
+      if (overlapLower >= overlapUpper) return;
+      liquidityTicks += liquidity * BigInt(overlapUpper - overlapLower);
+      if (sqrtPrice > 0n) {
+        const amounts = getAmountsForLiquidity(
+          sqrtPrice,
+          getSqrtRatioAtTick(overlapLower),
+          getSqrtRatioAtTick(overlapUpper),
+          liquidity
+        );
+        bucket.amount0 += amounts.amount0;
+        bucket.amount1 += amounts.amount1;
+      }
+    });
+    bucket.liquidity = liquidityTicks / BigInt(upper - lower);
+    buckets.push(bucket);
+  }
+
+  return {
+    pool,
+    tick,
+    price: tickToPrice(tick, pool),
+    rangePercent,
+    bucketTicks,
+    buckets
+  };
+}
+
+// Copy buckets with `usd` (the USD value of the tokens in each bucket, at current prices) attached
+function withBucketValues(buckets, book) {
+  return buckets.map(bucket => {
+    const prices = {
+      price0: getCurrentPrice(book, bucket.pool.token0),
+      price1: getCurrentPrice(book, bucket.pool.token1)
+    };
+    return { ...bucket, usd: book ? valuePair(bucket.amount0, bucket.amount1, bucket.pool, prices) : null };
+  });
+}
+
+module.exports = {
+  tickToPrice,
+  buildLiquidityProfile,
+  positionRanges,
+  buildLiquidityDistribution,
+  withBucketValues
+};
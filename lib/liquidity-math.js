@@ -0,0 +1,145 @@
+/**
+ * Concentrated Liquidity Math
+ * ===========================
+ *
+ * BigInt ports of the Uniswap v3 TickMath / LiquidityAmounts helpers the
+ * Upheaval exchange is built on, used to turn a position's `liquidity` and
+ * tick range into the token0/token1 it holds at the pool's current price.
+ *
+ * - Prices are Q64.96 square roots (`pool.sqrtPrice` on the subgraph)
+ * - Token amounts come back as BigInt base units of each token, rounded down
+ *   like the contracts do (format them with lib/decimal.js)
+ *
+ * For a position with range [tickLower, tickUpper):
+ * - price below the range: the position is all token0
+ * - price above the range: the position is all token1
+ * - price inside the range: a mix, split at the current sqrt price
+ */
+
+const Q96 = 2n ** 96n;
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+// Multipliers for each set bit of |tick|, as Q128.128 values of 1 / sqrt(1.0001)^(2^bit)
+const TICK_RATIO_FACTORS = [
+  [0x2n, 0xfff97272373d413259a46990580e213an],
+  [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000n, 0x48a170391f7dc42444e8fa2n]
+];
+
+// sqrt(1.0001^tick) as a Q64.96, exactly as TickMath.getSqrtRatioAtTick
+function getSqrtRatioAtTick(tick) {
+  const tickNumber = Number(tick);
+  if (!Number.isInteger(tickNumber) || tickNumber < MIN_TICK || tickNumber > MAX_TICK) {
+    throw new RangeError(`Tick out of range: ${tick}`);
+  }
+
+  const absTick = BigInt(Math.abs(tickNumber));
+  let ratio = (absTick & 0x1n) !== 0n
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+
+  TICK_RATIO_FACTORS.forEach(([bit, factor]) => {
+    if ((absTick & bit) !== 0n) {
+      ratio = (ratio * factor) >> 128n;
+    }
+  });
+
+  if (tickNumber > 0) {
+    ratio = MAX_UINT256 / ratio;
+  }
+
+  // Q128.128 -> Q64.96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// token0 for `liquidity` between two sqrt prices
+function getAmount0ForLiquidity(sqrtRatioA, sqrtRatioB, liquidity) {
+  const [lower, upper] = sqrtRatioA < sqrtRatioB ? [sqrtRatioA, sqrtRatioB] : [sqrtRatioB, sqrtRatioA];
+  return ((liquidity << 96n) * (upper - lower) / upper) / lower;
+}
+
+// token1 for `liquidity` between two sqrt prices
+function getAmount1ForLiquidity(sqrtRatioA, sqrtRatioB, liquidity) {
+  const [lower, upper] = sqrtRatioA < sqrtRatioB ? [sqrtRatioA, sqrtRatioB] : [sqrtRatioB, sqrtRatioA];
+  return liquidity * (upper - lower) / Q96;
+}
+
+// token0 and token1 for `liquidity` in [sqrtRatioA, sqrtRatioB) at the current sqrt price
+function getAmountsForLiquidity(sqrtRatioX96, sqrtRatioA, sqrtRatioB, liquidity) {
+  const [lower, upper] = sqrtRatioA < sqrtRatioB ? [sqrtRatioA, sqrtRatioB] : [sqrtRatioB, sqrtRatioA];
+
+  if (sqrtRatioX96 <= lower) {
+    return { amount0: getAmount0ForLiquidity(lower, upper, liquidity), amount1: 0n };
+  }
+  if (sqrtRatioX96 < upper) {
+    return {
+      amount0: getAmount0ForLiquidity(sqrtRatioX96, upper, liquidity),
+      amount1: getAmount1ForLiquidity(lower, sqrtRatioX96, liquidity)
+    };
+  }
+  return { amount0: 0n, amount1: getAmount1ForLiquidity(lower, upper, liquidity) };
+}
+
+// Current token0/token1 held by a subgraph position, given the pool's sqrtPrice.
+// Returns zero amounts when the pool has no price yet.
+function computePositionAmounts(position, pool) {
+  const liquidity = BigInt(position.liquidity || 0);
+  if (liquidity === 0n || !pool?.sqrtPrice || BigInt(pool.sqrtPrice) === 0n) {
+    return { amount0: 0n, amount1: 0n };
+  }
+
+  return getAmountsForLiquidity(
+    BigInt(pool.sqrtPrice),
+    getSqrtRatioAtTick(position.tickLower.tickIdx),
+    getSqrtRatioAtTick(position.tickUpper.tickIdx),
+    liquidity
+  );
+}
+
+// Copy positions with `currentAmount0` / `currentAmount1` (BigInt base units) attached
+function withCurrentAmounts(positions, pool) {
+  return positions.map(position => {
+    const { amount0, amount1 } = computePositionAmounts(position, pool);
+    return { ...position, currentAmount0: amount0, currentAmount1: amount1 };
+  });
+}
+
+// Sum current amounts across positions
+function sumPositionAmounts(positions, pool) {
+  return positions.reduce((totals, position) => {
+    const { amount0, amount1 } = computePositionAmounts(position, pool);
+    return { amount0: totals.amount0 + amount0, amount1: totals.amount1 + amount1 };
+  }, { amount0: 0n, amount1: 0n });
+}
+
+module.exports = {
+  Q96,
+  MIN_TICK,
+  MAX_TICK,
+  getSqrtRatioAtTick,
+  getAmount0ForLiquidity,
+  getAmount1ForLiquidity,
+  getAmountsForLiquidity,
+  computePositionAmounts,
+  withCurrentAmounts,
+  sumPositionAmounts
+};
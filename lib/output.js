@@ -0,0 +1,718 @@
+/**
+ * Machine-Readable Output
+ * =======================
+ *
+ * Emits the data sets behind the console reports as JSON, NDJSON or CSV so
+ * results can be loaded into spreadsheets and notebooks instead of scraped
+ * from text dumps.
+ *
+ * DATA SETS:
+ * ----------
+ * - pools:              pool information (one row per pool), with current
+ *                       token prices and fee APR over the window
+ * - positions:          active positions (one row per position), with the
+ *                       tokens each holds at the pool's current price and
+ *                       its range status, estimated uncollected fees and
+ *                       fee APR (--apr)
+ * - snapshots:          position snapshots (one row per snapshot), with token
+ *                       prices on the snapshot's day
+ * - positionAggregates: per-position window totals built from snapshot deltas,
+ *                       in tokens and in USD at event time and current prices
+ * - positionPnl:        per-position PnL versus holding the deposits (--pnl)
+ * - ownerPnl:           the same summed per owner (--pnl)
+ * - portfolioTokens:    per token totals of an owner portfolio (the
+ *                       portfolio command): held and uncollected fees now,
+ *                       deposits, withdrawals and fees in the window
+ * - liquidityDistribution: liquidity of the listed positions per tick bucket
+ *                       around the current tick (--depth), with the bucket's
+ *                       prices (token1 per token0) and the tokens it holds
+ * - concentration:      liquidity concentration per pool (--concentration):
+ *                       top 1/5/10 owner shares, Herfindahl index, Gini
+ *                       coefficient and whether the largest owner is over
+ *                       --max-owner-share
+ * - concentrationHistory: the same per pool at the end of every day of the
+ *                       window (--concentration)
+ * - leaderboard:        top owners of each leaderboard (--leaderboard), one
+ *                       row per board and rank
+ * - jitPositions:       positions closed within --max-lifetime of being
+ *                       opened, or in the same or the next block (--jit),
+ *                       with their lifetime and fee capture
+ * - jitPools:           flagged counts, and the share of the fees collected
+ *                       in the window that went to flagged liquidity, per
+ *                       pool (--jit)
+ * - jitOwners:          flagged counts and fees per owner with flagged
+ *                       liquidity, and whether they recur (--jit)
+ * - events:             typed position events (mint, increase, decrease,
+ *                       close, collect; lib/lifecycle.js) with the token
+ *                       changes of each: every position's lifecycle in the
+ *                       window, or what watch mode (--watch) streams
+ * - alerts:             alert rule matches and their delivery status
+ *                       (the alerts command)
+ *
+ * USD columns are empty when the CLI did not attach prices (lib/pricing.js)
+ * or a token has no price.
+ *
+ * `collectedFeesToken0/1` on positions and snapshots are the subgraph's
+ * Collect totals as-is, withdrawn principal included; `feesToken0/1` next to
+ * them are the fees alone (see FEES in lib/snapshot-deltas.js), and
+ * `feesToken1Ignored` is true where a collectedFeesToken1 equal to the token0
+ * total was taken for a copy and counted as no token1 fees.
+ *
+ * Every data set has a fixed column list (DATASETS[name].columns). Rows are
+ * flat objects with exactly those keys in that order, whichever format is
+ * used, so column names stay stable across runs.
+ *
+ * FORMATS:
+ * --------
+ * - json:   one pretty-printed document, `{ "<dataset>": [rows...] }`
+ * - ndjson: one row per line, streamed, each tagged with `"dataset"`; the
+ *           only format watch mode writes, appending rows as events arrive
+ * - csv:    one table per data set with a header row. Written to stdout only
+ *           for a single data set; with --output each data set goes to
+ *           `<name>.<dataset>.csv`
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { tokenDecimals, formatUnits, divRound, pow10 } = require('./decimal');
+const { PRICE_DECIMALS } = require('./pricing');
+const { computeCollectedFees } = require('./snapshot-deltas');
+
+const FORMATS = ['json', 'ndjson', 'csv'];
+
+// USD values are exported rounded to this many decimals
+const USD_DECIMALS = 6;
+
+// Token amounts are exported as exact decimal strings, never floats
+function formatToken0(aggregate, units) {
+  return formatUnits(units, tokenDecimals(aggregate.pool?.token0));
+}
+
+function formatToken1(aggregate, units) {
+  return formatUnits(units, tokenDecimals(aggregate.pool?.token1));
+}
+
+function formatUsdValue(value) {
+  if (value === undefined || value === null) return null;
+  return formatUnits(divRound(value, pow10(PRICE_DECIMALS - USD_DECIMALS)), USD_DECIMALS);
+}
+
+function formatUsdPrice(price) {
+  if (price === undefined || price === null) return null;
+  return formatUnits(price, PRICE_DECIMALS);
+}
+
+// Fees collected so far by a position or snapshot, without the withdrawn principal (computeCollectedFees)
+function feeColumns(record) {
+  const fees = computeCollectedFees(record);
+  return {
+    feesToken0: formatToken0(record, fees.amount0),
+    feesToken1: formatToken1(record, fees.amount1),
+    feesToken1Ignored: fees.token1Ignored
+  };
+}
+
+// Columns shared by positionPnl and ownerPnl, see lib/pnl.js
+const PNL_COLUMNS = [
+  'costBasisUSD', 'hodlValueUSD', 'currentValueUSD', 'withdrawnValueUSD', 'feeIncomeUSD',
+  'lpValueUSD', 'pnlUSD', 'pnlPercent', 'impermanentLossUSD', 'priceMovementUSD'
+];
+
+function pnlRow(pnl) {
+  return {
+    costBasisUSD: formatUsdValue(pnl.costBasis),
+    hodlValueUSD: formatUsdValue(pnl.hodlValue),
+    currentValueUSD: formatUsdValue(pnl.currentValue),
+    withdrawnValueUSD: formatUsdValue(pnl.withdrawnValue),
+    feeIncomeUSD: formatUsdValue(pnl.feeIncome),
+    lpValueUSD: formatUsdValue(pnl.lpValue),
+    pnlUSD: formatUsdValue(pnl.pnl),
+    pnlPercent: pnl.pnlPercent,
+    impermanentLossUSD: formatUsdValue(pnl.impermanentLoss),
+    priceMovementUSD: formatUsdValue(pnl.priceMovement)
+  };
+}
+
+// Columns shared by concentration and concentrationHistory, see lib/concentration.js
+const CONCENTRATION_COLUMNS = [
+  'poolId', 'token0Symbol', 'token1Symbol',
+  'owners', 'liquidity', 'topOwner', 'top1SharePercent', 'top5SharePercent', 'top10SharePercent',
+  'hhi', 'gini', 'ownerShareWarning'
+];
+
+function toPercent(share) {
+  return share === null || share === undefined ? null : share * 100;
+}
+
+function concentrationRow(metrics) {
+  return {
+    poolId: metrics.pool.id,
+    token0Symbol: metrics.pool.token0?.symbol,
+    token1Symbol: metrics.pool.token1?.symbol,
+    owners: metrics.owners,
+    liquidity: metrics.liquidity,
+    topOwner: metrics.topOwner,
+    top1SharePercent: toPercent(metrics.top1Share),
+    top5SharePercent: toPercent(metrics.top5Share),
+    top10SharePercent: toPercent(metrics.top10Share),
+    hhi: metrics.hhi,
+    gini: metrics.gini,
+    ownerShareWarning: metrics.warning
+  };
+}
+
+const DATASETS = {
+  pools: {
+    columns: [
+      'poolId',
+      'token0Id', 'token0Symbol', 'token0Name', 'token0Decimals',
+      'token1Id', 'token1Symbol', 'token1Name', 'token1Decimals',
+      'feeTier', 'liquidity', 'sqrtPrice', 'tick',
+      'totalValueLockedUSD', 'volumeUSD', 'txCount', 'token0PriceUSD', 'token1PriceUSD',
+      'windowVolumeUSD', 'windowFeesUSD', 'feeAprPercent'
+    ],
+    toRow: pool => ({
+      poolId: pool.id,
+      token0Id: pool.token0?.id,
+      token0Symbol: pool.token0?.symbol,
+      token0Name: pool.token0?.name,
+      token0Decimals: pool.token0?.decimals,
+      token1Id: pool.token1?.id,
+      token1Symbol: pool.token1?.symbol,
+      token1Name: pool.token1?.name,
+      token1Decimals: pool.token1?.decimals,
+      feeTier: pool.feeTier,
+      liquidity: pool.liquidity,
+      sqrtPrice: pool.sqrtPrice,
+      tick: pool.tick,
+      totalValueLockedUSD: pool.totalValueLockedUSD,
+      volumeUSD: pool.volumeUSD,
+      txCount: pool.txCount,
+      // Set by withPoolPrices (lib/pricing.js)
+      token0PriceUSD: formatUsdPrice(pool.usdPrices?.token0),
+      token1PriceUSD: formatUsdPrice(pool.usdPrices?.token1),
+      // Set from computePoolFeeApr (lib/apr.js)
+      windowVolumeUSD: formatUsdValue(pool.feeApr?.volume),
+      windowFeesUSD: formatUsdValue(pool.feeApr?.fees),
+      feeAprPercent: pool.feeApr?.apr
+    })
+  },
+
+  positions: {
+    columns: [
+      'positionId', 'poolId', 'owner', 'liquidity', 'tickLower', 'tickUpper',
+      'currentAmount0', 'currentAmount1', 'rangeStatus', 'ticksToBound', 'pricePercentToBound',
+      'depositedToken0', 'depositedToken1', 'withdrawnToken0', 'withdrawnToken1',
+      'collectedFeesToken0', 'collectedFeesToken1', 'feesToken0', 'feesToken1', 'feesToken1Ignored',
+      'uncollectedFees0', 'uncollectedFees1',
+      'currentValueUSD', 'collectedFeesUSD', 'uncollectedFeesUSD',
+      'activeSeconds', 'averageValueUSD', 'feeAprPercent'
+    ],
+    toRow: position => ({
+      positionId: position.id,
+      poolId: position.pool?.id,
+      owner: position.owner,
+      liquidity: position.liquidity,
+      tickLower: position.tickLower?.tickIdx,
+      tickUpper: position.tickUpper?.tickIdx,
+      // Set by withCurrentAmounts (lib/liquidity-math.js)
+      currentAmount0: position.currentAmount0 === undefined
+        ? null
+        : formatUnits(position.currentAmount0, tokenDecimals(position.pool?.token0)),
+      currentAmount1: position.currentAmount1 === undefined
+        ? null
+        : formatUnits(position.currentAmount1, tokenDecimals(position.pool?.token1)),
+      // Set by withRangeStatus (lib/range-status.js)
+      rangeStatus: position.range?.status,
+      ticksToBound: position.range?.ticksToBound,
+      pricePercentToBound: position.range?.pricePercentToBound,
+      depositedToken0: position.depositedToken0,
+      depositedToken1: position.depositedToken1,
+      withdrawnToken0: position.withdrawnToken0,
+      withdrawnToken1: position.withdrawnToken1,
+      // As the subgraph has them: Collect totals including withdrawn principal
+      collectedFeesToken0: position.collectedFeesToken0,
+      collectedFeesToken1: position.collectedFeesToken1,
+      ...feeColumns(position),
+      // Set by withUncollectedFees (lib/fee-math.js); null when the estimate is unavailable
+      uncollectedFees0: position.uncollectedFees0 === undefined || position.uncollectedFees0 === null
+        ? null
+        : formatUnits(position.uncollectedFees0, tokenDecimals(position.pool?.token0)),
+      uncollectedFees1: position.uncollectedFees1 === undefined || position.uncollectedFees1 === null
+        ? null
+        : formatUnits(position.uncollectedFees1, tokenDecimals(position.pool?.token1)),
+      // Set by withPositionValues (lib/pricing.js), at current prices
+      currentValueUSD: formatUsdValue(position.usd?.currentValue),
+      collectedFeesUSD: formatUsdValue(position.usd?.collectedFees),
+      uncollectedFeesUSD: formatUsdValue(position.usd?.uncollectedFees),
+      // Set from computePositionsFeeApr (lib/apr.js)
+      activeSeconds: position.feeApr?.seconds,
+      averageValueUSD: formatUsdValue(position.feeApr?.averageValue),
+      feeAprPercent: position.feeApr?.apr
+    })
+  },
+
+  snapshots: {
+    columns: [
+      'snapshotId', 'positionId', 'poolId', 'owner', 'blockNumber', 'timestamp', 'datetime',
+      'transactionId', 'liquidity', 'tickLower', 'tickUpper',
+      'depositedToken0', 'depositedToken1', 'withdrawnToken0', 'withdrawnToken1',
+      'collectedFeesToken0', 'collectedFeesToken1', 'feesToken0', 'feesToken1', 'feesToken1Ignored',
+      'token0PriceUSD', 'token1PriceUSD'
+    ],
+    toRow: snapshot => ({
+      snapshotId: snapshot.id,
+      positionId: snapshot.position?.id,
+      poolId: snapshot.pool?.id,
+      owner: snapshot.owner,
+      blockNumber: snapshot.blockNumber,
+      timestamp: snapshot.timestamp,
+      datetime: new Date(parseInt(snapshot.timestamp) * 1000).toISOString(),
+      transactionId: snapshot.transaction?.id,
+      liquidity: snapshot.liquidity,
+      tickLower: snapshot.position?.tickLower?.tickIdx,
+      tickUpper: snapshot.position?.tickUpper?.tickIdx,
+      depositedToken0: snapshot.depositedToken0,
+      depositedToken1: snapshot.depositedToken1,
+      withdrawnToken0: snapshot.withdrawnToken0,
+      withdrawnToken1: snapshot.withdrawnToken1,
+      // As the subgraph has them: Collect totals including withdrawn principal
+      collectedFeesToken0: snapshot.collectedFeesToken0,
+      collectedFeesToken1: snapshot.collectedFeesToken1,
+      ...feeColumns(snapshot),
+      // Set by withSnapshotPrices (lib/pricing.js)
+      token0PriceUSD: formatUsdPrice(snapshot.usdPrices?.token0),
+      token1PriceUSD: formatUsdPrice(snapshot.usdPrices?.token1)
+    })
+  },
+
+  // Rows come from buildPositionAggregates (lib/snapshot-deltas.js)
+  positionAggregates: {
+    columns: [
+      'positionId', 'poolId', 'owner', 'snapshotCount', 'firstBlock', 'lastBlock', 'baselineBlock',
+      'currentLiquidity', 'peakLiquidity',
+      'depositedToken0', 'depositedToken1', 'withdrawnToken0', 'withdrawnToken1',
+      'feesToken0', 'feesToken1', 'netToken0', 'netToken1',
+      'depositedUSD', 'withdrawnUSD', 'feesUSD',
+      'depositedUSDNow', 'withdrawnUSDNow', 'feesUSDNow'
+    ],
+    toRow: aggregate => ({
+      positionId: aggregate.positionId,
+      poolId: aggregate.pool?.id,
+      owner: aggregate.owner,
+      snapshotCount: aggregate.snapshots.length,
+      firstBlock: aggregate.deltas[0]?.blockNumber,
+      lastBlock: aggregate.deltas[aggregate.deltas.length - 1]?.blockNumber,
+      baselineBlock: aggregate.baseline?.blockNumber,
+      currentLiquidity: aggregate.totals.currentLiquidity,
+      peakLiquidity: aggregate.totals.peakLiquidity,
+      depositedToken0: formatToken0(aggregate, aggregate.totals.deposited0),
+      depositedToken1: formatToken1(aggregate, aggregate.totals.deposited1),
+      withdrawnToken0: formatToken0(aggregate, aggregate.totals.withdrawn0),
+      withdrawnToken1: formatToken1(aggregate, aggregate.totals.withdrawn1),
+      feesToken0: formatToken0(aggregate, aggregate.totals.fees0),
+      feesToken1: formatToken1(aggregate, aggregate.totals.fees1),
+      netToken0: formatToken0(aggregate, aggregate.totals.deposited0 - aggregate.totals.withdrawn0),
+      netToken1: formatToken1(aggregate, aggregate.totals.deposited1 - aggregate.totals.withdrawn1),
+      // Set by withAggregateValues (lib/pricing.js): at event time, then at current prices
+      depositedUSD: formatUsdValue(aggregate.usd?.atEvent.deposited),
+      withdrawnUSD: formatUsdValue(aggregate.usd?.atEvent.withdrawn),
+      feesUSD: formatUsdValue(aggregate.usd?.atEvent.fees),
+      depositedUSDNow: formatUsdValue(aggregate.usd?.atCurrent.deposited),
+      withdrawnUSDNow: formatUsdValue(aggregate.usd?.atCurrent.withdrawn),
+      feesUSDNow: formatUsdValue(aggregate.usd?.atCurrent.fees)
+    })
+  },
+
+  // Rows come from computePositionsPnl / summarizeOwnerPnl (lib/pnl.js)
+  positionPnl: {
+    columns: ['positionId', 'poolId', 'owner', 'status', ...PNL_COLUMNS],
+    toRow: pnl => ({
+      positionId: pnl.positionId,
+      poolId: pnl.pool?.id,
+      owner: pnl.owner,
+      status: pnl.status,
+      ...pnlRow(pnl)
+    })
+  },
+
+  ownerPnl: {
+    columns: ['owner', 'positions', 'openPositions', 'closedPositions', ...PNL_COLUMNS],
+    toRow: summary => ({
+      owner: summary.owner,
+      positions: summary.positions,
+      openPositions: summary.open,
+      closedPositions: summary.closed,
+      ...pnlRow(summary)
+    })
+  },
+
+  // Rows come from buildPortfolio / withTokenValues (lib/portfolio.js)
+  portfolioTokens: {
+    columns: [
+      'tokenId', 'tokenSymbol', 'tokenName',
+      'held', 'uncollectedFees', 'deposited', 'withdrawn', 'fees',
+      'heldValueUSD', 'uncollectedFeesUSD', 'depositedUSDNow', 'withdrawnUSDNow', 'feesUSDNow'
+    ],
+    toRow: totals => {
+      const decimals = tokenDecimals(totals.token);
+      return {
+        tokenId: totals.token.id,
+        tokenSymbol: totals.token.symbol,
+        tokenName: totals.token.name,
+        held: formatUnits(totals.held, decimals),
+        uncollectedFees: formatUnits(totals.uncollectedFees, decimals),
+        deposited: formatUnits(totals.deposited, decimals),
+        withdrawn: formatUnits(totals.withdrawn, decimals),
+        fees: formatUnits(totals.fees, decimals),
+        // Every amount at current prices
+        heldValueUSD: formatUsdValue(totals.usd?.held),
+        uncollectedFeesUSD: formatUsdValue(totals.usd?.uncollectedFees),
+        depositedUSDNow: formatUsdValue(totals.usd?.deposited),
+        withdrawnUSDNow: formatUsdValue(totals.usd?.withdrawn),
+        feesUSDNow: formatUsdValue(totals.usd?.fees)
+      };
+    }
+  },
+
+  // Rows come from buildLiquidityDistribution / withBucketValues (lib/liquidity-distribution.js)
+  liquidityDistribution: {
+    columns: [
+      'poolId', 'tickLower', 'tickUpper', 'priceLower', 'priceUpper', 'current',
+      'liquidity', 'amount0', 'amount1', 'valueUSD'
+    ],
+    toRow: bucket => ({
+      poolId: bucket.pool.id,
+      tickLower: bucket.tickLower,
+      tickUpper: bucket.tickUpper,
+      priceLower: bucket.priceLower,
+      priceUpper: bucket.priceUpper,
+      current: bucket.current,
+      liquidity: bucket.liquidity,
+      amount0: formatToken0(bucket, bucket.amount0),
+      amount1: formatToken1(bucket, bucket.amount1),
+      valueUSD: formatUsdValue(bucket.usd)
+    })
+  },
+
+  // Rows come from computeConcentration (lib/concentration.js), with the pool and warning attached
+  concentration: {
+    columns: CONCENTRATION_COLUMNS,
+    toRow: concentrationRow
+  },
+
+  // Rows come from buildConcentrationHistory (lib/concentration.js), with the pool and warning attached
+  concentrationHistory: {
+    columns: ['poolId', 'token0Symbol', 'token1Symbol', 'timestamp', 'datetime', ...CONCENTRATION_COLUMNS.slice(3)],
+    toRow: point => ({
+      ...concentrationRow(point),
+      timestamp: point.timestamp,
+      datetime: new Date(point.timestamp * 1000).toISOString()
+    })
+  },
+
+  // Rows come from buildLeaderboards (lib/leaderboard.js), every board's ranks one after another
+  leaderboard: {
+    columns: [
+      'board', 'rank', 'owner', 'positions', 'pools', 'liquidity', 'liquiditySharePercent',
+      'currentValueUSD', 'feesUSD', 'depositedUSD', 'withdrawnUSD', 'netFlowUSD'
+    ],
+    toRow: entry => ({
+      board: entry.board,
+      rank: entry.rank,
+      owner: entry.owner,
+      positions: entry.positions,
+      pools: entry.poolIds.size,
+      // Raw liquidity is only summed for a single pool
+      liquidity: entry.liquidity,
+      liquiditySharePercent: entry.liquidityShare === null ? null : entry.liquidityShare * 100,
+      currentValueUSD: formatUsdValue(entry.currentValue),
+      // Window totals at event-time prices
+      feesUSD: formatUsdValue(entry.fees),
+      depositedUSD: formatUsdValue(entry.deposited),
+      withdrawnUSD: formatUsdValue(entry.withdrawn),
+      netFlowUSD: formatUsdValue(entry.netFlow)
+    })
+  },
+
+  // Rows come from buildJitReport (lib/jit.js), one per flagged episode of a position
+  jitPositions: {
+    columns: [
+      'positionId', 'poolId', 'owner', 'jit', 'lifetimeSeconds', 'blocks',
+      'openedBlock', 'openedDatetime', 'openedTransactionId', 'closedBlock', 'closedDatetime', 'closedTransactionId',
+      'tickLower', 'tickUpper', 'peakLiquidity',
+      'depositedToken0', 'depositedToken1', 'feesToken0', 'feesToken1',
+      'depositedUSD', 'feesUSD', 'feesPerHourUSD', 'feeReturnPercent'
+    ],
+    toRow: episode => ({
+      positionId: episode.positionId,
+      poolId: episode.pool.id,
+      owner: episode.owner,
+      jit: episode.jit,
+      lifetimeSeconds: episode.lifetime,
+      blocks: episode.blocks,
+      openedBlock: episode.opened.blockNumber,
+      openedDatetime: new Date(parseInt(episode.opened.timestamp) * 1000).toISOString(),
+      openedTransactionId: episode.opened.transactionId,
+      closedBlock: episode.closed.blockNumber,
+      closedDatetime: new Date(parseInt(episode.closed.timestamp) * 1000).toISOString(),
+      closedTransactionId: episode.closed.transactionId,
+      tickLower: episode.tickLower,
+      tickUpper: episode.tickUpper,
+      peakLiquidity: episode.peakLiquidity,
+      depositedToken0: formatToken0(episode, episode.deposited0),
+      depositedToken1: formatToken1(episode, episode.deposited1),
+      feesToken0: formatToken0(episode, episode.fees0),
+      feesToken1: formatToken1(episode, episode.fees1),
+      // At event-time prices
+      depositedUSD: formatUsdValue(episode.usd.deposited),
+      feesUSD: formatUsdValue(episode.usd.fees),
+      feesPerHourUSD: formatUsdValue(episode.feesPerHour),
+      feeReturnPercent: toPercent(episode.feeReturn)
+    })
+  },
+
+  // Rows come from buildJitReport (lib/jit.js)
+  jitPools: {
+    columns: [
+      'poolId', 'token0Symbol', 'token1Symbol', 'opened', 'closed', 'flagged', 'jit', 'flaggedSharePercent',
+      'feesUSD', 'flaggedFeesUSD', 'flaggedFeeSharePercent', 'flaggedOwners', 'recurrentOwners'
+    ],
+    toRow: summary => ({
+      poolId: summary.pool.id,
+      token0Symbol: summary.pool.token0?.symbol,
+      token1Symbol: summary.pool.token1?.symbol,
+      opened: summary.opened,
+      closed: summary.closed,
+      flagged: summary.flagged,
+      jit: summary.jit,
+      flaggedSharePercent: toPercent(summary.flaggedShare),
+      feesUSD: formatUsdValue(summary.fees),
+      flaggedFeesUSD: formatUsdValue(summary.flaggedFees),
+      flaggedFeeSharePercent: toPercent(summary.flaggedFeeShare),
+      flaggedOwners: summary.owners.size,
+      recurrentOwners: summary.recurrentOwners
+    })
+  },
+
+  // Rows come from buildJitReport (lib/jit.js)
+  jitOwners: {
+    columns: [
+      'owner', 'pools', 'closed', 'flagged', 'jit', 'recurrent', 'shortestLifetimeSeconds', 'depositedUSD', 'feesUSD'
+    ],
+    toRow: owner => ({
+      owner: owner.owner,
+      pools: owner.poolIds.size,
+      closed: owner.closed,
+      flagged: owner.flagged,
+      jit: owner.jit,
+      recurrent: owner.recurrent,
+      shortestLifetimeSeconds: owner.shortestLifetime,
+      // Flagged episodes only, at event-time prices
+      depositedUSD: formatUsdValue(owner.deposited),
+      feesUSD: formatUsdValue(owner.fees)
+    })
+  },
+
+  // Rows come from buildLifecycleEvents (lib/lifecycle.js) or buildWatchEvents (lib/watch.js)
+  events: {
+    columns: [
+      'type', 'positionId', 'poolId', 'owner', 'blockNumber', 'timestamp', 'datetime',
+      'transactionId', 'liquidity', 'liquidityDelta',
+      'depositedToken0', 'depositedToken1', 'withdrawnToken0', 'withdrawnToken1',
+      'feesToken0', 'feesToken1'
+    ],
+    toRow: event => ({
+      type: event.type,
+      positionId: event.positionId,
+      poolId: event.pool?.id,
+      owner: event.owner,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      datetime: new Date(parseInt(event.timestamp) * 1000).toISOString(),
+      transactionId: event.transactionId,
+      liquidity: event.liquidity,
+      liquidityDelta: event.liquidityDelta,
+      depositedToken0: formatToken0(event, event.deposited0),
+      depositedToken1: formatToken1(event, event.deposited1),
+      withdrawnToken0: formatToken0(event, event.withdrawn0),
+      withdrawnToken1: formatToken1(event, event.withdrawn1),
+      feesToken0: formatToken0(event, event.fees0),
+      feesToken1: formatToken1(event, event.fees1)
+    })
+  },
+
+  // Rows come from deliverAlerts (lib/alerts.js)
+  alerts: {
+    columns: ['rule', 'type', 'key', 'status', 'occurredAt', 'message', 'error'],
+    toRow: alert => ({
+      rule: alert.rule,
+      type: alert.type,
+      key: alert.key,
+      status: alert.status,
+      occurredAt: new Date(alert.occurredAt * 1000).toISOString(),
+      message: alert.message,
+      error: alert.error
+    })
+  }
+};
+
+// Normalise a cell: BigInt becomes a decimal string, missing values become null
+function normaliseValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+// Flatten raw subgraph objects (or aggregates) into rows with the data set's columns
+function toRows(dataset, items) {
+  const { columns, toRow } = DATASETS[dataset];
+  return items.map(item => {
+    const raw = toRow(item);
+    const row = {};
+    columns.forEach(column => {
+      row[column] = normaliseValue(raw[column]);
+    });
+    return row;
+  });
+}
+
+// Build `{ dataset: rows }` from `{ dataset: items }`, skipping data sets that were not provided
+function buildDatasets(itemsByDataset) {
+  const datasets = {};
+  Object.entries(itemsByDataset).forEach(([dataset, items]) => {
+    if (!DATASETS[dataset]) {
+      throw new Error(`Unknown data set: ${dataset}`);
+    }
+    if (items) {
+      datasets[dataset] = toRows(dataset, items);
+    }
+  });
+  return datasets;
+}
+
+function escapeCsv(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(dataset, rows) {
+  const { columns } = DATASETS[dataset];
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function formatJson(datasets) {
+  return JSON.stringify(datasets, null, 2) + '\n';
+}
+
+// Write a stream chunk and wait until it has been handed off, so large outputs respect backpressure
+function writeChunk(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    stream.write(chunk, error => (error ? reject(error) : resolve()));
+  });
+}
+
+function closeStream(stream) {
+  if (stream === process.stdout) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+}
+
+async function writeNdjson(datasets, stream) {
+  for (const [dataset, rows] of Object.entries(datasets)) {
+    for (const row of rows) {
+      await writeChunk(stream, JSON.stringify({ dataset, ...row }) + '\n');
+    }
+  }
+}
+
+// NDJSON writer for long-running commands (watch mode): rows are appended to `output`
+// (or written to stdout) as they arrive instead of once at the end
+function createNdjsonWriter(output) {
+  const stream = output ? fs.createWriteStream(output, { flags: 'a' }) : process.stdout;
+  return {
+    write(dataset, items) {
+      return writeNdjson({ [dataset]: toRows(dataset, items) }, stream);
+    },
+    close() {
+      return closeStream(stream);
+    }
+  };
+}
+
+// Path for one data set's CSV file: report.csv -> report.snapshots.csv
+function datasetPath(output, dataset) {
+  const extension = path.extname(output) || '.csv';
+  const base = output.slice(0, output.length - path.extname(output).length);
+  return `${base}.${dataset}${extension}`;
+}
+
+// Options:
+// - format:   json | ndjson | csv
+// - output:   file path (stdout when omitted)
+// - datasets: names to keep (all provided data sets when empty)
+async function writeOutput(allDatasets, options = {}) {
+  const { format, output, datasets: only = [] } = options;
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+
+  const datasets = {};
+  Object.entries(allDatasets).forEach(([dataset, rows]) => {
+    if (only.length === 0 || only.includes(dataset)) {
+      datasets[dataset] = rows;
+    }
+  });
+  const names = Object.keys(datasets);
+  const written = [];
+
+  if (format === 'json') {
+    const stream = output ? fs.createWriteStream(output) : process.stdout;
+    await writeChunk(stream, formatJson(datasets));
+    await closeStream(stream);
+    if (output) written.push(output);
+  } else if (format === 'ndjson') {
+    const stream = output ? fs.createWriteStream(output) : process.stdout;
+    await writeNdjson(datasets, stream);
+    await closeStream(stream);
+    if (output) written.push(output);
+  } else if (!output) {
+    if (names.length !== 1) {
+      throw new Error(`CSV to stdout needs exactly one data set (got ${names.join(', ') || 'none'}); pass --dataset or --output`);
+    }
+    await writeChunk(process.stdout, formatCsv(names[0], datasets[names[0]]));
+  } else if (names.length === 1) {
+    fs.writeFileSync(output, formatCsv(names[0], datasets[names[0]]));
+    written.push(output);
+  } else {
+    names.forEach(dataset => {
+      const file = datasetPath(output, dataset);
+      fs.writeFileSync(file, formatCsv(dataset, datasets[dataset]));
+      written.push(file);
+    });
+  }
+
+  return written;
+}
+
+module.exports = {
+  FORMATS,
+  DATASETS,
+  toRows,
+  buildDatasets,
+  formatCsv,
+  formatJson,
+  writeOutput,
+  createNdjsonWriter
+};
@@ -0,0 +1,84 @@
+/**
+ * Cursor Pagination for Subgraph Collections
+ * ==========================================
+ *
+ * The subgraph caps every collection query at 1000 rows, so a single
+ * `first: 1000` request silently drops everything past the first page.
+ * This helper walks a collection with an `id_gt` cursor (never `skip`,
+ * which the subgraph penalises and caps) until a short page comes back.
+ *
+ * QUERY CONTRACT:
+ * ---------------
+ * The query passed in must:
+ * - declare `$first: Int!` and `$lastId: String!`
+ * - include `id_gt: $lastId` in its `where` filter
+ * - order by `id` ascending
+ * - select `id` on the paginated entity
+ *
+ * Callers re-sort the returned rows into whatever order they display.
+ */
+
+const PAGE_SIZE = 1000;
+
+// Fetch every page of `entity` through a subgraph client and return the de-duplicated rows
+async function fetchAllPages(client, query, variables, entity) {
+  const rowsById = new Map();
+  let lastId = '';
+  let pages = 0;
+
+  while (true) {
+    const data = await client.query(query, {
+      ...variables,
+      first: PAGE_SIZE,
+      lastId
+    });
+
+    const page = data[entity];
+    pages++;
+
+    page.forEach(row => rowsById.set(row.id, row));
+
+    if (page.length < PAGE_SIZE) {
+      break;
+    }
+    lastId = page[page.length - 1].id;
+  }
+
+  return {
+    items: Array.from(rowsById.values()),
+    pages
+  };
+}
+
+// Newest first, matching the previous `orderBy: timestamp, orderDirection: desc`
+function sortSnapshotsNewestFirst(snapshots) {
+  return snapshots.sort((a, b) =>
+    parseInt(b.timestamp) - parseInt(a.timestamp) ||
+    parseInt(b.blockNumber) - parseInt(a.blockNumber) ||
+    (a.id < b.id ? 1 : a.id > b.id ? -1 : 0)
+  );
+}
+
+// Largest liquidity first, compared as BigInt since liquidity is a uint128
+function sortPositionsByLiquidity(positions) {
+  return positions.sort((a, b) => {
+    const diff = BigInt(b.liquidity) - BigInt(a.liquidity);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+  });
+}
+
+// Largest TVL first, then by ID so pools without TVL keep a stable order
+function sortPoolsByTvl(pools) {
+  return pools.sort((a, b) =>
+    parseFloat(b.totalValueLockedUSD || 0) - parseFloat(a.totalValueLockedUSD || 0) ||
+    (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  );
+}
+
+module.exports = {
+  PAGE_SIZE,
+  fetchAllPages,
+  sortSnapshotsNewestFirst,
+  sortPositionsByLiquidity,
+  sortPoolsByTvl
+};
@@ -0,0 +1,165 @@
+/**
+ * Position PnL and Impermanent Loss
+ * =================================
+ *
+ * Compares what providing liquidity returned against simply holding the
+ * tokens that were deposited. All values are USD (lib/pricing.js), with every
+ * leg valued at current prices except the cost basis:
+ *
+ *   cost basis      = each deposit valued at its day's price
+ *   HODL value      = all deposited tokens at current prices
+ *   principal value = tokens still in the position + tokens withdrawn
+ *   fee income      = collected fees + estimated uncollected fees
+ *                     (collected less withdrawn principal, see FEES in
+ *                     lib/snapshot-deltas.js: a Collect also pays out the
+ *                     withdrawn tokens, which principal value already has)
+ *   LP value        = principal value + fee income
+ *
+ *   PnL             = LP value - cost basis
+ *                   = fee income + impermanent loss + price movement
+ *   impermanent loss = principal value - HODL value   (usually negative)
+ *   price movement   = HODL value - cost basis
+ *
+ * Token totals come from the position entity (lifetime cumulative fields),
+ * so closed positions (liquidity 0) are covered too. The cost basis needs the
+ * position's full snapshot history (fetchPositionHistory); without it, or
+ * without a price for any leg, the affected values are null.
+ */
+
+const { tokenDecimals, parseUnits, ratio } = require('./decimal');
+const { computePositionAmounts } = require('./liquidity-math');
+const { computeUncollectedFees } = require('./fee-math');
+const { computePositionDeltas, computeCollectedFees } = require('./snapshot-deltas');
+const { sumUsd, valuePair, currentPoolPrices, poolPricesAt } = require('./pricing');
+
+const OPEN = 'open';
+const CLOSED = 'closed';
+
+const PNL_FIELDS = [
+  'costBasis',
+  'hodlValue',
+  'currentValue',
+  'withdrawnValue',
+  'feeIncome',
+  'lpValue',
+  'pnl',
+  'impermanentLoss',
+  'priceMovement'
+];
+
+function subUsd(a, b) {
+  return a === null || b === null ? null : a - b;
+}
+
+// Largest USD value first, unpriced (null) values last
+function compareUsdDescending(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return b > a ? 1 : -1;
+}
+
+// Cumulative token0/token1 field pair of a position entity, in base units
+function tokenPair(position, pool, field0, field1) {
+  return {
+    amount0: parseUnits(position[field0], tokenDecimals(pool.token0)),
+    amount1: parseUnits(position[field1], tokenDecimals(pool.token1))
+  };
+}
+
+// Deposits valued at each event's day price, from the position's full snapshot history
+function computeCostBasis(history, pool, book) {
+  if (!history || history.length === 0) return null;
+  return computePositionDeltas(history).reduce((total, delta) => {
+    const prices = poolPricesAt(book, pool, delta.timestamp);
+    return sumUsd(total, valuePair(delta.deposited0, delta.deposited1, pool, prices));
+  }, 0n);
+}
+
+// PnL breakdown of one position (a position entity with POSITION_FIELDS)
+function computePositionPnl(position, history, book) {
+  const pool = position.pool;
+  const prices = currentPoolPrices(book, pool);
+
+  const deposited = tokenPair(position, pool, 'depositedToken0', 'depositedToken1');
+  const withdrawn = tokenPair(position, pool, 'withdrawnToken0', 'withdrawnToken1');
+  const collected = computeCollectedFees(position, pool);
+  const current = computePositionAmounts(position, pool);
+  // Missing fee growth data counts as no uncollected fees rather than voiding the report
+  const uncollected = computeUncollectedFees(position, pool) || { amount0: 0n, amount1: 0n };
+
+  const costBasis = computeCostBasis(history, pool, book);
+  const hodlValue = valuePair(deposited.amount0, deposited.amount1, pool, prices);
+  const currentValue = valuePair(current.amount0, current.amount1, pool, prices);
+  const withdrawnValue = valuePair(withdrawn.amount0, withdrawn.amount1, pool, prices);
+  const feeIncome = sumUsd(
+    valuePair(collected.amount0, collected.amount1, pool, prices),
+    valuePair(uncollected.amount0, uncollected.amount1, pool, prices)
+  );
+  const principalValue = sumUsd(currentValue, withdrawnValue);
+  const lpValue = sumUsd(principalValue, feeIncome);
+  const pnl = subUsd(lpValue, costBasis);
+
+  return {
+    positionId: position.id,
+    owner: position.owner,
+    pool,
+    status: BigInt(position.liquidity || 0) > 0n ? OPEN : CLOSED,
+    tokens: { deposited, withdrawn, collected, uncollected, current },
+    costBasis,
+    hodlValue,
+    currentValue,
+    withdrawnValue,
+    feeIncome,
+    lpValue,
+    pnl,
+    pnlPercent: pnl === null || !costBasis ? null : ratio(pnl, costBasis) * 100,
+    impermanentLoss: subUsd(principalValue, hodlValue),
+    priceMovement: subUsd(hodlValue, costBasis)
+  };
+}
+
+// PnL for every position in `positionsById`, given `history` (position ID -> snapshots),
+// largest LP value first
+function computePositionsPnl(positionsById, history, book) {
+  return Object.values(positionsById)
+    .map(position => computePositionPnl(position, history[position.id], book))
+    .sort((a, b) => compareUsdDescending(a.lpValue, b.lpValue));
+}
+
+// Sum position PnL per owner, largest cost basis first
+function summarizeOwnerPnl(positionPnls) {
+  const byOwner = {};
+  positionPnls.forEach(positionPnl => {
+    const owner = positionPnl.owner;
+    if (!byOwner[owner]) {
+      byOwner[owner] = { owner, positions: 0, open: 0, closed: 0 };
+      PNL_FIELDS.forEach(field => {
+        byOwner[owner][field] = 0n;
+      });
+    }
+    const summary = byOwner[owner];
+    summary.positions++;
+    summary[positionPnl.status]++;
+    PNL_FIELDS.forEach(field => {
+      summary[field] = sumUsd(summary[field], positionPnl[field]);
+    });
+  });
+
+  return Object.values(byOwner)
+    .map(summary => ({
+      ...summary,
+      pnlPercent: summary.pnl === null || !summary.costBasis ? null : ratio(summary.pnl, summary.costBasis) * 100
+    }))
+    .sort((a, b) => compareUsdDescending(a.costBasis, b.costBasis));
+}
+
+module.exports = {
+  OPEN,
+  CLOSED,
+  PNL_FIELDS,
+  computeCostBasis,
+  computePositionPnl,
+  computePositionsPnl,
+  summarizeOwnerPnl
+};
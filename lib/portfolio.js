@@ -0,0 +1,127 @@
+/**
+ * Owner Portfolio
+ * ===============
+ *
+ * Everything a set of owners has on the exchange, across every pool, built
+ * from their positions (fetchOwnerPositions) and their position snapshots in
+ * the window (fetchOwnerSnapshots) instead of pool by pool:
+ *
+ * - open positions (liquidity > 0), grouped by pool
+ * - positions closed in the window: no liquidity left and at least one
+ *   snapshot in the window. Positions closed before the window are left out
+ * - per token totals across pools: held and uncollected fees in the open
+ *   positions now, and deposited, withdrawn and fees collected in the window
+ *   (snapshot deltas, lib/snapshot-deltas.js)
+ *
+ * Token amounts are BigInt base units; withTokenValues values them in USD
+ * at current prices (lib/pricing.js).
+ */
+
+const { computePositionAmounts } = require('./liquidity-math');
+const { computeUncollectedFees } = require('./fee-math');
+const { buildPositionAggregates } = require('./snapshot-deltas');
+const { getCurrentPrice, toUsd } = require('./pricing');
+
+// Per token amount fields of a portfolio token total
+const TOKEN_TOTAL_FIELDS = ['held', 'uncollectedFees', 'deposited', 'withdrawn', 'fees'];
+
+function isOpen(position) {
+  return BigInt(position.liquidity) > 0n;
+}
+
+// Build the portfolio of `positions` (every position of the owners) and their window `snapshots`.
+// `baselines` (see fetchBaselineSnapshots) make the window totals exact for positions minted earlier.
+function buildPortfolio(positions, snapshots, baselines = {}) {
+  const snapshotsByPosition = {};
+  snapshots.forEach(snapshot => {
+    const positionId = snapshot.position?.id;
+    if (!positionId) return;
+    if (!snapshotsByPosition[positionId]) {
+      snapshotsByPosition[positionId] = [];
+    }
+    snapshotsByPosition[positionId].push(snapshot);
+  });
+
+  const openPositions = positions.filter(isOpen);
+  const closedPositions = positions.filter(position => !isOpen(position) && snapshotsByPosition[position.id]);
+
+  // Pool ID -> group; open positions carry the pool's current state, so they come first
+  const groups = new Map();
+  const groupOf = pool => {
+    if (!groups.has(pool.id)) {
+      groups.set(pool.id, { pool, openPositions: [], closedPositions: [], closedSnapshots: [] });
+    }
+    return groups.get(pool.id);
+  };
+  openPositions.forEach(position => groupOf(position.pool).openPositions.push(position));
+  closedPositions.forEach(position => {
+    const group = groupOf(position.pool);
+    group.closedPositions.push(position);
+    group.closedSnapshots.push(...snapshotsByPosition[position.id]);
+  });
+
+  const aggregates = buildPositionAggregates(snapshots, baselines);
+
+  // Token ID -> totals across every pool the token is in
+  const tokens = new Map();
+  const add = (token, field, amount) => {
+    const id = token.id.toLowerCase();
+    if (!tokens.has(id)) {
+      const totals = { token };
+      TOKEN_TOTAL_FIELDS.forEach(key => {
+        totals[key] = 0n;
+      });
+      tokens.set(id, totals);
+    }
+    tokens.get(id)[field] += amount;
+  };
+
+  openPositions.forEach(position => {
+    const { pool } = position;
+    const amounts = computePositionAmounts(position, pool);
+    add(pool.token0, 'held', amounts.amount0);
+    add(pool.token1, 'held', amounts.amount1);
+    const uncollected = computeUncollectedFees(position, pool);
+    if (uncollected) {
+      add(pool.token0, 'uncollectedFees', uncollected.amount0);
+      add(pool.token1, 'uncollectedFees', uncollected.amount1);
+    }
+  });
+  aggregates.forEach(({ pool, totals }) => {
+    add(pool.token0, 'deposited', totals.deposited0);
+    add(pool.token1, 'deposited', totals.deposited1);
+    add(pool.token0, 'withdrawn', totals.withdrawn0);
+    add(pool.token1, 'withdrawn', totals.withdrawn1);
+    add(pool.token0, 'fees', totals.fees0);
+    add(pool.token1, 'fees', totals.fees1);
+  });
+
+  return {
+    pools: Array.from(groups.values()).sort((a, b) =>
+      b.openPositions.length - a.openPositions.length ||
+      b.closedPositions.length - a.closedPositions.length
+    ),
+    openPositions,
+    closedPositions,
+    aggregates,
+    tokens: Array.from(tokens.values()).sort((a, b) => (a.token.symbol < b.token.symbol ? -1 : 1))
+  };
+}
+
+// Copy token totals with `usd` (each amount field valued at the token's current price) attached
+function withTokenValues(tokens, book) {
+  return tokens.map(totals => {
+    const price = getCurrentPrice(book, totals.token);
+    const usd = {};
+    TOKEN_TOTAL_FIELDS.forEach(field => {
+      usd[field] = book ? toUsd(totals[field], totals.token, price) : null;
+    });
+    return { ...totals, usd };
+  });
+}
+
+module.exports = {
+  TOKEN_TOTAL_FIELDS,
+  buildPortfolio,
+  withTokenValues
+};
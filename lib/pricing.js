@@ -0,0 +1,227 @@
+/**
+ * USD Valuation
+ * =============
+ *
+ * Values token amounts in USD using the subgraph's pricing entities:
+ *
+ * - current prices: `token.derivedETH * bundle.ethPriceUSD` (the price of the
+ *   token in the chain's native token, times the native token's USD price)
+ * - event-time prices: `tokenDayData.priceUSD` for the UTC day of the event,
+ *   falling back to the most recent earlier day (day data only exists for days
+ *   with activity)
+ *
+ * A price book holds both, as BigInt USD per whole token scaled by
+ * 10^PRICE_DECIMALS:
+ *
+ *   {
+ *     current: { [tokenId]: price | null },
+ *     daily:   { [tokenId]: [[dayStart, price], ...] }   // oldest day first
+ *   }
+ *
+ * USD values come back as BigInt scaled by 10^PRICE_DECIMALS too, or null
+ * when a token with a non-zero amount has no price.
+ */
+
+const { tokenDecimals, parseUnits, divRound, pow10 } = require('./decimal');
+const { computePositionAmounts } = require('./liquidity-math');
+const { computeUncollectedFees } = require('./fee-math');
+const { computeCollectedFees } = require('./snapshot-deltas');
+
+const PRICE_DECIMALS = 18;
+const SECONDS_PER_DAY = 86400;
+
+// Days of day data fetched before the window, so early events can fall back to an earlier price
+const PRICE_LOOKBACK_DAYS = 7;
+
+function parsePrice(value) {
+  return parseUnits(value, PRICE_DECIMALS);
+}
+
+// Start of the UTC day containing `timestamp` (the `date` key of day data entities)
+function dayStart(timestamp) {
+  const seconds = parseInt(timestamp);
+  return seconds - (seconds % SECONDS_PER_DAY);
+}
+
+// Build a price book from the raw GetTokenPrices / GetTokenDayPrices results
+function buildPriceBook(bundle, tokens = [], tokenDayDatas = []) {
+  const book = { current: {}, daily: {} };
+  const ethPrice = bundle?.ethPriceUSD ? parsePrice(bundle.ethPriceUSD) : null;
+
+  tokens.forEach(token => {
+    const id = token.id.toLowerCase();
+    book.current[id] = ethPrice !== null && token.derivedETH !== undefined && token.derivedETH !== null
+      ? parsePrice(token.derivedETH) * ethPrice / pow10(PRICE_DECIMALS)
+      : null;
+  });
+
+  tokenDayDatas.forEach(dayData => {
+    const id = dayData.token.id.toLowerCase();
+    if (!book.daily[id]) {
+      book.daily[id] = [];
+    }
+    book.daily[id].push([parseInt(dayData.date), parsePrice(dayData.priceUSD)]);
+  });
+  Object.values(book.daily).forEach(days => days.sort((a, b) => a[0] - b[0]));
+
+  return book;
+}
+
+function getCurrentPrice(book, token) {
+  return book?.current[token.id.toLowerCase()] ?? null;
+}
+
+// Price on the UTC day of `timestamp`, or the latest earlier day with data
+function getPriceAt(book, token, timestamp) {
+  const days = book?.daily[token.id.toLowerCase()];
+  if (!days) return null;
+
+  const day = dayStart(timestamp);
+  let price = null;
+  for (const [date, dayPrice] of days) {
+    if (date > day) break;
+    price = dayPrice;
+  }
+  return price;
+}
+
+// USD value of base units at a price (null when the price is missing and the amount is not zero)
+function toUsd(units, token, price) {
+  if (units === 0n) return 0n;
+  if (price === null || price === undefined) return null;
+  return units * price / pow10(tokenDecimals(token));
+}
+
+// USD value (BigInt scaled by 10^PRICE_DECIMALS) rounded to cents, 'n/a' when unpriced
+function formatUsd(value) {
+  if (value === null || value === undefined) return 'n/a';
+  const cents = divRound(value, pow10(PRICE_DECIMALS - 2));
+  const magnitude = cents < 0n ? -cents : cents;
+  return `${cents < 0n ? '-' : ''}$${magnitude / 100n}.${(magnitude % 100n).toString().padStart(2, '0')}`;
+}
+
+// Sum USD values, propagating null
+function sumUsd(...values) {
+  if (values.some(value => value === null)) return null;
+  return values.reduce((sum, value) => sum + value, 0n);
+}
+
+// USD value of a token0/token1 pair of base unit amounts
+function valuePair(amount0, amount1, pool, prices) {
+  return sumUsd(
+    toUsd(amount0, pool.token0, prices.price0),
+    toUsd(amount1, pool.token1, prices.price1)
+  );
+}
+
+function currentPoolPrices(book, pool) {
+  return {
+    price0: getCurrentPrice(book, pool.token0),
+    price1: getCurrentPrice(book, pool.token1)
+  };
+}
+
+function poolPricesAt(book, pool, timestamp) {
+  return {
+    price0: getPriceAt(book, pool.token0, timestamp),
+    price1: getPriceAt(book, pool.token1, timestamp)
+  };
+}
+
+// USD value of one snapshot delta (lib/snapshot-deltas.js) at the event's day price
+function valueDelta(delta, pool, book) {
+  const prices = poolPricesAt(book, pool, delta.timestamp);
+  return {
+    deposited: valuePair(delta.deposited0, delta.deposited1, pool, prices),
+    withdrawn: valuePair(delta.withdrawn0, delta.withdrawn1, pool, prices),
+    fees: valuePair(delta.fees0, delta.fees1, pool, prices)
+  };
+}
+
+// USD totals of a position aggregate, summed per event at event time and valued at current prices
+function valueAggregate(aggregate, book) {
+  const { pool, deltas, totals } = aggregate;
+  const atEvent = { deposited: 0n, withdrawn: 0n, fees: 0n };
+  deltas.forEach(delta => {
+    const value = valueDelta(delta, pool, book);
+    Object.keys(atEvent).forEach(key => {
+      atEvent[key] = sumUsd(atEvent[key], value[key]);
+    });
+  });
+
+  const prices = currentPoolPrices(book, pool);
+  return {
+    atEvent,
+    atCurrent: {
+      deposited: valuePair(totals.deposited0, totals.deposited1, pool, prices),
+      withdrawn: valuePair(totals.withdrawn0, totals.withdrawn1, pool, prices),
+      fees: valuePair(totals.fees0, totals.fees1, pool, prices)
+    }
+  };
+}
+
+// USD value at current prices of a position's holdings, uncollected fees and collected fees
+function valuePosition(position, pool, book) {
+  const prices = currentPoolPrices(book, pool);
+  const amounts = computePositionAmounts(position, pool);
+  const uncollected = computeUncollectedFees(position, pool);
+  const collected = computeCollectedFees(position, pool);
+
+  return {
+    currentValue: valuePair(amounts.amount0, amounts.amount1, pool, prices),
+    uncollectedFees: uncollected ? valuePair(uncollected.amount0, uncollected.amount1, pool, prices) : null,
+    collectedFees: valuePair(collected.amount0, collected.amount1, pool, prices)
+  };
+}
+
+// Copy positions with `usd` ({ currentValue, uncollectedFees, collectedFees }) attached
+function withPositionValues(positions, pool, book) {
+  return positions.map(position => ({
+    ...position,
+    usd: valuePosition(position, pool || position.pool, book)
+  }));
+}
+
+// Copy aggregates with `usd` ({ atEvent, atCurrent }) attached
+function withAggregateValues(aggregates, book) {
+  return aggregates.map(aggregate => ({ ...aggregate, usd: valueAggregate(aggregate, book) }));
+}
+
+// Copy snapshots with `usdPrices` ({ token0, token1 } at the snapshot's day) attached
+function withSnapshotPrices(snapshots, book) {
+  return snapshots.map(snapshot => {
+    const prices = poolPricesAt(book, snapshot.pool, snapshot.timestamp);
+    return { ...snapshot, usdPrices: { token0: prices.price0, token1: prices.price1 } };
+  });
+}
+
+// Copy pools with `usdPrices` ({ token0, token1 } at current prices) attached
+function withPoolPrices(pools, book) {
+  return pools.map(pool => {
+    const prices = currentPoolPrices(book, pool);
+    return { ...pool, usdPrices: { token0: prices.price0, token1: prices.price1 } };
+  });
+}
+
+module.exports = {
+  PRICE_DECIMALS,
+  PRICE_LOOKBACK_DAYS,
+  SECONDS_PER_DAY,
+  dayStart,
+  buildPriceBook,
+  getCurrentPrice,
+  getPriceAt,
+  toUsd,
+  formatUsd,
+  sumUsd,
+  valuePair,
+  currentPoolPrices,
+  poolPricesAt,
+  valueDelta,
+  valueAggregate,
+  valuePosition,
+  withPositionValues,
+  withAggregateValues,
+  withSnapshotPrices,
+  withPoolPrices
+};
@@ -0,0 +1,475 @@
+/**
+ * Subgraph GraphQL Queries
+ * ========================
+ *
+ * Every query used against the Upheaval Finance exchange subgraph. Collection
+ * queries follow the cursor contract in lib/paginate.js (`$first`, `$lastId`,
+ * `id_gt`, ordered by `id`).
+ *
+ * Queries that read state take an optional `$block: Block_height` and pass it
+ * to their root fields as `block: $block`. Null (the default) reads the latest
+ * indexed state; `{ number: N }` time-travels to block N (see --at-block).
+ */
+
+// Fields selected on every position snapshot
+const SNAPSHOT_FIELDS = `
+      id
+      owner
+      pool {
+        id
+        token0 {
+          id
+          name
+          symbol
+          decimals
+        }
+        token1 {
+          id
+          name
+          symbol
+          decimals
+        }
+      }
+      position {
+        id
+        tickLower {
+          tickIdx
+        }
+        tickUpper {
+          tickIdx
+        }
+      }
+      blockNumber
+      timestamp
+      liquidity
+      depositedToken0
+      depositedToken1
+      withdrawnToken0
+      withdrawnToken1
+      collectedFeesToken0
+      collectedFeesToken1
+      transaction {
+        id
+      }
+      feeGrowthInside0LastX128
+      feeGrowthInside1LastX128
+`;
+
+// Snapshot fields needed to diff the first in-window snapshot against
+const BASELINE_SNAPSHOT_FIELDS = `
+      id
+      blockNumber
+      timestamp
+      liquidity
+      depositedToken0
+      depositedToken1
+      withdrawnToken0
+      withdrawnToken1
+      collectedFeesToken0
+      collectedFeesToken1
+`;
+
+// Fields selected on every pool
+const POOL_FIELDS = `
+      id
+      token0 {
+        id
+        name
+        symbol
+        decimals
+      }
+      token1 {
+        id
+        name
+        symbol
+        decimals
+      }
+      feeTier
+      liquidity
+      sqrtPrice
+      tick
+      observationIndex
+      feeGrowthGlobal0X128
+      feeGrowthGlobal1X128
+      volumeUSD
+      txCount
+      totalValueLockedUSD
+`;
+
+// GraphQL query to fetch pool information
+const POOL_INFO_QUERY = `
+  query GetPoolInfo($poolId: String!, $block: Block_height) {
+    pool(id: $poolId, block: $block) {${POOL_FIELDS}    }
+  }
+`;
+
+// GraphQL query to resolve token symbols to token addresses. Symbols match exactly
+// (case-sensitive), and more than one token can carry the same symbol.
+const TOKENS_BY_SYMBOL_QUERY = `
+  query GetTokensBySymbol($symbols: [String!]!, $first: Int!, $lastId: String!, $block: Block_height) {
+    tokens(
+      where: {
+        symbol_in: $symbols,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {
+      id
+      name
+      symbol
+      decimals
+    }
+  }
+`;
+
+// Fields selected on every position, including the fee growth values and pool
+// state needed to compute current amounts and uncollected fees
+const POSITION_FIELDS = `
+      id
+      owner
+      liquidity
+      depositedToken0
+      depositedToken1
+      withdrawnToken0
+      withdrawnToken1
+      collectedFeesToken0
+      collectedFeesToken1
+      feeGrowthInside0LastX128
+      feeGrowthInside1LastX128
+      tickLower {
+        tickIdx
+        feeGrowthOutside0X128
+        feeGrowthOutside1X128
+      }
+      tickUpper {
+        tickIdx
+        feeGrowthOutside0X128
+        feeGrowthOutside1X128
+      }
+      pool {
+        id
+        token0 {
+          id
+          name
+          symbol
+          decimals
+        }
+        token1 {
+          id
+          name
+          symbol
+          decimals
+        }
+        feeTier
+        liquidity
+        sqrtPrice
+        tick
+        feeGrowthGlobal0X128
+        feeGrowthGlobal1X128
+      }
+`;
+
+// GraphQL query to fetch current positions for a pool
+const CURRENT_POSITIONS_QUERY = `
+  query GetCurrentPositions($poolId: String!, $first: Int!, $lastId: String!, $block: Block_height) {
+    positions(
+      where: {
+        pool: $poolId,
+        liquidity_gt: "0",
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {${POSITION_FIELDS}    }
+  }
+`;
+
+// GraphQL query to fetch the current state of specific positions
+const POSITIONS_BY_ID_QUERY = `
+  query GetPositionsById($positionIds: [String!]!, $first: Int!, $lastId: String!, $block: Block_height) {
+    positions(
+      where: {
+        id_in: $positionIds,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {${POSITION_FIELDS}    }
+  }
+`;
+
+// GraphQL query to fetch every position of a set of owners across all pools (open and closed)
+const OWNER_POSITIONS_QUERY = `
+  query GetOwnerPositions($owners: [String!]!, $first: Int!, $lastId: String!, $block: Block_height) {
+    positions(
+      where: {
+        owner_in: $owners,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {${POSITION_FIELDS}    }
+  }
+`;
+
+// GraphQL query to fetch position snapshots for a set of pools
+const POSITION_SNAPSHOTS_QUERY = `
+  query GetPositionSnapshots($poolIds: [String!]!, $timestamp: BigInt!, $first: Int!, $lastId: String!, $block: Block_height) {
+    positionSnapshots(
+      where: {
+        pool_in: $poolIds,
+        timestamp_gte: $timestamp,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {${SNAPSHOT_FIELDS}    }
+  }
+`;
+
+// GraphQL query to fetch position snapshots for a set of owners across all pools
+const OWNER_SNAPSHOTS_QUERY = `
+  query GetOwnerSnapshots($owners: [String!]!, $timestamp: BigInt!, $first: Int!, $lastId: String!, $block: Block_height) {
+    positionSnapshots(
+      where: {
+        owner_in: $owners,
+        timestamp_gte: $timestamp,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {${SNAPSHOT_FIELDS}    }
+  }
+`;
+
+// GraphQL query to fetch every snapshot of a set of positions (their full history)
+const POSITION_HISTORY_QUERY = `
+  query GetPositionHistory($positionIds: [String!]!, $first: Int!, $lastId: String!, $block: Block_height) {
+    positionSnapshots(
+      where: {
+        position_in: $positionIds,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {${SNAPSHOT_FIELDS}    }
+  }
+`;
+
+// GraphQL query to fetch a set of pools' snapshots after a block
+// (incremental sync of lib/store.js, polling in lib/watch.js)
+const POOL_SNAPSHOTS_AFTER_BLOCK_QUERY = `
+  query GetPoolSnapshotsAfterBlock($poolIds: [String!]!, $afterBlock: BigInt!, $timestamp: BigInt!, $first: Int!, $lastId: String!, $block: Block_height) {
+    positionSnapshots(
+      where: {
+        pool_in: $poolIds,
+        blockNumber_gt: $afterBlock,
+        timestamp_gte: $timestamp,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {${SNAPSHOT_FIELDS}    }
+  }
+`;
+
+// GraphQL query to fetch the latest block the subgraph has indexed
+const INDEXED_BLOCK_QUERY = `
+  query GetIndexedBlock {
+    _meta {
+      block {
+        number
+        timestamp
+      }
+    }
+  }
+`;
+
+// GraphQL query to fetch current token prices: each token's price in the native
+// token (`derivedETH`) times the native token's USD price on the bundle
+const TOKEN_PRICES_QUERY = `
+  query GetTokenPrices($tokenIds: [String!]!, $block: Block_height) {
+    bundle(id: "1", block: $block) {
+      ethPriceUSD
+    }
+    tokens(where: { id_in: $tokenIds }, first: 1000, block: $block) {
+      id
+      symbol
+      derivedETH
+    }
+  }
+`;
+
+// GraphQL query to fetch daily USD prices for a set of tokens between two day starts
+const TOKEN_DAY_PRICES_QUERY = `
+  query GetTokenDayPrices($tokenIds: [String!]!, $from: Int!, $to: Int!, $first: Int!, $lastId: String!, $block: Block_height) {
+    tokenDayDatas(
+      where: {
+        token_in: $tokenIds,
+        date_gte: $from,
+        date_lte: $to,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {
+      id
+      date
+      priceUSD
+      token {
+        id
+      }
+    }
+  }
+`;
+
+// GraphQL query to fetch a pool's daily volume and TVL from a given day start
+const POOL_DAY_DATA_QUERY = `
+  query GetPoolDayData($poolId: String!, $from: Int!, $first: Int!, $lastId: String!, $block: Block_height) {
+    poolDayDatas(
+      where: {
+        pool: $poolId,
+        date_gte: $from,
+        id_gt: $lastId
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {
+      id
+      date
+      volumeUSD
+      tvlUSD
+      feesUSD
+    }
+  }
+`;
+
+// GraphQL query to find the last block at or before a timestamp that has an exchange
+// transaction. No pool, position or price changes between that block and the timestamp,
+// so reading state at that block is reading state at the timestamp.
+const BLOCK_AT_TIME_QUERY = `
+  query GetBlockAtTime($timestamp: BigInt!) {
+    transactions(
+      where: { timestamp_lte: $timestamp }
+      orderBy: timestamp
+      orderDirection: desc
+      first: 1
+    ) {
+      blockNumber
+      timestamp
+    }
+  }
+`;
+
+// GraphQL query to find the timestamp of the last exchange transaction at or before a block
+const BLOCK_TIMESTAMP_QUERY = `
+  query GetBlockTimestamp($blockNumber: BigInt!) {
+    transactions(
+      where: { blockNumber_lte: $blockNumber }
+      orderBy: blockNumber
+      orderDirection: desc
+      first: 1
+    ) {
+      blockNumber
+      timestamp
+    }
+  }
+`;
+
+// Build a query fetching the pools with one of `$tokenIds` as their token0 or token1 (`side`).
+// Pools match either side, so discovery runs it once per side; the subgraph cannot `or`
+// the two filters together with the `id_gt` cursor. Optional filters add variables:
+// - feeTiers:  `$feeTiers: [BigInt!]!`, pools with one of these fee tiers
+// - minTvlUsd: `$minTvlUsd: BigDecimal!`, pools with at least this TVL
+function buildTokenPoolsQuery(side, filters = {}) {
+  const declarations = ['$tokenIds: [String!]!'];
+  const conditions = [`${side}_in: $tokenIds`];
+  if (filters.feeTiers) {
+    declarations.push('$feeTiers: [BigInt!]!');
+    conditions.push('feeTier_in: $feeTiers');
+  }
+  if (filters.minTvlUsd) {
+    declarations.push('$minTvlUsd: BigDecimal!');
+    conditions.push('totalValueLockedUSD_gte: $minTvlUsd');
+  }
+  declarations.push('$first: Int!', '$lastId: String!', '$block: Block_height');
+  conditions.push('id_gt: $lastId');
+
+  return `
+  query GetTokenPools(${declarations.join(', ')}) {
+    pools(
+      where: {
+        ${conditions.join(',\n        ')}
+      }
+      orderBy: id
+      orderDirection: asc
+      first: $first
+      block: $block
+    ) {${POOL_FIELDS}    }
+  }
+`;
+}
+
+// Build a query fetching each position's last snapshot before a given block.
+// One aliased selection per position (`p0`, `p1`, ...), since each needs its own cutoff.
+function buildBaselineSnapshotsQuery(count) {
+  const declarations = [];
+  const selections = [];
+
+  for (let index = 0; index < count; index++) {
+    declarations.push(`$position${index}: String!`, `$block${index}: BigInt!`);
+    selections.push(`
+    p${index}: positionSnapshots(
+      where: { position: $position${index}, blockNumber_lt: $block${index} }
+      orderBy: blockNumber
+      orderDirection: desc
+      first: 1
+    ) {${BASELINE_SNAPSHOT_FIELDS}    }`);
+  }
+
+  return `query GetBaselineSnapshots(${declarations.join(', ')}) {${selections.join('')}\n  }`;
+}
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  POSITION_FIELDS,
+  POOL_FIELDS,
+  POOL_INFO_QUERY,
+  TOKENS_BY_SYMBOL_QUERY,
+  CURRENT_POSITIONS_QUERY,
+  POSITIONS_BY_ID_QUERY,
+  OWNER_POSITIONS_QUERY,
+  POSITION_SNAPSHOTS_QUERY,
+  OWNER_SNAPSHOTS_QUERY,
+  POSITION_HISTORY_QUERY,
+  POOL_SNAPSHOTS_AFTER_BLOCK_QUERY,
+  INDEXED_BLOCK_QUERY,
+  TOKEN_PRICES_QUERY,
+  TOKEN_DAY_PRICES_QUERY,
+  POOL_DAY_DATA_QUERY,
+  BLOCK_AT_TIME_QUERY,
+  BLOCK_TIMESTAMP_QUERY,
+  buildTokenPoolsQuery,
+  buildBaselineSnapshotsQuery
+};
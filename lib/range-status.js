@@ -0,0 +1,106 @@
+/**
+ * Position Range Status
+ * =====================
+ *
+ * Tags positions by where the pool's current tick sits relative to their range,
+ * which decides whether they are earning fees:
+ *
+ * - in-range:    tickLower <= pool.tick < tickUpper (active, earning fees)
+ * - below-range: pool.tick < tickLower (all token0, idle)
+ * - above-range: pool.tick >= tickUpper (all token1, idle)
+ *
+ * Distance to the nearest bound is reported in ticks and as the percent move
+ * in price (token1 per token0) that would reach it: each tick is a 0.01%
+ * price step, so a move of `d` ticks is a price change of 1.0001^d - 1.
+ * For out-of-range positions the nearest bound is the one that brings them
+ * back into range.
+ */
+
+const { ratio } = require('./decimal');
+
+const IN_RANGE = 'in-range';
+const BELOW_RANGE = 'below-range';
+const ABOVE_RANGE = 'above-range';
+
+const RANGE_STATUSES = [IN_RANGE, BELOW_RANGE, ABOVE_RANGE];
+
+// Percent price change for a move of `ticks` ticks
+function tickDeltaToPricePercent(ticks) {
+  return (Math.pow(1.0001, ticks) - 1) * 100;
+}
+
+// Range status of one position against the pool's current tick.
+// `ticksToBound` is signed: negative means the price has to fall to reach the bound.
+function getRangeStatus(position, pool) {
+  const tick = parseInt(pool.tick);
+  const tickLower = parseInt(position.tickLower.tickIdx);
+  const tickUpper = parseInt(position.tickUpper.tickIdx);
+
+  let status;
+  let ticksToBound;
+  if (tick < tickLower) {
+    status = BELOW_RANGE;
+    ticksToBound = tickLower - tick;
+  } else if (tick >= tickUpper) {
+    status = ABOVE_RANGE;
+    // Back in range once the tick drops below tickUpper
+    ticksToBound = tickUpper - 1 - tick;
+  } else {
+    status = IN_RANGE;
+    const toLower = tickLower - tick;
+    const toUpper = tickUpper - tick;
+    ticksToBound = Math.abs(toLower) <= toUpper ? toLower : toUpper;
+  }
+
+  return {
+    status,
+    ticksToBound,
+    pricePercentToBound: tickDeltaToPricePercent(ticksToBound)
+  };
+}
+
+// Copy positions with `range` ({ status, ticksToBound, pricePercentToBound }) attached
+function withRangeStatus(positions, pool) {
+  return positions.map(position => ({ ...position, range: getRangeStatus(position, pool) }));
+}
+
+// Count positions and liquidity per status and the share of liquidity that is in range
+function summarizeRangeStatus(positions, pool) {
+  const summary = {
+    totalLiquidity: 0n,
+    inRangeLiquidity: 0n,
+    inRangeShare: 0,
+    byStatus: {}
+  };
+  RANGE_STATUSES.forEach(status => {
+    summary.byStatus[status] = { count: 0, liquidity: 0n };
+  });
+
+  positions.forEach(position => {
+    const { status } = getRangeStatus(position, pool);
+    const liquidity = BigInt(position.liquidity || 0);
+    summary.byStatus[status].count++;
+    summary.byStatus[status].liquidity += liquidity;
+    summary.totalLiquidity += liquidity;
+  });
+
+  summary.inRangeLiquidity = summary.byStatus[IN_RANGE].liquidity;
+  summary.inRangeShare = ratio(summary.inRangeLiquidity, summary.totalLiquidity);
+  return summary;
+}
+
+function isOutOfRange(position, pool) {
+  return getRangeStatus(position, pool).status !== IN_RANGE;
+}
+
+module.exports = {
+  IN_RANGE,
+  BELOW_RANGE,
+  ABOVE_RANGE,
+  RANGE_STATUSES,
+  tickDeltaToPricePercent,
+  getRangeStatus,
+  withRangeStatus,
+  summarizeRangeStatus,
+  isOutOfRange
+};
@@ -0,0 +1,334 @@
+/**
+ * HTTP API Server
+ * ===============
+ *
+ * Serves pools, positions and position snapshots as JSON over HTTP, so other
+ * services can read them without shelling out to the CLI. Built on node:http;
+ * every response body is a JSON object.
+ *
+ * ENDPOINTS (GET only):
+ * ---------------------
+ * /health                     `{ status: "ok" }`
+ * /pools/:id                  `{ pool }`, one `pools` row
+ * /pools/:id/positions        `{ positions }`, the pool's active positions
+ *                             ?owner=<a,b,...>  only these owners
+ *                             ?outOfRange=true  only positions outside the current tick
+ *                             ?minLiquidity=<n> only positions with at least this liquidity
+ * /pools/:id/snapshots        `{ snapshots }`, the pool's position snapshots, newest first
+ *                             ?since=<date>     window start, ISO date or unix timestamp
+ *                             ?days=<n>         window length (default DEFAULT_WINDOW_DAYS)
+ *                             ?owner=<a,b,...>  only these owners
+ * /tokens/:id/pools           `{ pools }`, every pool containing the token
+ *                             (address or symbol), largest TVL first
+ *                             ?feeTier=<n,...>  only these fee tiers (100 = 0.01%)
+ *                             ?minTvl=<usd>     only pools with at least this TVL
+ * /owners/:address/positions  `{ positions }`, the owner's positions across all pools
+ *                             ?status=open|closed|all  (default open)
+ *                             ?pool=<id>        only positions in this pool
+ *
+ * Every endpoint also takes ?block=<n> to read the state as of a block.
+ *
+ * Rows have the same columns as the CLI's --format json data sets
+ * (lib/output.js). Positions carry current amounts, range status and
+ * uncollected fees, but no USD values.
+ *
+ * CACHING:
+ * --------
+ * Fetcher results are kept in memory for the cache TTL, keyed by fetcher and
+ * arguments, and shared by requests that only differ in their filters. A
+ * request arriving while the same fetch is in flight waits for it instead of
+ * fetching again. Failed fetches are not cached.
+ *
+ * ERRORS:
+ * -------
+ * `{ error }` with 400 for invalid query parameters or path encoding, 404 for unknown routes
+ * and pools, 405 for methods other than GET, 502 when the subgraph fails and
+ * 500 otherwise.
+ */
+
+const http = require('node:http');
+
+const { DEFAULT_WINDOW_DAYS, DEFAULT_CACHE_TTL_SECONDS, getTimestampDaysAgo } = require('./config');
+const fetchers = require('./fetchers');
+const { SubgraphError } = require('./subgraph-client');
+const { withCurrentAmounts } = require('./liquidity-math');
+const { withRangeStatus, isOutOfRange } = require('./range-status');
+const { withUncollectedFees } = require('./fee-math');
+const { toRows } = require('./output');
+
+const OWNER_POSITION_STATUSES = ['open', 'closed', 'all'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Memoise async calls by key for `ttlMs`. Pending calls are shared; rejected ones are dropped.
+function createTtlCache(ttlMs) {
+  const entries = new Map();
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    remember(key, load) {
+      const now = Date.now();
+      const cached = entries.get(key);
+      if (cached && cached.expiresAt > now) {
+        return cached.value;
+      }
+
+      // Drop expired entries as new ones come in, so the map cannot grow without bound
+      entries.forEach((entry, entryKey) => {
+        if (entry.expiresAt <= now) {
+          entries.delete(entryKey);
+        }
+      });
+
+      const value = load();
+      entries.set(key, { value, expiresAt: now + ttlMs });
+      value.catch(() => {
+        if (entries.get(key)?.value === value) {
+          entries.delete(key);
+        }
+      });
+      return value;
+    }
+  };
+}
+
+// Parse a comma separated query parameter into lower case addresses
+function parseAddressList(query, name) {
+  return query.getAll(name)
+    .flatMap(value => value.split(','))
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function parseNonNegativeInt(query, name) {
+  const value = query.get(name);
+  if (value === null) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `Invalid ${name} value: ${value}`);
+  }
+  return parseInt(value);
+}
+
+// Same formats as the CLI's --since: unix seconds or anything Date understands
+function parseTimestamp(query, name) {
+  const value = query.get(name);
+  if (value === null) return undefined;
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HttpError(400, `Invalid ${name} value: ${value}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+function parseBoolean(query, name) {
+  const value = query.get(name);
+  if (value === null) return false;
+  if (!['true', 'false', '1', '0'].includes(value)) {
+    throw new HttpError(400, `Invalid ${name} value: ${value} (expected true or false)`);
+  }
+  return value === 'true' || value === '1';
+}
+
+// Window start for ?since / ?days, plus a cache key that stays stable while a ?days window slides
+function parseWindow(query) {
+  const since = parseTimestamp(query, 'since');
+  if (since !== undefined) {
+    return { since, key: `since:${since}` };
+  }
+  const days = query.get('days') === null ? DEFAULT_WINDOW_DAYS : Number(query.get('days'));
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new HttpError(400, `Invalid days value: ${query.get('days')}`);
+  }
+  return { since: getTimestampDaysAgo(days), key: `days:${days}` };
+}
+
+// Decode a path parameter; malformed percent-encoding (e.g. "%E0%A4%A") is the client's mistake
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw new HttpError(400, `Invalid path segment: ${value}`);
+    }
+    throw error;
+  }
+}
+
+function filterByOwners(items, owners) {
+  return owners.length === 0 ? items : items.filter(item => owners.includes(item.owner.toLowerCase()));
+}
+
+// Current amounts, range status and uncollected fees, against each position's own pool
+function annotatePositions(positions) {
+  return positions.map(position => {
+    const [annotated] = withUncollectedFees(
+      withRangeStatus(withCurrentAmounts([position], position.pool), position.pool),
+      position.pool
+    );
+    return annotated;
+  });
+}
+
+// Routes as [pattern, handler]; handlers get (params, query, context) and return the response body
+const ROUTES = [
+  [/^\/health$/, async () => ({ status: 'ok' })],
+
+  [/^\/pools\/([^/]+)$/, async ([poolId], query, { load }) => {
+    const pool = await load.poolInfo(poolId, parseNonNegativeInt(query, 'block'));
+    return { pool: toRows('pools', [pool])[0] };
+  }],
+
+  [/^\/pools\/([^/]+)\/positions$/, async ([poolId], query, { load }) => {
+    const block = parseNonNegativeInt(query, 'block');
+    const owners = parseAddressList(query, 'owner');
+    const outOfRange = parseBoolean(query, 'outOfRange');
+    const minLiquidity = parseNonNegativeInt(query, 'minLiquidity');
+
+    // Resolve the pool first so an unknown pool is a 404, not an empty list
+    const pool = await load.poolInfo(poolId, block);
+    const positions = filterByOwners(await load.currentPositions(poolId, block), owners)
+      .filter(position => !outOfRange || isOutOfRange(position, pool))
+      .filter(position => minLiquidity === undefined || BigInt(position.liquidity) >= BigInt(minLiquidity));
+    return { positions: toRows('positions', annotatePositions(positions)) };
+  }],
+
+  [/^\/pools\/([^/]+)\/snapshots$/, async ([poolId], query, { load }) => {
+    const block = parseNonNegativeInt(query, 'block');
+    const window = parseWindow(query);
+    const owners = parseAddressList(query, 'owner');
+
+    await load.poolInfo(poolId, block);
+    const snapshots = filterByOwners(await load.positionSnapshots(poolId, window, block), owners);
+    return { snapshots: toRows('snapshots', snapshots) };
+  }],
+
+  [/^\/tokens\/([^/]+)\/pools$/, async ([token], query, { load }) => {
+    const feeTiers = query.getAll('feeTier')
+      .flatMap(value => value.split(','))
+      .filter(Boolean)
+      .map(value => {
+        if (!/^\d+$/.test(value)) {
+          throw new HttpError(400, `Invalid feeTier value: ${value}`);
+        }
+        return parseInt(value);
+      });
+    const minTvl = query.get('minTvl') === null ? undefined : Number(query.get('minTvl'));
+    if (minTvl !== undefined && (!Number.isFinite(minTvl) || minTvl < 0)) {
+      throw new HttpError(400, `Invalid minTvl value: ${query.get('minTvl')}`);
+    }
+
+    const pools = await load.tokenPools(token, { feeTiers, minTvlUsd: minTvl }, parseNonNegativeInt(query, 'block'));
+    return { pools: toRows('pools', pools) };
+  }],
+
+  [/^\/owners\/([^/]+)\/positions$/, async ([owner], query, { load }) => {
+    const block = parseNonNegativeInt(query, 'block');
+    const status = query.get('status') || 'open';
+    if (!OWNER_POSITION_STATUSES.includes(status)) {
+      throw new HttpError(400, `Invalid status value: ${status} (expected ${OWNER_POSITION_STATUSES.join(', ')})`);
+    }
+    const poolId = query.get('pool')?.toLowerCase();
+
+    const positions = (await load.ownerPositions(owner, block))
+      .filter(position => status === 'all' || (BigInt(position.liquidity) > 0n) === (status === 'open'))
+      .filter(position => !poolId || position.pool.id.toLowerCase() === poolId);
+    return { positions: toRows('positions', annotatePositions(positions)) };
+  }]
+];
+
+function errorStatus(error) {
+  if (error instanceof HttpError) return error.status;
+  if (error instanceof fetchers.NotFoundError) return 404;
+  if (error instanceof SubgraphError) return 502;
+  return 500;
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+}
+
+// Create (but do not start) the API server. Options:
+// - source:     fetcher functions (lib/fetchers.js, or createStoreFetchers for a local store)
+// - client:     subgraph client passed to every fetcher
+// - cacheTtlMs: how long fetcher results are reused (default DEFAULT_CACHE_TTL_SECONDS)
+function createApiServer(options = {}) {
+  const { source = fetchers, client, cacheTtlMs = DEFAULT_CACHE_TTL_SECONDS * 1000 } = options;
+  const cache = createTtlCache(cacheTtlMs);
+  const fetchOptions = block => ({ client, block });
+
+  // Cached fetchers; addresses are lower cased so keys do not depend on the caller's casing
+  const load = {
+    poolInfo: (poolId, block) => cache.remember(
+      `pool:${poolId.toLowerCase()}:${block}`,
+      () => source.fetchPoolInfo(poolId.toLowerCase(), fetchOptions(block))
+    ),
+    currentPositions: (poolId, block) => cache.remember(
+      `positions:${poolId.toLowerCase()}:${block}`,
+      () => source.fetchCurrentPositions(poolId.toLowerCase(), fetchOptions(block))
+    ),
+    positionSnapshots: (poolId, window, block) => cache.remember(
+      `snapshots:${poolId.toLowerCase()}:${window.key}:${block}`,
+      () => source.fetchPositionSnapshots(poolId.toLowerCase(), { ...fetchOptions(block), since: window.since })
+    ),
+    // Symbols are case-sensitive, so only addresses are lower cased
+    tokenPools: (token, filters, block) => {
+      const tokenKey = fetchers.isAddress(token) ? token.toLowerCase() : token;
+      return cache.remember(
+        `tokenPools:${tokenKey}:${filters.feeTiers.join(',')}:${filters.minTvlUsd}:${block}`,
+        () => source.fetchTokenPools(tokenKey, { ...fetchOptions(block), ...filters })
+      );
+    },
+    ownerPositions: (owner, block) => cache.remember(
+      `ownerPositions:${owner.toLowerCase()}:${block}`,
+      () => source.fetchOwnerPositions(owner.toLowerCase(), fetchOptions(block))
+    )
+  };
+
+  async function handle(request) {
+    if (request.method !== 'GET') {
+      throw new HttpError(405, `Method ${request.method} not allowed`);
+    }
+    const url = new URL(request.url, 'http://localhost');
+    for (const [pattern, handler] of ROUTES) {
+      const match = url.pathname.replace(/\/+$/, '').match(pattern);
+      if (match) {
+        return handler(match.slice(1).map(decodePathParam), url.searchParams, { load });
+      }
+    }
+    throw new HttpError(404, `No route for ${url.pathname}`);
+  }
+
+  return http.createServer(async (request, response) => {
+    const started = Date.now();
+    let status = 200;
+    try {
+      sendJson(response, status, await handle(request));
+    } catch (error) {
+      status = errorStatus(error);
+      if (status >= 500) {
+        console.error(`Error serving ${request.url}:`, error);
+      }
+      sendJson(response, status, { error: error.message });
+    }
+    console.log(`🌐 ${request.method} ${request.url} ${status} (${Date.now() - started} ms)`);
+  });
+}
+
+module.exports = {
+  HttpError,
+  createTtlCache,
+  createApiServer
+};
@@ -0,0 +1,220 @@
+/**
+ * Snapshot Delta Engine
+ * =====================
+ *
+ * Position snapshots carry cumulative per-position totals: every snapshot's
+ * `depositedToken0`, `withdrawnToken0`, `collectedFeesToken0` (and the token1
+ * equivalents) is the running total since the position was minted. Summing
+ * them across snapshots double counts everything, so this module turns a
+ * position's snapshots into per-event deltas instead.
+ *
+ * HOW DELTAS ARE DERIVED:
+ * -----------------------
+ * 1. A position's snapshots are ordered by block (oldest first)
+ * 2. Each snapshot is diffed against the one before it
+ * 3. The first snapshot in the window is diffed against the baseline, i.e. the
+ *    position's last snapshot before the window. Without a baseline the first
+ *    snapshot is diffed against zero, which is only exact when the position
+ *    was minted inside the window
+ *
+ * FEES:
+ * -----
+ * The subgraph's `collectedFeesToken0` is not a fee figure: it totals every
+ * Collect, and a Collect pays out the burned principal along with the fees
+ * (e.g. withdrawn 503.938874 USD₮0 against collected 535.918341 USD₮0, of
+ * which 31.979467 are fees). `collectedFeesToken1` is worse: it repeats the
+ * token0 number. So fees are derived, never read (computeCollectedFees):
+ *
+ * - token0: collected minus withdrawn, at least 0
+ * - token1: the same, but only when `collectedFeesToken1` differs from
+ *   `collectedFeesToken0`; a copy of the token0 figure counts as no token1
+ *   fees rather than as a fortune in the wrong token
+ *
+ * A position whose token1 total really does match its token0 total loses its
+ * token1 fees the same way, so every non-zero token1 total dropped is flagged
+ * (`token1Ignored`): the text reports note it next to the fees and the
+ * exports carry it as `feesToken1Ignored`.
+ *
+ * Withdrawn principal that is burned but not collected yet pushes
+ * collected - withdrawn below the fees already earned until the Collect, so a
+ * position's fee deltas only count what lifts it above its highest level so
+ * far (from the baseline on) and are never negative.
+ *
+ * Liquidity is a uint128 BigInt; token amounts are exact BigInt base units
+ * of their token (see lib/decimal.js), using the decimals of the pool's
+ * tokens on the snapshot.
+ */
+
+const { tokenDecimals, parseUnits } = require('./decimal');
+
+// Delta key -> cumulative snapshot field and the pool token it is denominated in
+const CUMULATIVE_FIELDS = {
+  deposited0: { field: 'depositedToken0', token: 'token0' },
+  deposited1: { field: 'depositedToken1', token: 'token1' },
+  withdrawn0: { field: 'withdrawnToken0', token: 'token0' },
+  withdrawn1: { field: 'withdrawnToken1', token: 'token1' }
+};
+
+// Every delta key: the cumulative fields plus the derived fees
+const DELTA_KEYS = [...Object.keys(CUMULATIVE_FIELDS), 'fees0', 'fees1'];
+
+function positivePart(value) {
+  return value > 0n ? value : 0n;
+}
+
+// Fees a position or snapshot has collected so far, as { amount0, amount1 } base units of the
+// pool's tokens: its Collect totals minus the principal withdrawn (see FEES above).
+// `token1Ignored` is true when a non-zero collectedFeesToken1 was dropped as a copy of token0.
+function computeCollectedFees(record, pool = record.pool) {
+  const decimals0 = tokenDecimals(pool?.token0);
+  const decimals1 = tokenDecimals(pool?.token1);
+  const collected0 = parseUnits(record.collectedFeesToken0, decimals0);
+  const reported1 = parseUnits(record.collectedFeesToken1, decimals1);
+  const token1Ignored = record.collectedFeesToken1 === record.collectedFeesToken0 && reported1 !== 0n;
+  const collected1 = token1Ignored ? 0n : reported1;
+  return {
+    amount0: positivePart(collected0 - parseUnits(record.withdrawnToken0, decimals0)),
+    amount1: positivePart(collected1 - parseUnits(record.withdrawnToken1, decimals1)),
+    token1Ignored
+  };
+}
+
+// Order snapshots oldest first by block, falling back to timestamp and id
+function orderSnapshotsByBlock(snapshots) {
+  return [...snapshots].sort((a, b) =>
+    parseInt(a.blockNumber) - parseInt(b.blockNumber) ||
+    parseInt(a.timestamp) - parseInt(b.timestamp) ||
+    (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  );
+}
+
+// Derive per-event deltas for one position's snapshots
+function computePositionDeltas(snapshots, baseline = null) {
+  const ordered = orderSnapshotsByBlock(snapshots);
+  const pool = ordered[0]?.pool;
+  const decimals = {
+    token0: tokenDecimals(pool?.token0),
+    token1: tokenDecimals(pool?.token1)
+  };
+  let previous = baseline;
+  // Highest fee level seen so far, see FEES above
+  const feeLevel = baseline ? computeCollectedFees(baseline, pool) : { amount0: 0n, amount1: 0n };
+
+  return ordered.map(snapshot => {
+    const delta = {
+      snapshot,
+      blockNumber: snapshot.blockNumber,
+      timestamp: snapshot.timestamp,
+      transactionId: snapshot.transaction?.id || null,
+      liquidity: BigInt(snapshot.liquidity || 0),
+      liquidityDelta: BigInt(snapshot.liquidity || 0) - BigInt(previous?.liquidity || 0),
+      fromBaseline: previous !== null
+    };
+
+    Object.entries(CUMULATIVE_FIELDS).forEach(([key, { field, token }]) => {
+      delta[key] = parseUnits(snapshot[field], decimals[token]) - parseUnits(previous?.[field], decimals[token]);
+    });
+    // A Collect that only pays out burned principal moves the collected totals but not the fees
+    delta.collects = ['collectedFeesToken0', 'collectedFeesToken1'].some(field =>
+      (snapshot[field] || '0') !== (previous?.[field] || '0')
+    );
+    const fees = computeCollectedFees(snapshot, pool);
+    delta.fees0 = positivePart(fees.amount0 - feeLevel.amount0);
+    delta.fees1 = positivePart(fees.amount1 - feeLevel.amount1);
+    feeLevel.amount0 += delta.fees0;
+    feeLevel.amount1 += delta.fees1;
+
+    previous = snapshot;
+    return delta;
+  });
+}
+
+// Sum a position's deltas into window totals
+function summarizeDeltas(deltas) {
+  const totals = {
+    deposited0: 0n,
+    deposited1: 0n,
+    withdrawn0: 0n,
+    withdrawn1: 0n,
+    fees0: 0n,
+    fees1: 0n,
+    currentLiquidity: 0n,
+    peakLiquidity: 0n
+  };
+
+  deltas.forEach(delta => {
+    DELTA_KEYS.forEach(key => {
+      totals[key] += delta[key];
+    });
+    if (delta.liquidity > totals.peakLiquidity) {
+      totals.peakLiquidity = delta.liquidity;
+    }
+  });
+
+  if (deltas.length > 0) {
+    totals.currentLiquidity = deltas[deltas.length - 1].liquidity;
+  }
+
+  return totals;
+}
+
+// Group snapshots by position and derive each position's deltas and window totals.
+// Positions are returned most active first.
+function buildPositionAggregates(snapshots, baselines = {}) {
+  const snapshotsByPosition = {};
+  snapshots.forEach(snapshot => {
+    const positionId = snapshot.position?.id;
+    if (positionId) {
+      if (!snapshotsByPosition[positionId]) {
+        snapshotsByPosition[positionId] = [];
+      }
+      snapshotsByPosition[positionId].push(snapshot);
+    }
+  });
+
+  return Object.entries(snapshotsByPosition)
+    .sort(([, a], [, b]) => b.length - a.length)
+    .map(([positionId, positionSnapshots]) => {
+      const baseline = baselines[positionId] || null;
+      const deltas = computePositionDeltas(positionSnapshots, baseline);
+      return {
+        positionId,
+        pool: positionSnapshots[0].pool,
+        owner: positionSnapshots[0].owner,
+        baseline,
+        snapshots: positionSnapshots,
+        deltas,
+        totals: summarizeDeltas(deltas)
+      };
+    });
+}
+
+function hasDeposit(delta) {
+  return delta.deposited0 > 0n || delta.deposited1 > 0n;
+}
+
+function hasWithdrawal(delta) {
+  return delta.withdrawn0 > 0n || delta.withdrawn1 > 0n;
+}
+
+function hasFees(delta) {
+  return delta.fees0 > 0n || delta.fees1 > 0n;
+}
+
+function hasActivity(delta) {
+  return hasDeposit(delta) || hasWithdrawal(delta) || hasFees(delta);
+}
+
+module.exports = {
+  CUMULATIVE_FIELDS,
+  DELTA_KEYS,
+  computeCollectedFees,
+  orderSnapshotsByBlock,
+  computePositionDeltas,
+  summarizeDeltas,
+  buildPositionAggregates,
+  hasDeposit,
+  hasWithdrawal,
+  hasFees,
+  hasActivity
+};
@@ -0,0 +1,374 @@
+/**
+ * Local Snapshot Store
+ * ====================
+ *
+ * On-disk copy of pools, positions and position snapshots, so history can
+ * grow past the report window and reports can run offline (--offline).
+ *
+ * The store is a directory of plain JSON files rather than SQLite: the
+ * scripts run on a bare Node install with no dependencies, and every query
+ * the reports need is "all snapshots of these pools / positions / owners",
+ * which an in-memory scan answers fine.
+ *
+ * LAYOUT:
+ * -------
+ * <dir>/meta.json                   format version, endpoint and per-pool sync state
+ * <dir>/pools.json                  pool ID -> pool (GetPoolInfo fields)
+ * <dir>/positions.json              position ID -> position (POSITION_FIELDS)
+ * <dir>/snapshots/<poolId>.ndjson   the pool's snapshots, one per line, append-only
+ *
+ * SYNC:
+ * -----
+ * syncPool() only asks the subgraph for snapshots in blocks after the pool's
+ * last stored block (`blockNumber_gt`), then refreshes the pool and its
+ * positions. Snapshots are appended before the sync state is saved, so an
+ * interrupted sync just re-fetches from the old block; duplicates are dropped
+ * by snapshot ID.
+ *
+ * Every query of a sync reads the subgraph at the block it had indexed when
+ * the sync started, and that block is recorded as the pool's last block.
+ * Unpinned, the ID-ordered pages could miss a snapshot indexed mid-sync whose
+ * ID sorts before the cursor, and the next sync would start after it.
+ *
+ * READING:
+ * --------
+ * createStoreFetchers() returns the lib/fetchers.js functions the CLI uses,
+ * answered from the store. Prices and pool day data are not stored, so
+ * offline reports have no USD values or fee APR.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { sortSnapshotsNewestFirst, sortPositionsByLiquidity, sortPoolsByTvl } = require('./paginate');
+const {
+  fetchPoolInfo,
+  fetchCurrentPositions,
+  fetchPositionsByIds,
+  fetchPoolSnapshotsAfterBlock,
+  fetchIndexedBlock,
+  isAddress,
+  NotFoundError
+} = require('./fetchers');
+
+const STORE_VERSION = 1;
+
+// Sync state of a pool that has never been synced
+const NEVER_SYNCED_BLOCK = -1;
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Write through a temporary file so an interrupted run never leaves half a file behind
+function writeJson(file, value) {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(value, null, 2)}\n`);
+  fs.renameSync(temporary, file);
+}
+
+function readNdjson(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+}
+
+// Open the store in `dir`, created on first save unless `mustExist` is set.
+// A store is tied to the endpoint it was first synced from.
+function openStore(dir, options = {}) {
+  const snapshotsDir = path.join(dir, 'snapshots');
+  const metaFile = path.join(dir, 'meta.json');
+  const poolsFile = path.join(dir, 'pools.json');
+  const positionsFile = path.join(dir, 'positions.json');
+
+  if (options.mustExist && !fs.existsSync(metaFile)) {
+    throw new Error(`No store at ${dir}; run "node cli.js sync <pool id>" first`);
+  }
+
+  const meta = readJson(metaFile, { version: STORE_VERSION, endpoint: options.endpoint || null, pools: {} });
+  if (meta.version !== STORE_VERSION) {
+    throw new Error(`Store ${dir} has format version ${meta.version}, expected ${STORE_VERSION}`);
+  }
+  if (options.endpoint && meta.endpoint && meta.endpoint !== options.endpoint) {
+    throw new Error(`Store ${dir} was synced from ${meta.endpoint}, not ${options.endpoint}`);
+  }
+  const pools = readJson(poolsFile, {});
+  const positions = readJson(positionsFile, {});
+
+  // Pool ID -> Map of snapshot ID -> snapshot, loaded on first use
+  const snapshotsByPool = new Map();
+
+  function snapshotFile(poolId) {
+    return path.join(snapshotsDir, `${poolId}.ndjson`);
+  }
+
+  function loadSnapshots(poolId) {
+    if (!snapshotsByPool.has(poolId)) {
+      const byId = new Map();
+      readNdjson(snapshotFile(poolId)).forEach(snapshot => byId.set(snapshot.id, snapshot));
+      snapshotsByPool.set(poolId, byId);
+    }
+    return snapshotsByPool.get(poolId);
+  }
+
+  return {
+    dir,
+
+    getSyncState(poolId) {
+      return meta.pools[poolId] || null;
+    },
+
+    // Last stored block of a pool's snapshots
+    getLastBlock(poolId) {
+      return meta.pools[poolId]?.lastBlock ?? NEVER_SYNCED_BLOCK;
+    },
+
+    recordSync(poolId, state) {
+      meta.pools[poolId] = { ...meta.pools[poolId], ...state };
+    },
+
+    getPool(poolId) {
+      return pools[poolId] || null;
+    },
+
+    getPools() {
+      return Object.values(pools);
+    },
+
+    savePool(pool) {
+      pools[pool.id] = pool;
+    },
+
+    getPosition(positionId) {
+      return positions[positionId] || null;
+    },
+
+    getPositions() {
+      return Object.values(positions);
+    },
+
+    savePositions(list) {
+      list.forEach(position => {
+        positions[position.id] = position;
+      });
+    },
+
+    // Snapshots of one pool, or of every stored pool
+    getSnapshots(poolId) {
+      const poolIds = poolId ? [poolId] : Object.keys(meta.pools);
+      return poolIds.flatMap(id => Array.from(loadSnapshots(id).values()));
+    },
+
+    // Append the snapshots not stored yet and return how many were new
+    appendSnapshots(poolId, snapshots) {
+      const stored = loadSnapshots(poolId);
+      const fresh = snapshots.filter(snapshot => !stored.has(snapshot.id));
+      if (fresh.length === 0) {
+        return 0;
+      }
+
+      fs.mkdirSync(snapshotsDir, { recursive: true });
+      fs.appendFileSync(snapshotFile(poolId), fresh.map(snapshot => `${JSON.stringify(snapshot)}\n`).join(''));
+      fresh.forEach(snapshot => stored.set(snapshot.id, snapshot));
+      return fresh.length;
+    },
+
+    // Persist pools, positions and sync state (snapshots are written as they are appended)
+    save() {
+      fs.mkdirSync(dir, { recursive: true });
+      if (!meta.endpoint && options.endpoint) {
+        meta.endpoint = options.endpoint;
+      }
+      writeJson(poolsFile, pools);
+      writeJson(positionsFile, positions);
+      writeJson(metaFile, meta);
+    }
+  };
+}
+
+// Bring one pool up to date: snapshots after its last stored block, then the pool and its positions.
+// The first sync of a pool starts at `options.since` (full history when omitted).
+async function syncPool(store, poolId, options = {}) {
+  const afterBlock = store.getLastBlock(poolId);
+  const firstSync = afterBlock === NEVER_SYNCED_BLOCK;
+  const indexed = await fetchIndexedBlock(options);
+  const fetchOptions = { ...options, block: indexed.number, since: firstSync ? options.since : undefined };
+
+  const pool = await fetchPoolInfo(poolId, fetchOptions);
+  const snapshots = await fetchPoolSnapshotsAfterBlock(poolId, afterBlock, fetchOptions);
+  const added = store.appendSnapshots(poolId, snapshots);
+
+  // Open positions, plus positions that changed since the last sync (they may have closed)
+  const openPositions = await fetchCurrentPositions(poolId, fetchOptions);
+  const openIds = new Set(openPositions.map(position => position.id));
+  const changedIds = snapshots.map(snapshot => snapshot.position.id).filter(id => !openIds.has(id));
+  const changedPositions = await fetchPositionsByIds(changedIds, fetchOptions);
+
+  // Everything up to the pinned block is stored now, whether or not it had snapshots
+  const lastBlock = Math.max(afterBlock, indexed.number);
+
+  store.savePool(pool);
+  store.savePositions([...openPositions, ...Object.values(changedPositions)]);
+  store.recordSync(poolId, {
+    lastBlock,
+    syncedAt: Math.floor(Date.now() / 1000),
+    ...(firstSync ? { since: options.since ?? 0 } : {})
+  });
+  store.save();
+
+  return {
+    poolId,
+    pool,
+    added,
+    lastBlock,
+    snapshots: store.getSnapshots(poolId).length,
+    openPositions: openPositions.length
+  };
+}
+
+function requireStoredPool(store, poolId) {
+  const pool = store.getPool(poolId);
+  if (!pool) {
+    throw new NotFoundError(`Pool ${poolId} is not in store ${store.dir}; run "node cli.js sync ${poolId}" first`);
+  }
+  return pool;
+}
+
+function inWindow(snapshot, since) {
+  return since === undefined || parseInt(snapshot.timestamp) >= since;
+}
+
+// lib/fetchers.js look-alikes answered from the store, for offline reports.
+// Window options (`since`) apply as usual; time-travel options (`block`, `at`) are not supported.
+function createStoreFetchers(store) {
+  return {
+    async fetchTokenPools(tokens, options = {}) {
+      const tokenList = Array.isArray(tokens) ? tokens : [tokens];
+      const matchesToken = token => tokenList.some(wanted =>
+        isAddress(wanted) ? token.id.toLowerCase() === wanted.toLowerCase() : token.symbol === wanted
+      );
+      const feeTiers = (options.feeTiers || []).map(String);
+      const pools = store.getPools()
+        .filter(pool => matchesToken(pool.token0) || matchesToken(pool.token1))
+        .filter(pool => feeTiers.length === 0 || feeTiers.includes(String(pool.feeTier)))
+        .filter(pool => options.minTvlUsd === undefined || parseFloat(pool.totalValueLockedUSD) >= Number(options.minTvlUsd));
+      console.log(`Found ${pools.length} stored pools with ${tokenList.join(', ')}`);
+      return sortPoolsByTvl(pools);
+    },
+
+    async fetchPoolInfo(poolId) {
+      return requireStoredPool(store, poolId);
+    },
+
+    async fetchCurrentPositions(poolId) {
+      requireStoredPool(store, poolId);
+      const positions = store.getPositions().filter(position =>
+        position.pool.id === poolId && BigInt(position.liquidity) > 0n
+      );
+      console.log(`Found ${positions.length} stored positions with liquidity > 0`);
+      return sortPositionsByLiquidity(positions);
+    },
+
+    async fetchPositionsByIds(positionIds) {
+      const positionsById = {};
+      positionIds.forEach(id => {
+        const position = store.getPosition(id);
+        if (position) {
+          positionsById[id] = position;
+        }
+      });
+      return positionsById;
+    },
+
+    async fetchOwnerPositions(owners) {
+      const ownerIds = (Array.isArray(owners) ? owners : [owners]).map(owner => owner.toLowerCase());
+      const positions = store.getPositions().filter(position => ownerIds.includes(position.owner.toLowerCase()));
+      console.log(`Found ${positions.length} stored positions of ${ownerIds.join(', ')}`);
+      return sortPositionsByLiquidity(positions);
+    },
+
+    async fetchPositionSnapshots(poolIds, options = {}) {
+      const ids = Array.isArray(poolIds) ? poolIds : [poolIds];
+      ids.forEach(id => requireStoredPool(store, id));
+      const snapshots = ids.flatMap(id => store.getSnapshots(id)).filter(snapshot => inWindow(snapshot, options.since));
+      console.log(`Found ${snapshots.length} stored position snapshots`);
+      return sortSnapshotsNewestFirst(snapshots);
+    },
+
+    async fetchOwnerSnapshots(owners, options = {}) {
+      const ownerIds = owners.map(owner => owner.toLowerCase());
+      const snapshots = store.getSnapshots()
+        .filter(snapshot => ownerIds.includes(snapshot.owner.toLowerCase()))
+        .filter(snapshot => inWindow(snapshot, options.since));
+      console.log(`Found ${snapshots.length} stored position snapshots`);
+      return sortSnapshotsNewestFirst(snapshots);
+    },
+
+    // Same contract as fetchers.fetchBaselineSnapshots, from the stored history
+    async fetchBaselineSnapshots(snapshots) {
+      const earliestBlockByPosition = {};
+      snapshots.forEach(snapshot => {
+        const positionId = snapshot.position?.id;
+        if (!positionId) return;
+        const block = parseInt(snapshot.blockNumber);
+        if (earliestBlockByPosition[positionId] === undefined || block < earliestBlockByPosition[positionId]) {
+          earliestBlockByPosition[positionId] = block;
+        }
+      });
+
+      const poolIds = [...new Set(snapshots.map(snapshot => snapshot.pool.id))];
+      const baselines = {};
+      poolIds.flatMap(poolId => store.getSnapshots(poolId)).forEach(snapshot => {
+        const positionId = snapshot.position.id;
+        const block = parseInt(snapshot.blockNumber);
+        if (earliestBlockByPosition[positionId] === undefined || block >= earliestBlockByPosition[positionId]) {
+          return;
+        }
+        const baseline = baselines[positionId];
+        if (!baseline || block > parseInt(baseline.blockNumber) ||
+            (block === parseInt(baseline.blockNumber) && snapshot.id > baseline.id)) {
+          baselines[positionId] = snapshot;
+        }
+      });
+      return baselines;
+    },
+
+    async fetchPositionHistory(positionIds) {
+      const ids = new Set(positionIds);
+      const history = {};
+      sortSnapshotsNewestFirst(store.getSnapshots().filter(snapshot => ids.has(snapshot.position.id)))
+        .forEach(snapshot => {
+          const positionId = snapshot.position.id;
+          if (!history[positionId]) {
+            history[positionId] = [];
+          }
+          history[positionId].push(snapshot);
+        });
+      return history;
+    },
+
+    // Prices are not stored: null leaves every USD value out of the reports
+    async fetchTokenPrices() {
+      return null;
+    },
+
+    // Nor is pool day data: null leaves out the pool's fee APR
+    async fetchPoolDayData() {
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  STORE_VERSION,
+  openStore,
+  syncPool,
+  createStoreFetchers
+};
@@ -0,0 +1,263 @@
+/**
+ * Subgraph GraphQL Client
+ * =======================
+ *
+ * The single place that talks HTTP to the subgraph. Every fetcher goes
+ * through `client.query()`, which adds:
+ *
+ * - a per-request timeout (aborts the fetch)
+ * - exponential backoff with jitter on 429, 5xx and transient network errors,
+ *   honouring `Retry-After` when the server sends one
+ * - HTTP status checks and safe handling of non-JSON error pages
+ * - typed errors, so callers can tell GraphQL errors from transport failures:
+ *
+ *     SubgraphError
+ *     ├── SubgraphGraphQLError      the subgraph answered with `errors`
+ *     └── SubgraphTransportError    HTTP status, network or non-JSON failure
+ *         └── SubgraphTimeoutError  the request exceeded `timeoutMs`
+ *
+ * - request/latency logging when `verbose` is set (retries and give-ups are
+ *   always reported on stderr)
+ *
+ * USAGE:
+ * ------
+ *   const client = createSubgraphClient({ endpoint, timeoutMs: 15000 });
+ *   const data = await client.query(POOL_INFO_QUERY, { poolId });
+ */
+
+const { SUBGRAPH_URL } = require('./config');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+// Node's fetch reports socket-level failures as a TypeError with one of these codes as the cause
+const TRANSIENT_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT'
+];
+
+class SubgraphError extends Error {
+  constructor(message, { operation, endpoint, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.operation = operation;
+    this.endpoint = endpoint;
+  }
+}
+
+class SubgraphGraphQLError extends SubgraphError {
+  constructor(errors, details) {
+    super('GraphQL errors: ' + JSON.stringify(errors), details);
+    this.errors = errors;
+  }
+}
+
+class SubgraphTransportError extends SubgraphError {
+  constructor(message, { status = null, retryable = false, body = null, ...details } = {}) {
+    super(message, details);
+    this.status = status;
+    this.retryable = retryable;
+    this.body = body;
+  }
+}
+
+class SubgraphTimeoutError extends SubgraphTransportError {
+  constructor(timeoutMs, details) {
+    super(`Request timed out after ${timeoutMs}ms`, { ...details, retryable: true });
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function operationName(query) {
+  const match = /\b(?:query|mutation)\s+(\w+)/.exec(query);
+  return match ? match[1] : 'anonymous';
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Only socket-level failures are worth retrying: a TypeError is also what fetch throws for a bad
+// URL or request, and what a bug in this process throws
+function isTransientNetworkError(error) {
+  const code = error?.cause?.code || error?.code;
+  if (code) {
+    return TRANSIENT_NETWORK_CODES.includes(code);
+  }
+  // undici's generic failure when the cause carries no code (e.g. the socket closed mid-response)
+  return error instanceof TypeError && error.message === 'fetch failed';
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full-jitter exponential backoff, capped at MAX_DELAY_MS
+function backoffDelay(attempt, baseDelayMs) {
+  const ceiling = Math.min(MAX_DELAY_MS, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function truncate(text, length = 200) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? flat.slice(0, length) + '…' : flat;
+}
+
+// Options:
+// - endpoint:    subgraph URL (default SUBGRAPH_URL)
+// - timeoutMs:   per-attempt timeout (default 30s)
+// - maxRetries:  retries after the first attempt for retryable failures (default 4)
+// - baseDelayMs: first backoff delay, doubled per retry (default 500ms)
+// - verbose:     log every request with its status and latency
+// - logger:      where logs go (default console.error, keeping stdout clean)
+function createSubgraphClient(options = {}) {
+  const {
+    endpoint = SUBGRAPH_URL,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    verbose = false,
+    logger = console.error
+  } = options;
+
+  // One HTTP round trip; throws a SubgraphError subclass on any failure
+  async function attempt(query, variables, operation) {
+    const details = { operation, endpoint };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    let text;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/graphql-response+json, application/json',
+        },
+        body: JSON.stringify({
+          query,
+          variables
+        }),
+        signal: controller.signal
+      });
+      text = await response.text();
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new SubgraphTimeoutError(timeoutMs, { ...details, cause: error });
+      }
+      throw new SubgraphTransportError(`Network error: ${error.cause?.code || error.cause?.message || error.message}`, {
+        ...details,
+        cause: error,
+        retryable: isTransientNetworkError(error)
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const httpError = (message, body) => {
+      const error = new SubgraphTransportError(message, {
+        ...details,
+        status: response.status,
+        body,
+        retryable: isRetryableStatus(response.status)
+      });
+      error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      return error;
+    };
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Gateways and proxies answer with HTML error pages; report them instead of crashing on JSON.parse
+      throw httpError(
+        `HTTP ${response.status}: expected JSON but got ${response.headers.get('content-type') || 'unknown content'}: ${truncate(text)}`,
+        text
+      );
+    }
+
+    if (!response.ok) {
+      throw httpError(`HTTP ${response.status}${body?.errors ? ': ' + JSON.stringify(body.errors) : ''}`, body);
+    }
+
+    if (body.errors) {
+      throw new SubgraphGraphQLError(body.errors, details);
+    }
+
+    if (!body.data) {
+      throw new SubgraphTransportError('Response has neither data nor errors', {
+        ...details,
+        status: response.status,
+        body
+      });
+    }
+
+    return { data: body.data, status: response.status };
+  }
+
+  // Run a query with timeouts and retries and return its `data`
+  async function query(queryText, variables = {}) {
+    const operation = operationName(queryText);
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      const started = Date.now();
+      try {
+        const { data, status } = await attempt(queryText, variables, operation);
+        if (verbose) {
+          logger(`[subgraph] ${operation} ${status} in ${Date.now() - started}ms (attempt ${attemptNumber})`);
+        }
+        return data;
+      } catch (error) {
+        const elapsed = Date.now() - started;
+        const retryable = error instanceof SubgraphTransportError && error.retryable;
+
+        if (!retryable || attemptNumber > maxRetries) {
+          if (verbose || retryable) {
+            logger(`[subgraph] ${operation} failed after ${attemptNumber} attempt${attemptNumber === 1 ? '' : 's'} (${elapsed}ms): ${error.message}`);
+          }
+          throw error;
+        }
+
+        const delay = error.retryAfterMs != null
+          ? Math.min(error.retryAfterMs, MAX_DELAY_MS)
+          : backoffDelay(attemptNumber, baseDelayMs);
+        logger(`[subgraph] ${operation} ${error.message} (${elapsed}ms), retrying in ${delay}ms (${attemptNumber}/${maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    endpoint,
+    query
+  };
+}
+
+module.exports = {
+  SubgraphError,
+  SubgraphGraphQLError,
+  SubgraphTransportError,
+  SubgraphTimeoutError,
+  createSubgraphClient
+};
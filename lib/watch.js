@@ -0,0 +1,125 @@
+/**
+ * Watch Mode
+ * ==========
+ *
+ * Polls the subgraph for position snapshots in blocks after the last one
+ * seen and turns every new snapshot into a position event, until stopped.
+ *
+ * EVENT TYPES:
+ * ------------
+ * Each snapshot is diffed against the position's previous snapshot (see
+ * lib/snapshot-deltas.js) and classified as a mint, increase, decrease,
+ * close, collect or other event (see lib/lifecycle.js).
+ *
+ * The previous snapshot is the last one seen while watching or, for a
+ * position not seen yet, its baseline (fetchBaselineSnapshots).
+ *
+ * POLLING:
+ * --------
+ * Every poll re-reads the last WATCH_OVERLAP_BLOCKS blocks as well, so
+ * snapshots that an indexer replica exposes late are not skipped, and drops
+ * the snapshot IDs it has already emitted. A failed poll is reported and
+ * retried on the next interval rather than ending the watch.
+ */
+
+const { setTimeout: sleep } = require('node:timers/promises');
+
+const { DEFAULT_WATCH_INTERVAL_SECONDS } = require('./config');
+const { fetchPoolSnapshotsAfterBlock, fetchBaselineSnapshots, fetchIndexedBlock } = require('./fetchers');
+const { orderSnapshotsByBlock, computePositionDeltas } = require('./snapshot-deltas');
+const { classifyDelta } = require('./lifecycle');
+
+// Trailing blocks re-read on every poll
+const WATCH_OVERLAP_BLOCKS = 10;
+
+// Turn new snapshots into events, oldest first. `previousByPosition` (position ID -> snapshot)
+// supplies each position's previous snapshot and is updated as snapshots are consumed.
+function buildWatchEvents(snapshots, previousByPosition) {
+  return orderSnapshotsByBlock(snapshots).map(snapshot => {
+    const positionId = snapshot.position.id;
+    const [delta] = computePositionDeltas([snapshot], previousByPosition.get(positionId) || null);
+    previousByPosition.set(positionId, snapshot);
+    return {
+      type: classifyDelta(delta),
+      positionId,
+      owner: snapshot.owner,
+      pool: snapshot.pool,
+      ...delta
+    };
+  });
+}
+
+// Poll `poolIds` and call `onEvent(event)` for every new position event until `options.signal` aborts.
+// Starts at the subgraph's indexed head, or replays from `options.since` when given.
+// Returns the number of events emitted.
+async function watchPools(poolIds, options = {}) {
+  const {
+    signal,
+    onEvent,
+    onStart,
+    intervalMs = DEFAULT_WATCH_INTERVAL_SECONDS * 1000
+  } = options;
+  const fetchOptions = { client: options.client, endpoint: options.endpoint, quiet: true };
+
+  let cursor = -1;
+  if (options.since === undefined) {
+    cursor = (await fetchIndexedBlock(fetchOptions)).number;
+  }
+  // The overlap must not reach back before where the watch started
+  const startBlock = cursor;
+  if (onStart) {
+    await onStart({ block: startBlock });
+  }
+
+  const previousByPosition = new Map();
+  // Snapshot ID -> block of every snapshot emitted within the overlap
+  const emitted = new Map();
+  let count = 0;
+
+  while (!signal?.aborted) {
+    try {
+      const snapshots = (await fetchPoolSnapshotsAfterBlock(
+        poolIds,
+        Math.max(cursor - WATCH_OVERLAP_BLOCKS, -1),
+        { ...fetchOptions, since: options.since }
+      )).filter(snapshot => parseInt(snapshot.blockNumber) > startBlock && !emitted.has(snapshot.id));
+
+      const unseen = snapshots.filter(snapshot => !previousByPosition.has(snapshot.position.id));
+      if (unseen.length > 0) {
+        const baselines = await fetchBaselineSnapshots(unseen, fetchOptions);
+        Object.entries(baselines).forEach(([positionId, baseline]) => {
+          previousByPosition.set(positionId, baseline);
+        });
+      }
+
+      for (const event of buildWatchEvents(snapshots, previousByPosition)) {
+        await onEvent(event);
+        count++;
+        emitted.set(event.snapshot.id, parseInt(event.blockNumber));
+        cursor = Math.max(cursor, parseInt(event.blockNumber));
+      }
+
+      emitted.forEach((block, id) => {
+        if (block <= cursor - WATCH_OVERLAP_BLOCKS) {
+          emitted.delete(id);
+        }
+      });
+    } catch (error) {
+      console.error(`⚠️  Poll failed, retrying in ${Math.round(intervalMs / 1000)}s: ${error.message}`);
+    }
+
+    try {
+      await sleep(intervalMs, undefined, { signal });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  }
+
+  return count;
+}
+
+module.exports = {
+  WATCH_OVERLAP_BLOCKS,
+  buildWatchEvents,
+  watchPools
+};
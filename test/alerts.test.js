@@ -0,0 +1,273 @@
+/**
+ * Alert Tests
+ * ===========
+ *
+ * Rules file parsing, withdrawal lookback, and webhook delivery with its
+ * dedupe state, against a local HTTP receiver and a temporary state file.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  loadAlertConfig,
+  evaluateAlertRules,
+  loadAlertState,
+  saveAlertState,
+  deliverAlerts
+} = require('../lib/alerts');
+
+const NOW = 1757430000;
+const OWNER = '0x43395c11f8f81db0cee08dedd2d45c377a955387';
+
+const pool = {
+  id: '0xpool',
+  tick: '0',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', decimals: '6' },
+  token1: { id: '0xkhype', symbol: 'kHYPE', decimals: '18' }
+};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upheaval-alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Write a rules file into `dir` and load it
+function loadRules(dir, rules, fields = {}) {
+  const file = path.join(dir, 'rules.json');
+  fs.writeFileSync(file, JSON.stringify({
+    pools: [pool.id],
+    webhook: { url: 'http://127.0.0.1:1/alerts' },
+    rules,
+    ...fields
+  }));
+  return loadAlertConfig(file);
+}
+
+// Local webhook receiver answering `status`, recording each request's headers and JSON body
+async function startReceiver(t, status = 200) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body) });
+      response.statusCode = status;
+      response.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/alerts`, requests };
+}
+
+function snapshot(blockNumber, timestamp, withdrawnToken0) {
+  return {
+    id: `3822#${blockNumber}`,
+    owner: OWNER,
+    pool,
+    position: { id: '3822' },
+    transaction: { id: `0xtx${blockNumber}` },
+    blockNumber: String(blockNumber),
+    timestamp: String(timestamp),
+    liquidity: '1000',
+    depositedToken0: '1000',
+    depositedToken1: '0',
+    withdrawnToken0,
+    withdrawnToken1: '0',
+    collectedFeesToken0: '0',
+    collectedFeesToken1: '0'
+  };
+}
+
+// Position 3822 withdrew 50 USD₮0 two hours ago and 20 USD₮0 ten minutes ago
+const baseline = snapshot(10, NOW - 3 * 3600, '0');
+const snapshots = [
+  snapshot(20, NOW - 2 * 3600, '50'),
+  snapshot(30, NOW - 600, '70')
+];
+
+function withdrawalContext() {
+  return { pools: [pool], positions: [], snapshots, baselines: { 3822: baseline }, poolDayData: {}, prices: null, now: NOW };
+}
+
+const outOfRangePosition = {
+  id: '9',
+  owner: '0xother',
+  pool,
+  liquidity: '5000',
+  tickLower: { tickIdx: '1000' },
+  tickUpper: { tickIdx: '2000' }
+};
+
+test('rules files are validated and filled in with defaults', t => {
+  const dir = tempDir(t);
+
+  const config = loadRules(dir, [
+    { name: 'desk-withdrawals', type: 'withdrawal', owners: [OWNER.toUpperCase()], minAmounts: { '0xUSDT0': '10' } },
+    { name: 'slow-withdrawals', type: 'withdrawal', minUsd: '1000', lookbackMinutes: 180 },
+    { name: 'big-out-of-range', type: 'outOfRange', minLiquidity: '1' }
+  ], { dedupeMinutes: 30 });
+  assert.deepEqual(config.rules[0].owners, [OWNER]);
+  assert.deepEqual(config.rules[0].minAmounts, { '0xusdt0': '10' });
+  assert.equal(config.rules[0].lookbackSeconds, 3600);
+  assert.equal(config.rules[1].lookbackSeconds, 180 * 60);
+  assert.equal(config.dedupeSeconds, 30 * 60);
+  // Withdrawal keys outlive the dedupe window for as long as a lookback can find them again
+  assert.equal(config.retainSeconds, 180 * 60);
+  assert.equal(config.stateFile, path.join(dir, 'rules.json.state.json'));
+
+  const invalid = [
+    [[{ type: 'withdrawal', minUsd: '1' }], /has no "name"/],
+    [[{ name: 'a', type: 'bigSwap' }], /unknown type "bigSwap"/],
+    [[{ name: 'a', type: 'withdrawal' }], /needs "minAmounts" or "minUsd"/],
+    [[{ name: 'a', type: 'withdrawal', minUsd: '1', lookbackMinutes: 0 }], /positive "lookbackMinutes"/],
+    [[{ name: 'a', type: 'tvlDrop', minDropPercent: -5 }], /positive "minDropPercent"/],
+    [[{ name: 'a', type: 'outOfRange' }], /needs "minLiquidity" or "minUsd"/],
+    [[{ name: 'a', type: 'outOfRange', minLiquidity: '1' }, { name: 'a', type: 'outOfRange', minLiquidity: '2' }], /"a" is used twice/],
+    [[], /"rules" must be a non-empty array/]
+  ];
+  invalid.forEach(([rules, message]) => {
+    assert.throws(() => loadRules(dir, rules), message);
+  });
+  assert.throws(() => loadRules(dir, [{ name: 'a', type: 'outOfRange', minLiquidity: '1' }], { webhook: {} }), /missing "webhook.url"/);
+});
+
+test('withdrawal rules only look back over their own window', t => {
+  const dir = tempDir(t);
+  const config = loadRules(dir, [
+    { name: 'recent', type: 'withdrawal', minAmounts: { '0xusdt0': '10' } },
+    { name: 'three-hours', type: 'withdrawal', minAmounts: { '0xusdt0': '10' }, lookbackMinutes: 180 },
+    { name: 'big-only', type: 'withdrawal', minAmounts: { '0xusdt0': '40' }, lookbackMinutes: 180 },
+    { name: 'someone-else', type: 'withdrawal', owners: ['0xother'], minAmounts: { '0xusdt0': '10' }, lookbackMinutes: 180 }
+  ], { dedupeMinutes: 5 });
+
+  const keys = evaluateAlertRules(config.rules, withdrawalContext()).map(alert => alert.key);
+  assert.deepEqual(keys, [
+    'recent:3822#30',
+    'three-hours:3822#20',
+    'three-hours:3822#30',
+    'big-only:3822#20'
+  ]);
+});
+
+test('matches are POSTed as JSON once, then reported as duplicates', async t => {
+  t.mock.method(console, 'error', () => {});
+  const dir = tempDir(t);
+  const receiver = await startReceiver(t);
+  const config = loadRules(dir, [{ name: 'recent', type: 'withdrawal', minAmounts: { '0xusdt0': '10' } }], {
+    webhook: { url: receiver.url, headers: { 'x-token': 'abc' } }
+  });
+  const alerts = evaluateAlertRules(config.rules, withdrawalContext());
+
+  const first = await deliverAlerts(alerts, config, { now: NOW });
+  assert.deepEqual(first.map(result => result.status), ['sent']);
+  assert.equal(receiver.requests.length, 1);
+
+  const [request] = receiver.requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/alerts');
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.headers['x-token'], 'abc');
+  assert.deepEqual(request.body, {
+    rule: 'recent',
+    type: 'withdrawal',
+    key: 'recent:3822#30',
+    message: `Position 3822 (owner ${OWNER}) withdrew 20 USD₮0, 0 kHYPE (n/a) from USD₮0/kHYPE at block 30`,
+    occurredAt: new Date((NOW - 600) * 1000).toISOString(),
+    data: {
+      poolId: '0xpool',
+      positionId: '3822',
+      owner: OWNER,
+      blockNumber: '30',
+      transactionId: '0xtx30',
+      withdrawnToken0: '20',
+      withdrawnToken1: '0',
+      withdrawnUSD: null
+    }
+  });
+  assert.deepEqual(loadAlertState(config.stateFile), { sent: { 'recent:3822#30': NOW } });
+
+  const second = await deliverAlerts(alerts, config, { now: NOW + 60 });
+  assert.deepEqual(second.map(result => result.status), ['duplicate']);
+  assert.equal(receiver.requests.length, 1);
+});
+
+test('failed deliveries are not recorded, so the next run retries them', async t => {
+  t.mock.method(console, 'error', () => {});
+  const dir = tempDir(t);
+  const failing = await startReceiver(t, 500);
+  const config = loadRules(dir, [{ name: 'big-out-of-range', type: 'outOfRange', minLiquidity: '1000' }], {
+    webhook: { url: failing.url }
+  });
+  const alerts = evaluateAlertRules(config.rules, { ...withdrawalContext(), positions: [outOfRangePosition] });
+
+  const [failed] = await deliverAlerts(alerts, config, { now: NOW });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'Webhook answered HTTP 500');
+  assert.equal(failing.requests.length, 1);
+  assert.deepEqual(loadAlertState(config.stateFile), { sent: {} });
+
+  const working = await startReceiver(t);
+  const [retried] = await deliverAlerts(alerts, { ...config, webhook: { ...config.webhook, url: working.url } }, { now: NOW + 60 });
+  assert.equal(retried.status, 'sent');
+  assert.equal(working.requests[0].body.key, 'big-out-of-range:9');
+});
+
+test('dry runs neither send nor record', async t => {
+  const dir = tempDir(t);
+  const receiver = await startReceiver(t);
+  const config = loadRules(dir, [{ name: 'big-out-of-range', type: 'outOfRange', minLiquidity: '1000' }], {
+    webhook: { url: receiver.url }
+  });
+  const alerts = evaluateAlertRules(config.rules, { ...withdrawalContext(), positions: [outOfRangePosition] });
+
+  const [result] = await deliverAlerts(alerts, config, { now: NOW, dryRun: true });
+  assert.equal(result.status, 'matched');
+  assert.equal(receiver.requests.length, 0);
+  assert.equal(fs.existsSync(config.stateFile), false);
+});
+
+test('ongoing conditions are re-sent after the dedupe window, withdrawals never', async t => {
+  const dir = tempDir(t);
+  const receiver = await startReceiver(t);
+  const config = loadRules(dir, [
+    { name: 'recent', type: 'withdrawal', minAmounts: { '0xusdt0': '10' } },
+    { name: 'big-out-of-range', type: 'outOfRange', minLiquidity: '1000' }
+  ], { webhook: { url: receiver.url }, dedupeMinutes: 10 });
+  const alerts = evaluateAlertRules(config.rules, { ...withdrawalContext(), positions: [outOfRangePosition] });
+  const statuses = results => results.map(result => `${result.key} ${result.status}`);
+
+  assert.deepEqual(statuses(await deliverAlerts(alerts, config, { now: NOW })), [
+    'recent:3822#30 sent',
+    'big-out-of-range:9 sent'
+  ]);
+  assert.deepEqual(statuses(await deliverAlerts(alerts, config, { now: NOW + 5 * 60 })), [
+    'recent:3822#30 duplicate',
+    'big-out-of-range:9 duplicate'
+  ]);
+  // Past the 10 minute dedupe window but inside the withdrawal's 60 minute lookback
+  assert.deepEqual(statuses(await deliverAlerts(alerts, config, { now: NOW + 15 * 60 })), [
+    'recent:3822#30 duplicate',
+    'big-out-of-range:9 sent'
+  ]);
+  assert.equal(receiver.requests.length, 3);
+});
+
+test('saved state forgets keys once the retention window has passed', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'state.json');
+
+  saveAlertState(file, { sent: { old: NOW - 3600, recent: NOW - 3599 } }, 3600, NOW);
+  assert.deepEqual(loadAlertState(file), { sent: { recent: NOW - 3599 } });
+  assert.deepEqual(loadAlertState(path.join(dir, 'missing.json')), { sent: {} });
+});
@@ -0,0 +1,96 @@
+/**
+ * Fee APR Tests
+ * =============
+ *
+ * Pool APR from day volume, fee tier and TVL, and position APR from fees over
+ * the time-weighted value of its liquidity while it was active.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseUnits, ratio } = require('../lib/decimal');
+const { buildPriceBook, PRICE_DECIMALS } = require('../lib/pricing');
+const {
+  SECONDS_PER_YEAR,
+  computePoolFeeApr,
+  computeLiquidityExposure,
+  computePositionFeeApr
+} = require('../lib/apr');
+
+const DAY = 1757376000;
+const HOUR = 3600;
+
+function usd(value) {
+  return parseUnits(value, PRICE_DECIMALS);
+}
+
+const pool = {
+  id: '0xpool',
+  feeTier: '3000',
+  totalValueLockedUSD: '1000',
+  sqrtPrice: '79228162514264337593543950336',
+  tick: '0',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', decimals: '6' },
+  token1: { id: '0xusdc', symbol: 'USDC', decimals: '6' }
+};
+
+const book = buildPriceBook(
+  { ethPriceUSD: '1' },
+  [{ id: '0xusdt0', derivedETH: '1' }, { id: '0xusdc', derivedETH: '1' }]
+);
+
+// 1000 liquidity for an hour, 3000 for an hour, then closed
+const history = [
+  { id: '1#1', blockNumber: '1', timestamp: String(DAY), liquidity: '1000' },
+  { id: '1#2', blockNumber: '2', timestamp: String(DAY + HOUR), liquidity: '3000' },
+  { id: '1#3', blockNumber: '3', timestamp: String(DAY + 2 * HOUR), liquidity: '0' }
+];
+
+test('pool APR annualizes fee revenue over TVL', () => {
+  const result = computePoolFeeApr(pool, [{ volumeUSD: '1000' }], DAY + 600, DAY + 86400);
+
+  assert.equal(result.seconds, 86400);
+  assert.equal(result.fees, usd('3'));
+  assert.equal(result.tvl, usd('1000'));
+  assert.ok(Math.abs(result.apr - 109.5) < 1e-9);
+});
+
+test('pool APR is null without TVL', () => {
+  const result = computePoolFeeApr({ ...pool, totalValueLockedUSD: '0' }, [], DAY, DAY + 86400);
+  assert.equal(result.apr, null);
+});
+
+test('liquidity exposure counts only time with liquidity, weighted by it', () => {
+  const exposure = computeLiquidityExposure(history, DAY + 86400);
+  assert.equal(exposure.seconds, 2 * HOUR);
+  assert.equal(exposure.averageLiquidity, 2000n);
+});
+
+test('position APR uses fees net of withdrawn principal over the active time', () => {
+  const position = {
+    id: '1',
+    pool,
+    liquidity: '0',
+    tickLower: { tickIdx: '-60' },
+    tickUpper: { tickIdx: '60' },
+    withdrawnToken0: '90',
+    withdrawnToken1: '0',
+    collectedFeesToken0: '95',
+    collectedFeesToken1: '95'
+  };
+  const result = computePositionFeeApr(position, history, book, DAY + 86400);
+
+  assert.equal(result.seconds, 2 * HOUR);
+  assert.equal(result.averageLiquidity, 2000n);
+  assert.equal(result.fees, usd('5'));
+  assert.ok(result.averageValue > 0n);
+  const expected = ratio(result.fees, result.averageValue) * (SECONDS_PER_YEAR / (2 * HOUR)) * 100;
+  assert.ok(Math.abs(result.apr - expected) < 1e-6 * expected);
+});
+
+test('position APR is null without history', () => {
+  assert.equal(computePositionFeeApr({ id: '1', pool }, [], book), null);
+});
@@ -0,0 +1,53 @@
+/**
+ * Decimal Tests
+ * =============
+ *
+ * Exact parsing and formatting of the subgraph's decimal strings as BigInt
+ * base units.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseUnits, formatUnits, formatAmount, formatTokenAmount, divRound } = require('../lib/decimal');
+
+test('parseUnits reads decimal strings into exact base units', () => {
+  assert.equal(parseUnits('535.918341', 6), 535918341n);
+  assert.equal(parseUnits('1301.989886', 18), 1301989886000000000000n);
+  assert.equal(parseUnits('0.000000000000000001', 18), 1n);
+  assert.equal(parseUnits('-1.5', 6), -1500000n);
+  assert.equal(parseUnits('1e-6', 6), 1n);
+  assert.equal(parseUnits(undefined, 6), 0n);
+  assert.throws(() => parseUnits('abc', 6));
+});
+
+test('formatUnits writes base units back without trailing zeros', () => {
+  assert.equal(formatUnits(535918341n, 6), '535.918341');
+  assert.equal(formatUnits(1500000n, 6), '1.5');
+  assert.equal(formatUnits(1n, 18), '0.000000000000000001');
+  assert.equal(formatUnits(-1500000n, 6), '-1.5');
+  assert.equal(formatUnits(0n, 6), '0');
+  assert.equal(formatUnits(parseUnits('33553.002435', 6), 6), '33553.002435');
+});
+
+test('divRound rounds half away from zero', () => {
+  assert.equal(divRound(5n, 2n), 3n);
+  assert.equal(divRound(4n, 3n), 1n);
+  assert.equal(divRound(-5n, 2n), -3n);
+});
+
+test('formatAmount rounds to significant digits, keeping every integer digit', () => {
+  assert.equal(formatAmount(0n, 6), '0');
+  assert.equal(formatAmount(parseUnits('1301.989886', 18), 18), '1301.989886');
+  assert.equal(formatAmount(parseUnits('0.1234567890126', 18), 18), '0.123456789013');
+  assert.equal(formatAmount(parseUnits('1234567890123456.5', 6), 6), '1234567890123457');
+});
+
+test('formatTokenAmount takes decimal strings or base units at the token\'s decimals', () => {
+  const usdt0 = { symbol: 'USD₮0', decimals: '6' };
+  assert.equal(formatTokenAmount('503.938874', usdt0), '503.938874');
+  assert.equal(formatTokenAmount(31979467n, usdt0), '31.979467');
+  assert.equal(formatTokenAmount(10n ** 18n, { symbol: 'kHYPE' }), '1');
+});
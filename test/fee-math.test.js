@@ -0,0 +1,58 @@
+/**
+ * Fee Math Tests
+ * ==============
+ *
+ * The mod-2^256 fee growth math behind the uncollected fee estimate, checked
+ * the way the pool contract computes it.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Q128,
+  getFeeGrowthInside,
+  computeUncollectedFees,
+  sumUncollectedFees
+} = require('../lib/fee-math');
+
+const UINT256 = 2n ** 256n;
+
+test('getFeeGrowthInside wraps modulo 2^256 like the pool contract', () => {
+  const tickLower = { tickIdx: '-10', feeGrowthOutside0X128: '15', feeGrowthOutside1X128: '0' };
+  const tickUpper = { tickIdx: '10', feeGrowthOutside0X128: '0', feeGrowthOutside1X128: '0' };
+
+  // In range: global - lowerOutside - upperOutside = 10 - 15 - 0
+  const inRange = { tick: '0', feeGrowthGlobal0X128: '10', feeGrowthGlobal1X128: '0' };
+  assert.equal(getFeeGrowthInside(inRange, tickLower, tickUpper, 0), UINT256 - 5n);
+
+  // Below the range: below = global - lowerOutside wraps to 2^256 - 5, so inside = 10 - (2^256 - 5) = 15
+  const below = { ...inRange, tick: '-20' };
+  assert.equal(getFeeGrowthInside(below, tickLower, tickUpper, 0), 15n);
+
+  // Above the range: above = global - upperOutside
+  const above = { tick: '20', feeGrowthGlobal0X128: '10', feeGrowthGlobal1X128: '0' };
+  const upperAbove = { ...tickUpper, feeGrowthOutside0X128: '12' };
+  const lowerAbove = { ...tickLower, feeGrowthOutside0X128: '3' };
+  assert.equal(getFeeGrowthInside(above, lowerAbove, upperAbove, 0), 9n);
+});
+
+test('computeUncollectedFees subtracts the last fee growth across the wrap', () => {
+  const pool = { tick: '0', feeGrowthGlobal0X128: '10', feeGrowthGlobal1X128: '0' };
+  const position = {
+    liquidity: '3',
+    feeGrowthInside0LastX128: (UINT256 - 5n - 2n * Q128).toString(),
+    feeGrowthInside1LastX128: '0',
+    tickLower: { tickIdx: '-10', feeGrowthOutside0X128: '15', feeGrowthOutside1X128: '0' },
+    tickUpper: { tickIdx: '10', feeGrowthOutside0X128: '0', feeGrowthOutside1X128: '0' }
+  };
+
+  // Inside is 2^256 - 5, so the growth since the last update is 2 * 2^128 per unit of liquidity
+  assert.deepEqual(computeUncollectedFees(position, pool), { amount0: 6n, amount1: 0n });
+  assert.equal(computeUncollectedFees({ liquidity: '1' }, pool), null);
+
+  // Positions without fee growth data are left out of the sum
+  assert.deepEqual(sumUncollectedFees([position, { liquidity: '1' }], pool), { amount0: 6n, amount1: 0n });
+});
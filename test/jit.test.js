@@ -0,0 +1,130 @@
+/**
+ * JIT Tests
+ * =========
+ *
+ * Episodes of continuous liquidity and the JIT / short-lived flags, including
+ * liquidity minted and burned within one block, which the subgraph records
+ * as a single snapshot.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPositionAggregates } = require('../lib/snapshot-deltas');
+const { buildPositionLifecycle } = require('../lib/lifecycle');
+const { opensAndCloses, findLiquidityEpisodes, buildJitReport } = require('../lib/jit');
+
+const pool = {
+  id: '0xpool',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', decimals: '6' },
+  token1: { id: '0xkhype', symbol: 'kHYPE', decimals: '18' }
+};
+
+function snapshot(positionId, block, fields) {
+  return {
+    id: `${positionId}#${block}`,
+    owner: '0xjit',
+    pool,
+    position: { id: positionId, tickLower: { tickIdx: '-60' }, tickUpper: { tickIdx: '60' } },
+    blockNumber: String(block),
+    timestamp: String(1757400000 + block * 2),
+    liquidity: '0',
+    depositedToken0: '0',
+    depositedToken1: '0',
+    withdrawnToken0: '0',
+    withdrawnToken1: '0',
+    collectedFeesToken0: '0',
+    collectedFeesToken1: '0',
+    ...fields
+  };
+}
+
+function aggregateOf(snapshots, baselines) {
+  return buildPositionAggregates(snapshots, baselines)[0];
+}
+
+// Minted and burned in block 100: one snapshot with deposits, withdrawals and no liquidity
+const sameBlock = snapshot('1', 100, {
+  depositedToken0: '1000',
+  withdrawnToken0: '1000',
+  collectedFeesToken0: '1002',
+  collectedFeesToken1: '1002'
+});
+
+const closedBefore = snapshot('2', 90, {
+  depositedToken0: '50',
+  withdrawnToken0: '50',
+  collectedFeesToken0: '51',
+  collectedFeesToken1: '51'
+});
+
+test('a single snapshot minting and burning in one block is a JIT episode', () => {
+  const [event] = buildPositionLifecycle(aggregateOf([sameBlock])).events;
+  assert.equal(opensAndCloses(event), true);
+
+  const [episode] = findLiquidityEpisodes(aggregateOf([sameBlock]));
+  assert.equal(episode.opened, episode.closed);
+  assert.equal(episode.blocks, 0);
+  assert.equal(episode.lifetime, 0);
+  assert.equal(episode.fees0, 2000000n);
+
+  const report = buildJitReport([aggregateOf([sameBlock])], [pool], null, { maxLifetime: 600 });
+  assert.equal(report.episodes.length, 1);
+  assert.equal(report.episodes[0].jit, true);
+  assert.equal(report.pools[0].jit, 1);
+  assert.equal(report.owners[0].owner, '0xjit');
+});
+
+test('a deposit that reopens a closed position and keeps its liquidity is not JIT', () => {
+  const reopened = snapshot('2', 101, {
+    liquidity: '500',
+    depositedToken0: '80',
+    withdrawnToken0: '50',
+    collectedFeesToken0: '51',
+    collectedFeesToken1: '51'
+  });
+  const aggregate = aggregateOf([reopened], { 2: closedBefore });
+  const [event] = buildPositionLifecycle(aggregate).events;
+  assert.equal(opensAndCloses(event), false);
+
+  const [episode] = findLiquidityEpisodes(aggregate);
+  assert.deepEqual(episode.opened, event);
+  assert.equal(episode.closed, null);
+  assert.equal(buildJitReport([aggregate], [pool], null, { maxLifetime: 600 }).episodes.length, 0);
+});
+
+test('a Collect on a closed position opens nothing', () => {
+  const collected = snapshot('2', 102, {
+    depositedToken0: '50',
+    withdrawnToken0: '50',
+    collectedFeesToken0: '53',
+    collectedFeesToken1: '53'
+  });
+  const aggregate = aggregateOf([collected], { 2: closedBefore });
+  const [event] = buildPositionLifecycle(aggregate).events;
+  assert.equal(opensAndCloses(event), false);
+
+  const [episode] = findLiquidityEpisodes(aggregate);
+  assert.equal(episode.opened, null);
+  assert.equal(episode.lifetime, null);
+});
+
+test('liquidity held across blocks is flagged by lifetime only', () => {
+  const minted = snapshot('3', 100, { liquidity: '500', depositedToken0: '100' });
+  const closed = snapshot('3', 200, {
+    depositedToken0: '100',
+    withdrawnToken0: '100',
+    collectedFeesToken0: '101',
+    collectedFeesToken1: '101'
+  });
+  const aggregate = aggregateOf([closed, minted]);
+
+  const [shortLived] = buildJitReport([aggregate], [pool], null, { maxLifetime: 600 }).episodes;
+  assert.equal(shortLived.jit, false);
+  assert.equal(shortLived.shortLived, true);
+  assert.equal(shortLived.lifetime, 200);
+
+  assert.equal(buildJitReport([aggregate], [pool], null, { maxLifetime: 100 }).episodes.length, 0);
+});
@@ -0,0 +1,108 @@
+/**
+ * Position Lifecycle Tests
+ * ========================
+ *
+ * Typed events and the one line story of a position, opened in the window
+ * or before it, including a Collect that only pays out burned principal.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPositionAggregates } = require('../lib/snapshot-deltas');
+const {
+  MINT,
+  INCREASE,
+  DECREASE,
+  CLOSE,
+  COLLECT,
+  buildPositionLifecycle,
+  describeLifecycle
+} = require('../lib/lifecycle');
+
+const pool = {
+  id: '0xpool',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', decimals: '6' },
+  token1: { id: '0xkhype', symbol: 'kHYPE', decimals: '18' }
+};
+
+function snapshot(block, fields) {
+  return {
+    id: `7#${block}`,
+    owner: '0xowner',
+    pool,
+    position: { id: '7', tickLower: { tickIdx: '6000' }, tickUpper: { tickIdx: '8000' } },
+    blockNumber: String(block),
+    timestamp: String(1757400000 + block),
+    transaction: { id: `0xtx${block}` },
+    liquidity: '0',
+    depositedToken0: '0',
+    depositedToken1: '0',
+    withdrawnToken0: '0',
+    withdrawnToken1: '0',
+    collectedFeesToken0: '0',
+    collectedFeesToken1: '0',
+    ...fields
+  };
+}
+
+const minted = snapshot(10, { liquidity: '100', depositedToken0: '100' });
+const increased = snapshot(20, { liquidity: '150', depositedToken0: '150' });
+// Burn: principal moves to tokens owed, nothing collected yet
+const decreased = snapshot(30, { liquidity: '50', depositedToken0: '150', withdrawnToken0: '100' });
+// Collect of the burned principal only: no fees, no new withdrawal
+const principalCollected = snapshot(40, {
+  liquidity: '50',
+  depositedToken0: '150',
+  withdrawnToken0: '100',
+  collectedFeesToken0: '100',
+  collectedFeesToken1: '100'
+});
+const closed = snapshot(50, {
+  liquidity: '0',
+  depositedToken0: '150',
+  withdrawnToken0: '150',
+  collectedFeesToken0: '152',
+  collectedFeesToken1: '152'
+});
+
+function lifecycleOf(snapshots, baselines) {
+  const [aggregate] = buildPositionAggregates(snapshots, baselines);
+  return buildPositionLifecycle(aggregate);
+}
+
+test('a position opened and closed in the window', () => {
+  const lifecycle = lifecycleOf([closed, principalCollected, decreased, increased, minted]);
+
+  assert.deepEqual(lifecycle.events.map(event => event.type), [MINT, INCREASE, DECREASE, COLLECT, CLOSE]);
+  assert.equal(lifecycle.opened.blockNumber, '10');
+  assert.equal(lifecycle.closed.transactionId, '0xtx50');
+  assert.equal(lifecycle.open, false);
+  assert.equal(
+    describeLifecycle(lifecycle),
+    'opened at block 10 with range 6000 to 8000 (liquidity 100), added 50 liquidity once, ' +
+      'removed 100 liquidity once, collected once, closed at block 50'
+  );
+});
+
+test('a Collect of burned principal alone is still a collect', () => {
+  const lifecycle = lifecycleOf([principalCollected], { 7: decreased });
+  const [event] = lifecycle.events;
+
+  assert.equal(event.type, COLLECT);
+  assert.equal(event.fees0, 0n);
+  assert.equal(event.withdrawn0, 0n);
+});
+
+test('a position with a baseline was opened before the window', () => {
+  const lifecycle = lifecycleOf([increased], { 7: minted });
+
+  assert.equal(lifecycle.opened, null);
+  assert.equal(lifecycle.open, true);
+  assert.equal(
+    describeLifecycle(lifecycle),
+    'opened before the window with range 6000 to 8000, added 50 liquidity once, still open'
+  );
+});
@@ -0,0 +1,70 @@
+/**
+ * Liquidity Math Tests
+ * ====================
+ *
+ * The TickMath / LiquidityAmounts port, checked against the Uniswap v3
+ * reference values.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Q96,
+  MIN_TICK,
+  MAX_TICK,
+  getSqrtRatioAtTick,
+  getAmountsForLiquidity,
+  computePositionAmounts,
+  sumPositionAmounts
+} = require('../lib/liquidity-math');
+
+function sqrtBigInt(value) {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+// encodePriceSqrt of the Uniswap v3 tests: sqrt(reserve1 / reserve0) as Q64.96
+function encodePriceSqrt(reserve1, reserve0) {
+  return sqrtBigInt((BigInt(reserve1) << 192n) / BigInt(reserve0));
+}
+
+test('getSqrtRatioAtTick matches TickMath at the bounds and at 0', () => {
+  assert.equal(getSqrtRatioAtTick(MIN_TICK), 4295128739n);
+  assert.equal(getSqrtRatioAtTick(MAX_TICK), 1461446703485210103287273052203988822378723970342n);
+  assert.equal(getSqrtRatioAtTick(0), Q96);
+  assert.equal(getSqrtRatioAtTick(50), 79426470787362580746886972461n);
+});
+
+test('getAmountsForLiquidity matches LiquidityAmounts below, inside and above the range', () => {
+  const lower = encodePriceSqrt(100, 110);
+  const upper = encodePriceSqrt(110, 100);
+
+  assert.deepEqual(getAmountsForLiquidity(encodePriceSqrt(99, 110), lower, upper, 1048n), { amount0: 99n, amount1: 0n });
+  assert.deepEqual(getAmountsForLiquidity(encodePriceSqrt(1, 1), lower, upper, 2148n), { amount0: 99n, amount1: 99n });
+  assert.deepEqual(getAmountsForLiquidity(encodePriceSqrt(111, 100), lower, upper, 2097n), { amount0: 0n, amount1: 199n });
+  // Range bounds in either order
+  assert.deepEqual(getAmountsForLiquidity(encodePriceSqrt(1, 1), upper, lower, 2148n), { amount0: 99n, amount1: 99n });
+});
+
+test('positions hold nothing without liquidity or a pool price, and sum per token', () => {
+  const pool = { sqrtPrice: Q96.toString(), tick: '0' };
+  const position = { liquidity: '1000000', tickLower: { tickIdx: '-60' }, tickUpper: { tickIdx: '60' } };
+  const held = computePositionAmounts(position, pool);
+
+  assert.ok(held.amount0 > 0n && held.amount1 > 0n);
+  assert.deepEqual(computePositionAmounts({ ...position, liquidity: '0' }, pool), { amount0: 0n, amount1: 0n });
+  assert.deepEqual(computePositionAmounts(position, { ...pool, sqrtPrice: '0' }), { amount0: 0n, amount1: 0n });
+  assert.deepEqual(sumPositionAmounts([position, position], pool), {
+    amount0: held.amount0 * 2n,
+    amount1: held.amount1 * 2n
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Output Tests
+ * ============
+ *
+ * Row flattening and CSV formatting of the export data sets.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DATASETS, toRows, buildDatasets, formatCsv } = require('../lib/output');
+
+const pool = {
+  id: '0xpool',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', name: 'USD₮0', decimals: '6' },
+  token1: { id: '0xkhype', symbol: 'kHYPE', name: 'Kinetiq Staked HYPE', decimals: '18' }
+};
+
+const snapshot = {
+  id: '3822#13393336',
+  owner: '0x43395c11f8f81db0cee08dedd2d45c377a955387',
+  pool,
+  position: { id: '3822', tickLower: { tickIdx: '-276400' }, tickUpper: { tickIdx: '-276200' } },
+  blockNumber: '13393336',
+  timestamp: '1757426344',
+  transaction: { id: '0xtx' },
+  liquidity: '122246238386206363',
+  depositedToken0: '33553.002435',
+  depositedToken1: '1301.989886',
+  withdrawnToken0: '503.938874',
+  withdrawnToken1: '28.917271',
+  collectedFeesToken0: '535.918341',
+  collectedFeesToken1: '535.918341'
+};
+
+test('rows carry exactly the data set columns, in order', () => {
+  const [row] = toRows('snapshots', [snapshot]);
+
+  assert.deepEqual(Object.keys(row), DATASETS.snapshots.columns);
+  assert.equal(row.datetime, '2025-09-09T13:59:04.000Z');
+  assert.equal(row.transactionId, '0xtx');
+  assert.equal(row.tickLower, '-276400');
+});
+
+test('snapshot rows keep the raw Collect totals next to the fees alone', () => {
+  const [row] = toRows('snapshots', [snapshot]);
+
+  assert.equal(row.collectedFeesToken0, '535.918341');
+  assert.equal(row.collectedFeesToken1, '535.918341');
+  assert.equal(row.feesToken0, '31.979467');
+  assert.equal(row.feesToken1, '0');
+  assert.equal(row.feesToken1Ignored, true);
+});
+
+test('buildDatasets skips missing data sets and rejects unknown ones', () => {
+  const datasets = buildDatasets({ pools: [pool], snapshots: undefined });
+
+  assert.deepEqual(Object.keys(datasets), ['pools']);
+  assert.equal(datasets.pools[0].token1Symbol, 'kHYPE');
+  assert.throws(() => buildDatasets({ swaps: [] }), /Unknown data set: swaps/);
+});
+
+test('CSV quotes separators and leaves missing values empty', () => {
+  const [row] = toRows('pools', [{ ...pool, token1: { ...pool.token1, name: 'Kinetiq, "Staked" HYPE' } }]);
+  const [header, line] = formatCsv('pools', [row]).trimEnd().split('\n');
+
+  assert.equal(header, DATASETS.pools.columns.join(','));
+  assert.ok(line.includes('"Kinetiq, ""Staked"" HYPE"'));
+  assert.ok(line.endsWith(',,,,,,'));
+});
@@ -0,0 +1,117 @@
+/**
+ * PnL Tests
+ * =========
+ *
+ * PnL versus HODL of a closed USD₮0/kHYPE position and its owner summary,
+ * with deposits valued at their day's price and everything else at current
+ * prices.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseUnits } = require('../lib/decimal');
+const { buildPriceBook, PRICE_DECIMALS } = require('../lib/pricing');
+const { CLOSED, computePositionPnl, summarizeOwnerPnl } = require('../lib/pnl');
+
+const DAY = 1757376000;
+
+const pool = {
+  id: '0xpool',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', decimals: '6' },
+  token1: { id: '0xkhype', symbol: 'kHYPE', decimals: '18' }
+};
+
+// USD₮0 at $1 throughout; kHYPE at $30 on the deposit day and $40 now
+const book = buildPriceBook(
+  { ethPriceUSD: '40' },
+  [{ id: '0xusdt0', derivedETH: '0.025' }, { id: '0xkhype', derivedETH: '1' }],
+  [
+    { date: DAY, priceUSD: '1', token: { id: '0xusdt0' } },
+    { date: DAY, priceUSD: '30', token: { id: '0xkhype' } }
+  ]
+);
+
+function usd(value) {
+  return parseUnits(value, PRICE_DECIMALS);
+}
+
+// Closed: 100 USD₮0 + 1 kHYPE in, 90 USD₮0 + 1.5 kHYPE out, and a Collect of
+// 95 USD₮0 that pays out the 90 withdrawn plus 5 of fees
+const position = {
+  id: '3822',
+  owner: '0xowner',
+  pool,
+  liquidity: '0',
+  tickLower: { tickIdx: '-60' },
+  tickUpper: { tickIdx: '60' },
+  depositedToken0: '100',
+  depositedToken1: '1',
+  withdrawnToken0: '90',
+  withdrawnToken1: '1.5',
+  collectedFeesToken0: '95',
+  collectedFeesToken1: '95'
+};
+
+const history = [{
+  id: '3822#1',
+  pool,
+  position: { id: '3822' },
+  blockNumber: '1',
+  timestamp: String(DAY + 60),
+  liquidity: '1000',
+  depositedToken0: '100',
+  depositedToken1: '1',
+  withdrawnToken0: '0',
+  withdrawnToken1: '0',
+  collectedFeesToken0: '0',
+  collectedFeesToken1: '0'
+}];
+
+test('PnL splits into fee income, impermanent loss and price movement', () => {
+  const pnl = computePositionPnl(position, history, book);
+
+  assert.equal(pnl.status, CLOSED);
+  assert.equal(pnl.costBasis, usd('130'));
+  assert.equal(pnl.hodlValue, usd('140'));
+  assert.equal(pnl.currentValue, 0n);
+  assert.equal(pnl.withdrawnValue, usd('150'));
+  assert.equal(pnl.lpValue, usd('155'));
+  assert.equal(pnl.pnl, usd('25'));
+  assert.equal(pnl.impermanentLoss, usd('10'));
+  assert.equal(pnl.priceMovement, usd('10'));
+  assert.equal(pnl.pnl, pnl.feeIncome + pnl.impermanentLoss + pnl.priceMovement);
+  assert.ok(Math.abs(pnl.pnlPercent - 25 / 130 * 100) < 1e-9);
+});
+
+test('fee income leaves out the withdrawn principal paid out by the Collect', () => {
+  const pnl = computePositionPnl(position, history, book);
+
+  assert.deepEqual(pnl.tokens.collected, { amount0: 5000000n, amount1: 0n, token1Ignored: true });
+  assert.equal(pnl.feeIncome, usd('5'));
+});
+
+test('without history the cost basis and everything built on it is null', () => {
+  const pnl = computePositionPnl(position, undefined, book);
+
+  assert.equal(pnl.costBasis, null);
+  assert.equal(pnl.pnl, null);
+  assert.equal(pnl.pnlPercent, null);
+  assert.equal(pnl.impermanentLoss, usd('10'));
+});
+
+test('owner summaries add up positions and stay null when one is unpriced', () => {
+  const priced = computePositionPnl(position, history, book);
+  const [summary] = summarizeOwnerPnl([priced, priced]);
+
+  assert.equal(summary.owner, '0xowner');
+  assert.equal(summary.positions, 2);
+  assert.equal(summary.closed, 2);
+  assert.equal(summary.pnl, usd('50'));
+
+  const [partial] = summarizeOwnerPnl([priced, computePositionPnl(position, undefined, book)]);
+  assert.equal(partial.costBasis, null);
+  assert.equal(partial.feeIncome, usd('10'));
+});
@@ -0,0 +1,54 @@
+/**
+ * Range Status Tests
+ * ==================
+ *
+ * In / below / above range tagging against the pool's current tick and the
+ * in-range share of liquidity.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  IN_RANGE,
+  BELOW_RANGE,
+  ABOVE_RANGE,
+  getRangeStatus,
+  summarizeRangeStatus,
+  isOutOfRange
+} = require('../lib/range-status');
+
+function position(tickLower, tickUpper, liquidity = '100') {
+  return { liquidity, tickLower: { tickIdx: String(tickLower) }, tickUpper: { tickIdx: String(tickUpper) } };
+}
+
+test('the lower tick is inside the range and the upper tick is not', () => {
+  assert.equal(getRangeStatus(position(-60, 60), { tick: '-60' }).status, IN_RANGE);
+  assert.equal(getRangeStatus(position(-60, 60), { tick: '-61' }).status, BELOW_RANGE);
+  assert.equal(getRangeStatus(position(-60, 60), { tick: '60' }).status, ABOVE_RANGE);
+  assert.equal(isOutOfRange(position(-60, 60), { tick: '59' }), false);
+});
+
+test('distance is to the bound that brings an out-of-range position back', () => {
+  assert.equal(getRangeStatus(position(100, 200), { tick: '40' }).ticksToBound, 60);
+  assert.equal(getRangeStatus(position(100, 200), { tick: '250' }).ticksToBound, -51);
+  assert.equal(getRangeStatus(position(-60, 60), { tick: '50' }).ticksToBound, 10);
+
+  const { pricePercentToBound } = getRangeStatus(position(100, 200), { tick: '99' });
+  assert.ok(Math.abs(pricePercentToBound - 0.01) < 1e-9);
+});
+
+test('the in-range share counts liquidity, not positions', () => {
+  const summary = summarizeRangeStatus(
+    [position(-60, 60, '300'), position(60, 120, '100'), position(-120, -60, '100')],
+    { tick: '0' }
+  );
+
+  assert.equal(summary.totalLiquidity, 500n);
+  assert.equal(summary.inRangeLiquidity, 300n);
+  assert.equal(summary.byStatus[BELOW_RANGE].count, 1);
+  assert.equal(summary.byStatus[ABOVE_RANGE].liquidity, 100n);
+  assert.ok(Math.abs(summary.inRangeShare - 0.6) < 1e-9);
+});
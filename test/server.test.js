@@ -0,0 +1,148 @@
+/**
+ * API Server Tests
+ * ================
+ *
+ * Routes, filters and error statuses of the HTTP API, with the server on a
+ * free local port and stub fetchers in place of the subgraph.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApiServer } = require('../lib/server');
+const { NotFoundError } = require('../lib/fetchers');
+const { SubgraphTransportError } = require('../lib/subgraph-client');
+
+const OWNER = '0x43395c11f8f81db0cee08dedd2d45c377a955387';
+
+const pool = {
+  id: '0xpool',
+  feeTier: '3000',
+  tick: '0',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', decimals: '6' },
+  token1: { id: '0xkhype', symbol: 'kHYPE', decimals: '18' }
+};
+
+function position(id, owner, tickLower, tickUpper, liquidity) {
+  return {
+    id,
+    owner,
+    pool,
+    liquidity,
+    tickLower: { tickIdx: String(tickLower) },
+    tickUpper: { tickIdx: String(tickUpper) }
+  };
+}
+
+const positions = [
+  position('3822', OWNER, -100, 100, '5000'),
+  position('9', '0xother', 1000, 2000, '100')
+];
+
+// Stub fetchers over the fixtures above, counting calls per fetcher
+function stubSource() {
+  const calls = {};
+  const count = (name, result) => async (...args) => {
+    calls[name] = [...(calls[name] || []), args];
+    return result(...args);
+  };
+  const source = {
+    fetchPoolInfo: count('fetchPoolInfo', poolId => {
+      if (poolId !== pool.id) throw new NotFoundError(`Pool ${poolId} not found`);
+      return pool;
+    }),
+    fetchCurrentPositions: count('fetchCurrentPositions', () => positions),
+    fetchPositionSnapshots: count('fetchPositionSnapshots', () => []),
+    fetchTokenPools: count('fetchTokenPools', () => {
+      throw new SubgraphTransportError('Subgraph answered HTTP 503', { status: 503 });
+    }),
+    fetchOwnerPositions: count('fetchOwnerPositions', () => positions.filter(item => item.owner === OWNER))
+  };
+  return { source, calls };
+}
+
+// Start a server with stub fetchers on a free port
+async function startServer(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const { source, calls } = stubSource();
+  const server = createApiServer({ source, cacheTtlMs: 60000 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (path, init) => {
+    const response = await fetch(`${base}${path}`, init);
+    return { status: response.status, body: await response.json() };
+  };
+  return { request, calls };
+}
+
+test('health and pool routes answer with JSON rows', async t => {
+  const { request, calls } = await startServer(t);
+
+  assert.deepEqual(await request('/health'), { status: 200, body: { status: 'ok' } });
+
+  const { status, body } = await request('/pools/0xPOOL/');
+  assert.equal(status, 200);
+  assert.equal(body.pool.poolId, '0xpool');
+  assert.equal(body.pool.token0Symbol, 'USD₮0');
+  assert.equal(calls.fetchPoolInfo[0][0], '0xpool');
+});
+
+test('pool positions are filtered by owner, range and liquidity', async t => {
+  const { request, calls } = await startServer(t);
+  const ids = async path => (await request(path)).body.positions.map(row => row.positionId);
+
+  assert.deepEqual(await ids('/pools/0xpool/positions'), ['3822', '9']);
+  assert.deepEqual(await ids(`/pools/0xpool/positions?owner=${OWNER.toUpperCase()}`), ['3822']);
+  assert.deepEqual(await ids('/pools/0xpool/positions?outOfRange=true'), ['9']);
+  assert.deepEqual(await ids('/pools/0xpool/positions?minLiquidity=1000'), ['3822']);
+  // Filters share the cached fetch
+  assert.equal(calls.fetchCurrentPositions.length, 1);
+
+  const [row] = (await request('/pools/0xpool/positions?outOfRange=1')).body.positions;
+  assert.equal(row.rangeStatus, 'below-range');
+});
+
+test('owner positions take a status and pool filter', async t => {
+  const { request } = await startServer(t);
+
+  const { body } = await request(`/owners/${OWNER}/positions?status=all&pool=0xPOOL`);
+  assert.deepEqual(body.positions.map(row => row.positionId), ['3822']);
+  assert.deepEqual(await request(`/owners/${OWNER}/positions?status=gone`), {
+    status: 400,
+    body: { error: 'Invalid status value: gone (expected open, closed, all)' }
+  });
+});
+
+test('malformed path encoding is a 400, not a server error', async t => {
+  const { request, calls } = await startServer(t);
+
+  assert.deepEqual(await request('/pools/%E0%A4%A'), {
+    status: 400,
+    body: { error: 'Invalid path segment: %E0%A4%A' }
+  });
+  assert.equal((await request('/owners/%ZZ/positions')).status, 400);
+  assert.equal(calls.fetchPoolInfo, undefined);
+
+  // Well-formed encoding is still decoded
+  assert.equal((await request('/pools/0x%70ool')).body.pool.poolId, '0xpool');
+});
+
+test('errors map to 400, 404, 405 and 502', async t => {
+  const { request } = await startServer(t);
+
+  assert.deepEqual(await request('/pools/0xpool/positions?minLiquidity=-1'), {
+    status: 400,
+    body: { error: 'Invalid minLiquidity value: -1' }
+  });
+  assert.equal((await request('/pools/0xpool/snapshots?days=0')).status, 400);
+  assert.equal((await request('/tokens/kHYPE/pools?feeTier=low')).status, 400);
+  assert.deepEqual(await request('/pools/0xmissing'), { status: 404, body: { error: 'Pool 0xmissing not found' } });
+  assert.deepEqual(await request('/nowhere'), { status: 404, body: { error: 'No route for /nowhere' } });
+  assert.deepEqual(await request('/health', { method: 'POST' }), { status: 405, body: { error: 'Method POST not allowed' } });
+  assert.deepEqual(await request('/tokens/kHYPE/pools'), { status: 502, body: { error: 'Subgraph answered HTTP 503' } });
+});
@@ -0,0 +1,106 @@
+/**
+ * Snapshot Delta Tests
+ * ====================
+ *
+ * Deltas and fees of position 3822 in the USD₮0/kHYPE pool, from the
+ * snapshots in logs.txt.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPositionAggregates, computeCollectedFees } = require('../lib/snapshot-deltas');
+
+const pool = {
+  id: '0xpool',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', decimals: '6' },
+  token1: { id: '0xkhype', symbol: 'kHYPE', decimals: '18' }
+};
+
+function snapshot(fields) {
+  return {
+    id: `3822#${fields.blockNumber}`,
+    owner: '0x43395c11f8f81db0cee08dedd2d45c377a955387',
+    pool,
+    position: { id: '3822' },
+    depositedToken0: '33553.002435',
+    depositedToken1: '1301.989886',
+    ...fields
+  };
+}
+
+// logs.txt, snapshots 2 and 1: collectedFeesToken1 repeats the token0 figure
+const earlier = snapshot({
+  blockNumber: '13393068',
+  timestamp: '1757426081',
+  liquidity: '123481048874955922',
+  withdrawnToken0: '260.128683',
+  withdrawnToken1: '14.403549',
+  collectedFeesToken0: '292.063378',
+  collectedFeesToken1: '292.063378'
+});
+const later = snapshot({
+  blockNumber: '13393336',
+  timestamp: '1757426344',
+  liquidity: '122246238386206363',
+  withdrawnToken0: '503.938874',
+  withdrawnToken1: '28.917271',
+  collectedFeesToken0: '535.918341',
+  collectedFeesToken1: '535.918341'
+});
+
+test('collected fees leave out the withdrawn principal and the copied token1 figure', () => {
+  assert.deepEqual(computeCollectedFees(later), { amount0: 31979467n, amount1: 0n, token1Ignored: true });
+  assert.deepEqual(computeCollectedFees(earlier), { amount0: 31934695n, amount1: 0n, token1Ignored: true });
+});
+
+test('a distinct token1 total is kept and nothing is flagged', () => {
+  const fees = computeCollectedFees({ ...later, collectedFeesToken1: '29.017271' });
+  assert.deepEqual(fees, { amount0: 31979467n, amount1: 100000000000000000n, token1Ignored: false });
+
+  const untouched = computeCollectedFees({ ...later, collectedFeesToken0: '0', collectedFeesToken1: '0' });
+  assert.equal(untouched.token1Ignored, false);
+});
+
+test('a withdrawal and its Collect give the withdrawn principal and only the fee on top', () => {
+  const [aggregate] = buildPositionAggregates([later], { 3822: earlier });
+  const [delta] = aggregate.deltas;
+
+  assert.equal(delta.liquidityDelta, 122246238386206363n - 123481048874955922n);
+  assert.equal(delta.withdrawn0, 243810191n);
+  assert.equal(delta.withdrawn1, 14513722000000000000n);
+  assert.equal(delta.fees0, 44772n);
+  assert.equal(delta.fees1, 0n);
+  assert.equal(delta.collects, true);
+});
+
+test('fees never count the principal of a one-snapshot deposit and withdrawal', () => {
+  const [aggregate] = buildPositionAggregates([snapshot({
+    blockNumber: '1',
+    timestamp: '1',
+    liquidity: '0',
+    depositedToken0: '5',
+    depositedToken1: '0',
+    withdrawnToken0: '5',
+    withdrawnToken1: '0',
+    collectedFeesToken0: '5.1',
+    collectedFeesToken1: '5.1'
+  })]);
+
+  assert.equal(aggregate.totals.fees0, 100000n);
+  assert.equal(aggregate.totals.fees1, 0n);
+});
+
+test('fee deltas stay non-negative while burned principal waits to be collected', () => {
+  const base = { depositedToken0: '5', depositedToken1: '0', withdrawnToken1: '0', liquidity: '1' };
+  const [aggregate] = buildPositionAggregates([
+    snapshot({ ...base, blockNumber: '1', timestamp: '1', withdrawnToken0: '0', collectedFeesToken0: '0.2', collectedFeesToken1: '0.2' }),
+    snapshot({ ...base, blockNumber: '2', timestamp: '2', withdrawnToken0: '3', collectedFeesToken0: '0.2', collectedFeesToken1: '0.2' }),
+    snapshot({ ...base, blockNumber: '3', timestamp: '3', withdrawnToken0: '3', collectedFeesToken0: '3.3', collectedFeesToken1: '3.3' })
+  ]);
+
+  assert.deepEqual(aggregate.deltas.map(delta => delta.fees0), [200000n, 0n, 100000n]);
+  assert.equal(aggregate.totals.fees0, 300000n);
+});
@@ -0,0 +1,148 @@
+/**
+ * Snapshot Store Tests
+ * ====================
+ *
+ * Incremental sync of the local store against a stubbed subgraph client, and
+ * the offline fetchers that answer reports from it.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { openStore, syncPool, createStoreFetchers } = require('../lib/store');
+
+const POOL = { id: '0xpool', token0: { id: '0xa' }, token1: { id: '0xb' } };
+
+function snapshot(id, positionId, block) {
+  return {
+    id,
+    owner: '0xowner',
+    pool: { id: POOL.id },
+    position: { id: positionId },
+    blockNumber: String(block),
+    timestamp: String(1757400000 + block),
+    liquidity: '1'
+  };
+}
+
+function position(id, liquidity) {
+  return { id, owner: '0xowner', liquidity, pool: POOL };
+}
+
+// Subgraph client stub answering from `state`, recording every query's name and variables
+function createClient(state) {
+  const calls = [];
+  return {
+    calls,
+    async query(text, variables = {}) {
+      const name = text.match(/query (\w+)/)[1];
+      calls.push({ name, variables });
+      const after = row => row.id > (variables.lastId || '');
+      switch (name) {
+        case 'GetIndexedBlock':
+          return { _meta: { block: { number: state.indexedBlock, timestamp: 1757400000 + state.indexedBlock } } };
+        case 'GetPoolInfo':
+          return { pool: POOL };
+        case 'GetPoolSnapshotsAfterBlock':
+          return {
+            positionSnapshots: state.snapshots.filter(row =>
+              after(row) && parseInt(row.blockNumber) > parseInt(variables.afterBlock)
+            )
+          };
+        case 'GetCurrentPositions':
+          return { positions: state.positions.filter(row => after(row) && row.liquidity !== '0') };
+        case 'GetPositionsById':
+          return { positions: state.positions.filter(row => after(row) && variables.positionIds.includes(row.id)) };
+        default:
+          throw new Error(`Unexpected query ${name}`);
+      }
+    }
+  };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upheaval-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('sync pins every query to the indexed block and resumes after it', async t => {
+  t.mock.method(console, 'log', () => {});
+  const dir = tempDir(t);
+  const state = {
+    indexedBlock: 20,
+    snapshots: [snapshot('a', '1', 10), snapshot('b', '2', 20)],
+    positions: [position('1', '5'), position('2', '0')]
+  };
+  const client = createClient(state);
+
+  const first = await syncPool(openStore(dir), POOL.id, { client });
+  assert.equal(first.added, 2);
+  assert.equal(first.lastBlock, 20);
+  client.calls
+    .filter(call => call.name !== 'GetIndexedBlock')
+    .forEach(call => assert.deepEqual(call.variables.block, { number: 20 }, call.name));
+
+  // A snapshot indexed later, plus the same rows again
+  state.indexedBlock = 30;
+  state.snapshots.push(snapshot('c', '1', 30));
+  client.calls.length = 0;
+
+  const store = openStore(dir);
+  const second = await syncPool(store, POOL.id, { client });
+  const afterBlocks = client.calls
+    .filter(call => call.name === 'GetPoolSnapshotsAfterBlock')
+    .map(call => call.variables.afterBlock);
+  assert.deepEqual(afterBlocks, ['20']);
+  assert.equal(second.added, 1);
+  assert.equal(second.lastBlock, 30);
+  assert.equal(second.snapshots, 3);
+
+  // The closed position seen in the new snapshots is stored too
+  assert.deepEqual(store.getPositions().map(row => row.id).sort(), ['1', '2']);
+});
+
+test('appended snapshots are de-duplicated and survive reopening', t => {
+  const dir = tempDir(t);
+  const store = openStore(dir);
+  assert.equal(store.appendSnapshots(POOL.id, [snapshot('a', '1', 10), snapshot('b', '1', 20)]), 2);
+  assert.equal(store.appendSnapshots(POOL.id, [snapshot('b', '1', 20)]), 0);
+  store.recordSync(POOL.id, { lastBlock: 20 });
+  store.save();
+
+  const reopened = openStore(dir, { mustExist: true });
+  assert.equal(reopened.getLastBlock(POOL.id), 20);
+  assert.deepEqual(reopened.getSnapshots(POOL.id).map(row => row.id), ['a', 'b']);
+});
+
+test('a store is tied to the endpoint it was synced from', t => {
+  const dir = tempDir(t);
+  openStore(dir, { endpoint: 'https://one' }).save();
+
+  assert.throws(() => openStore(dir, { endpoint: 'https://two' }), /was synced from https:\/\/one/);
+  assert.throws(() => openStore(path.join(dir, 'missing'), { mustExist: true }), /No store/);
+});
+
+test('store fetchers apply the window and find baselines before it', async t => {
+  t.mock.method(console, 'log', () => {});
+  const dir = tempDir(t);
+  const store = openStore(dir);
+  store.savePool(POOL);
+  store.appendSnapshots(POOL.id, [snapshot('a', '1', 10), snapshot('b', '1', 20), snapshot('c', '1', 30)]);
+  store.recordSync(POOL.id, { lastBlock: 30 });
+  const fetchers = createStoreFetchers(store);
+
+  const snapshots = await fetchers.fetchPositionSnapshots(POOL.id, { since: 1757400000 + 25 });
+  assert.deepEqual(snapshots.map(row => row.id), ['c']);
+
+  const baselines = await fetchers.fetchBaselineSnapshots(snapshots);
+  assert.equal(baselines['1'].id, 'b');
+
+  await assert.rejects(fetchers.fetchPoolInfo('0xother'), /not in store/);
+  assert.equal(await fetchers.fetchTokenPrices(), null);
+});
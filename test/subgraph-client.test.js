@@ -0,0 +1,87 @@
+/**
+ * Subgraph Client Tests
+ * =====================
+ *
+ * Which failures the client retries, with fetch stubbed out.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SubgraphGraphQLError,
+  SubgraphTransportError,
+  createSubgraphClient
+} = require('../lib/subgraph-client');
+
+const QUERY = 'query GetPoolInfo { pool { id } }';
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+function networkError(code) {
+  const cause = Object.assign(new Error(`connect ${code}`), { code });
+  return new TypeError('fetch failed', { cause });
+}
+
+// Client whose fetch answers with `outcomes` in turn (errors are thrown), counting attempts
+function clientWith(t, outcomes) {
+  const logs = [];
+  let attempts = 0;
+  t.mock.method(globalThis, 'fetch', async () => {
+    const outcome = outcomes[Math.min(attempts++, outcomes.length - 1)];
+    if (outcome instanceof Error) throw outcome;
+    return outcome();
+  });
+  const client = createSubgraphClient({
+    endpoint: 'http://subgraph.test',
+    maxRetries: 2,
+    baseDelayMs: 1,
+    logger: line => logs.push(line)
+  });
+  return { client, logs, attempts: () => attempts };
+}
+
+test('transient network errors are retried', async t => {
+  const { client, attempts } = clientWith(t, [
+    networkError('ECONNRESET'),
+    new TypeError('fetch failed'),
+    () => jsonResponse(200, { data: { pool: { id: '0xpool' } } })
+  ]);
+
+  assert.deepEqual(await client.query(QUERY), { pool: { id: '0xpool' } });
+  assert.equal(attempts(), 3);
+});
+
+test('other TypeErrors fail on the first attempt', async t => {
+  for (const error of [
+    networkError('CERT_HAS_EXPIRED'),
+    new TypeError('Failed to parse URL from not a url', {
+      cause: Object.assign(new TypeError('Invalid URL'), { code: 'ERR_INVALID_URL' })
+    }),
+    new TypeError("Cannot read properties of undefined (reading 'id')")
+  ]) {
+    const { client, attempts } = clientWith(t, [error]);
+    const failure = await client.query(QUERY).catch(caught => caught);
+
+    assert.ok(failure instanceof SubgraphTransportError, error.message);
+    assert.equal(failure.retryable, false);
+    assert.equal(attempts(), 1, error.message);
+    t.mock.restoreAll();
+  }
+});
+
+test('5xx is retried up to maxRetries, GraphQL errors are not', async t => {
+  const unavailable = clientWith(t, [() => jsonResponse(503, { errors: [{ message: 'busy' }] })]);
+  const failure = await unavailable.client.query(QUERY).catch(caught => caught);
+  assert.equal(failure.status, 503);
+  assert.equal(unavailable.attempts(), 3);
+  t.mock.restoreAll();
+
+  const invalid = clientWith(t, [() => jsonResponse(200, { errors: [{ message: 'bad field' }] })]);
+  await assert.rejects(invalid.client.query(QUERY), SubgraphGraphQLError);
+  assert.equal(invalid.attempts(), 1);
+});
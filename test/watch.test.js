@@ -0,0 +1,110 @@
+/**
+ * Watch Mode Tests
+ * ================
+ *
+ * Event classification, and one poll of watchPools() against a stubbed
+ * subgraph client.
+ *
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MINT, INCREASE, DECREASE, CLOSE, COLLECT } = require('../lib/lifecycle');
+const { buildWatchEvents, watchPools } = require('../lib/watch');
+
+const pool = {
+  id: '0xpool',
+  token0: { id: '0xusdt0', symbol: 'USD₮0', decimals: '6' },
+  token1: { id: '0xkhype', symbol: 'kHYPE', decimals: '18' }
+};
+
+function snapshot(positionId, block, fields) {
+  return {
+    id: `${positionId}#${block}`,
+    owner: '0xowner',
+    pool,
+    position: { id: positionId },
+    blockNumber: String(block),
+    timestamp: String(1757400000 + block),
+    liquidity: '0',
+    depositedToken0: '0',
+    depositedToken1: '0',
+    withdrawnToken0: '0',
+    withdrawnToken1: '0',
+    collectedFeesToken0: '0',
+    collectedFeesToken1: '0',
+    ...fields
+  };
+}
+
+const minted = snapshot('1', 10, { liquidity: '1000', depositedToken0: '100' });
+const increased = snapshot('1', 11, { liquidity: '3000', depositedToken0: '300' });
+const decreased = snapshot('1', 12, {
+  liquidity: '2000',
+  depositedToken0: '300',
+  withdrawnToken0: '100',
+  collectedFeesToken0: '101',
+  collectedFeesToken1: '101'
+});
+const collected = snapshot('1', 13, {
+  liquidity: '2000',
+  depositedToken0: '300',
+  withdrawnToken0: '100',
+  collectedFeesToken0: '104',
+  collectedFeesToken1: '104'
+});
+const closed = snapshot('1', 14, {
+  liquidity: '0',
+  depositedToken0: '300',
+  withdrawnToken0: '300',
+  collectedFeesToken0: '304',
+  collectedFeesToken1: '304'
+});
+
+test('events are classified by liquidity change before fees', () => {
+  const events = buildWatchEvents([closed, collected, decreased, increased, minted], new Map());
+  assert.deepEqual(events.map(event => event.type), [MINT, INCREASE, DECREASE, COLLECT, CLOSE]);
+  assert.equal(events[3].fees0, 3000000n);
+});
+
+test('a position seen before is diffed against its last snapshot', () => {
+  const previous = new Map([['1', decreased]]);
+  const [event] = buildWatchEvents([collected], previous);
+  assert.equal(event.type, COLLECT);
+  assert.equal(previous.get('1'), collected);
+});
+
+test('watchPools baselines unseen positions and emits each snapshot once', async () => {
+  const controller = new AbortController();
+  const calls = [];
+  const client = {
+    async query(text, variables) {
+      const name = text.match(/query (\w+)/)[1];
+      calls.push(name);
+      if (name === 'GetBaselineSnapshots') return { p0: [minted] };
+      if (name === 'GetPoolSnapshotsAfterBlock') {
+        return { positionSnapshots: [increased].filter(row => row.id > variables.lastId) };
+      }
+      throw new Error(`Unexpected query ${name}`);
+    }
+  };
+
+  const events = [];
+  const count = await watchPools(['0xpool'], {
+    client,
+    since: 0,
+    intervalMs: 1,
+    signal: controller.signal,
+    onEvent: event => {
+      events.push(event);
+      controller.abort();
+    }
+  });
+
+  assert.equal(count, 1);
+  assert.deepEqual(calls, ['GetPoolSnapshotsAfterBlock', 'GetBaselineSnapshots']);
+  assert.equal(events[0].type, INCREASE);
+  assert.equal(events[0].deposited0, 200000000n);
+});